@@ -0,0 +1,114 @@
+/**
+ * @file announcements.js
+ * @description Player-facing chat cards for group initiative and morale outcomes.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger } from "./shared.js";
+import { ANNOUNCE_DETAIL } from "./settings.js";
+
+/**
+ * Whether a group may be announced to players.
+ * @param {Object} meta - The group's flag data
+ * @returns {boolean}
+ */
+function isAnnounceable(meta) {
+  return !!meta && !meta.hidden;
+}
+
+/**
+ * Opening of a public card, styled like the GM cards: group icon, name and subtitle.
+ * @param {Object} meta - The group's flag data
+ * @param {string} subtitle - HTML shown under the group name
+ * @returns {string}
+ */
+function cardHeader(meta, subtitle) {
+  const groupColor = meta.color || "#7b68ee";
+  const groupImg = meta.img || "icons/svg/combat.svg";
+  return `
+    <div style="padding: 8px 10px; display: flex; align-items: center; gap: 8px;">
+      <img src="${foundry.utils.escapeHTML(groupImg)}" width="32" height="32" style="border: none; border-radius: 50%;">
+      <div style="flex: 1;">
+        <strong style="font-size: 15px; display: block; color: ${groupColor};">${foundry.utils.escapeHTML(meta.name ?? "Unnamed Group")}</strong>
+        <span style="font-size: 12px; opacity: 0.8;">${subtitle}</span>
+      </div>
+    </div>`;
+}
+
+/**
+ * Posts the public initiative card for a finalized group, redacted per the
+ * Public Initiative Announcements setting.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @param {GroupMemberData[]} list - Members, sorted by initiative (highest first)
+ * @param {number} initiative - The group initiative
+ */
+export async function announceGroupInitiative(combat, groupId, list, initiative) {
+  const detail = game.settings.get(MODULE_ID, "publicInitiativeAnnouncement");
+  if (detail === ANNOUNCE_DETAIL.OFF) return;
+
+  const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+  if (!isAnnounceable(meta)) return;
+
+  const visible = list.filter((r) => !r.combatant.hidden);
+  if (!visible.length) return;
+
+  const groupColor = meta.color || "#7b68ee";
+  const showRolls = detail === ANNOUNCE_DETAIL.FULL;
+  const memberList = detail === ANNOUNCE_DETAIL.GROUP ? "" : `
+    <ul style="margin: 0; padding: 4px 10px 6px 28px; border-top: 1px solid rgba(0,0,0,0.1);">
+      ${visible.map((r) => `<li>${foundry.utils.escapeHTML(r.name)}${showRolls ? ` — <strong>${r.init}</strong>` : ""}</li>`).join("")}
+    </ul>`;
+
+  const content = `
+    <div style="border: 2px solid ${groupColor}; border-radius: 8px; overflow: hidden; font-size: 13px;">
+      ${cardHeader(meta, `Initiative: <strong style="font-size: 14px;">${initiative}</strong>`)}
+      ${memberList}
+    </div>`;
+
+  try {
+    await ChatMessage.create({ content, speaker: { alias: meta.name ?? "Unnamed Group" } });
+  } catch (err) {
+    logger.fn("announceGroupInitiative").warn("Failed to create public initiative card", { error: err.message });
+  }
+}
+
+/**
+ * Posts a narrative morale card for players: who broke and fled, or that the group holds.
+ * Rolls, DC and modifiers stay on the GM card.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @param {{passed: Object[], failed: Object[]}} results - From MoraleManager.rollMorale
+ */
+export async function announceMoraleResult(combat, groupId, results) {
+  if (!game.settings.get(MODULE_ID, "moralePublicAnnouncement")) return;
+
+  const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+  if (!isAnnounceable(meta)) return;
+
+  const groupName = meta.name ?? "Unnamed Group";
+  const escapedName = foundry.utils.escapeHTML(groupName);
+  const broke = results.failed.filter((e) => !e.combatant.hidden).length;
+  const held = results.passed.filter((e) => !e.combatant.hidden).length;
+  if (!broke && !held) return;
+
+  let narrative;
+  if (!broke) narrative = `The ${escapedName} hold their ground!`;
+  else if (!held) narrative = `The ${escapedName} break and flee!`;
+  else narrative = `${broke} of the ${escapedName} break and flee!`;
+
+  const icon = broke
+    ? '<i class="fas fa-running" style="color: #f44336;"></i>'
+    : '<i class="fas fa-shield-alt" style="color: #4caf50;"></i>';
+
+  const content = `
+    <div style="border: 2px solid ${meta.color || "#7b68ee"}; border-radius: 8px; overflow: hidden; font-size: 13px;">
+      ${cardHeader(meta, `${icon} <em>${narrative}</em>`)}
+    </div>`;
+
+  try {
+    await ChatMessage.create({ content, speaker: { alias: groupName } });
+  } catch (err) {
+    logger.fn("announceMoraleResult").warn("Failed to create public morale card", { error: err.message });
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * @file assignment-rules.js
+ * @description Registry of rules that place newly created combatants into existing groups.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger } from "./shared.js";
+
+/**
+ * Built-in assignment rule identifiers.
+ * @readonly
+ * @enum {string}
+ */
+export const ASSIGNMENT_RULE = Object.freeze({
+  TOKEN_FLAG: "tokenFlag",
+  AREA_TAG: "areaTag",
+  SAME_ACTOR: "sameActor",
+});
+
+/** Prefix that tags a region name or drawing text with a group ("Group: Orc Warband"). */
+const AREA_TAG_PREFIX = /^\s*group\s*:\s*/i;
+
+/**
+ * A rule inspects a new combatant and returns the id (or name) of the group it should join.
+ * @callback AssignmentRuleFn
+ * @param {Combatant} combatant - The newly created combatant
+ * @param {Combat} combat - Its parent combat
+ * @returns {string|null|Promise<string|null>}
+ */
+
+/**
+ * @typedef {Object} AssignmentRule
+ * @property {string} id
+ * @property {string} label
+ * @property {string|null} setting - World setting that toggles the rule (built-ins only)
+ * @property {AssignmentRuleFn} evaluate
+ */
+
+/** @type {Map<string, AssignmentRule>} */
+const _rules = new Map();
+
+/* ------------------------------------------------------------------ */
+/*  Registry                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Registers (or replaces) an assignment rule. Rules run in registration order; the first
+ * rule that names an existing group wins.
+ * @param {string} id
+ * @param {Object} config
+ * @param {string} config.label
+ * @param {AssignmentRuleFn} config.evaluate
+ * @param {string} [config.setting] - Boolean world setting that must be on for the rule to run
+ */
+export function registerAssignmentRule(id, { label, evaluate, setting = null } = {}) {
+  if (!id || typeof id !== "string") throw new Error("rule id is required");
+  if (typeof evaluate !== "function") throw new Error("rule evaluate must be a function");
+  _rules.set(id, { id, label: label ?? id, setting, evaluate });
+}
+
+/**
+ * @returns {AssignmentRule[]}
+ */
+export function getAssignmentRules() {
+  return [..._rules.values()];
+}
+
+/**
+ * Resolves a group reference (id or case-insensitive name) to a group id on the combat.
+ * @param {Combat} combat
+ * @param {string} ref
+ * @returns {string|null}
+ */
+export function resolveGroupRef(combat, ref) {
+  if (!ref || typeof ref !== "string") return null;
+  const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+  if (groups[ref]) return ref;
+
+  const needle = ref.trim().toLowerCase();
+  return Object.entries(groups).find(([, g]) => g.name?.toLowerCase() === needle)?.[0] ?? null;
+}
+
+/**
+ * Runs the enabled rules for a new combatant.
+ * @param {Combatant} combatant
+ * @returns {Promise<{groupId: string, rule: string}|null>}
+ */
+export async function findAssignment(combatant) {
+  const log = logger.fn("findAssignment");
+  const combat = combatant.parent;
+  if (!combat || !game.settings.get(MODULE_ID, "autoAssignEnabled")) return null;
+
+  for (const rule of _rules.values()) {
+    if (rule.setting && !game.settings.get(MODULE_ID, rule.setting)) continue;
+
+    try {
+      const groupId = resolveGroupRef(combat, await rule.evaluate(combatant, combat));
+      if (groupId) {
+        log.debug(`Rule "${rule.id}" assigned ${combatant.name} to "${groupId}"`);
+        return { groupId, rule: rule.id };
+      }
+    } catch (err) {
+      log.error(`Assignment rule "${rule.id}" failed`, err);
+    }
+  }
+  return null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Built-in Rules                                                    */
+/* ------------------------------------------------------------------ */
+
+registerAssignmentRule(ASSIGNMENT_RULE.TOKEN_FLAG, {
+  label: "Token flag",
+  setting: "autoAssignTokenFlag",
+  evaluate: (combatant) => combatant.token?.getFlag(MODULE_ID, "joinGroup") ?? null,
+});
+
+registerAssignmentRule(ASSIGNMENT_RULE.AREA_TAG, {
+  label: "Tagged region or drawing",
+  setting: "autoAssignAreaTag",
+  evaluate: (combatant) => {
+    const tokenDoc = combatant.token;
+    if (!tokenDoc) return null;
+
+    const tagOf = (doc, text) => doc.getFlag(MODULE_ID, "group")
+      ?? (AREA_TAG_PREFIX.test(text ?? "") ? text.replace(AREA_TAG_PREFIX, "") : null);
+
+    for (const region of tokenDoc.regions ?? []) {
+      const tag = tagOf(region, region.name);
+      if (tag) return tag;
+    }
+
+    const center = tokenDoc.object?.center;
+    if (!center) return null;
+    for (const drawing of tokenDoc.parent?.drawings ?? []) {
+      const tag = tagOf(drawing, drawing.text);
+      if (tag && drawing.object?.bounds?.contains(center.x, center.y)) return tag;
+    }
+    return null;
+  },
+});
+
+registerAssignmentRule(ASSIGNMENT_RULE.SAME_ACTOR, {
+  label: "Same actor as a group member",
+  setting: "autoAssignSameActor",
+  evaluate: (combatant, combat) => {
+    if (!combatant.actorId) return null;
+    const match = combat.combatants.find((c) => {
+      if (c.id === combatant.id || c.actorId !== combatant.actorId) return false;
+      const gid = c.getFlag(MODULE_ID, "groupId");
+      return gid && gid !== "ungrouped";
+    });
+    return match?.getFlag(MODULE_ID, "groupId") ?? null;
+  },
+});
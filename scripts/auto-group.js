@@ -0,0 +1,297 @@
+/**
+ * @file auto-group.js
+ * @description Partitions ungrouped combatants into groups by actor, token name, disposition or folder.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM } from "./shared.js";
+import { GroupManager, UNGROUPED } from "./class-objects.js";
+import { GroupHistory } from "./history.js";
+
+/**
+ * Auto-group partition criteria.
+ * @readonly
+ * @enum {string}
+ */
+export const AUTO_GROUP_MODE = Object.freeze({
+  ACTOR: "actor",
+  TOKEN_NAME: "tokenName",
+  DISPOSITION: "disposition",
+  FOLDER: "folder",
+});
+
+const MODE_LABELS = {
+  [AUTO_GROUP_MODE.ACTOR]: "Base Actor",
+  [AUTO_GROUP_MODE.TOKEN_NAME]: "Token Name (numbers stripped)",
+  [AUTO_GROUP_MODE.DISPOSITION]: "Disposition",
+  [AUTO_GROUP_MODE.FOLDER]: "Actor Folder",
+};
+
+/** Colors cycled through for generated groups. */
+const PALETTE = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#46f0f0", "#f032e6", "#bcf60c", "#008080", "#9a6324"];
+
+const DISPOSITION_META = {
+  [CONST.TOKEN_DISPOSITIONS.HOSTILE]: { name: "Hostile", color: "#d32f2f" },
+  [CONST.TOKEN_DISPOSITIONS.NEUTRAL]: { name: "Neutral", color: "#fbc02d" },
+  [CONST.TOKEN_DISPOSITIONS.FRIENDLY]: { name: "Friendly", color: "#388e3c" },
+  [CONST.TOKEN_DISPOSITIONS.SECRET]: { name: "Secret", color: "#7b1fa2" },
+};
+
+/**
+ * @typedef {Object} AutoGroupProposal
+ * @property {string} key - Partition key
+ * @property {string} name - Generated group name
+ * @property {string} color - Generated group color
+ * @property {Combatant[]} members
+ */
+
+/**
+ * Static class for auto-grouping combatants.
+ */
+export class AutoGroupManager {
+  /**
+   * Strips trailing numbering from a token name ("Goblin 3", "Goblin #12", "Goblin-2" → "Goblin").
+   * @param {string} name
+   * @returns {string}
+   */
+  static stripTokenNumber(name) {
+    return (name ?? "").replace(/[\s#_-]*\(?\d+\)?$/, "").trim() || name;
+  }
+
+  /**
+   * Proposes a partition of the combat's ungrouped combatants.
+   * @param {Combat} combat
+   * @param {string} [mode=AUTO_GROUP_MODE.ACTOR]
+   * @param {Object} [options]
+   * @param {number} [options.minSize=2] - Drop partitions smaller than this
+   * @param {boolean} [options.includePlayers=false] - Include player-owned combatants
+   * @returns {AutoGroupProposal[]}
+   */
+  static partition(combat, mode = AUTO_GROUP_MODE.ACTOR, { minSize = 2, includePlayers = false } = {}) {
+    const candidates = combat.combatants.filter((c) => {
+      const gid = c.getFlag(MODULE_ID, "groupId");
+      if (gid && gid !== UNGROUPED) return false;
+      if (!c.actor) return false;
+      return includePlayers || !c.hasPlayerOwner;
+    });
+
+    const buckets = new Map();
+    for (const c of candidates) {
+      const { key, name, color } = this._classify(c, mode);
+      if (!buckets.has(key)) buckets.set(key, { key, name, color, members: [] });
+      buckets.get(key).members.push(c);
+    }
+
+    const proposals = [...buckets.values()].filter((p) => p.members.length >= minSize);
+    proposals.forEach((p, i) => { p.color ??= PALETTE[i % PALETTE.length]; });
+
+    logger.trace("Auto-group partition", {
+      fn: "partition",
+      data: { mode, proposals: proposals.map((p) => `${p.name} (${p.members.length})`) },
+    });
+    return proposals;
+  }
+
+  /**
+   * Computes the partition key and generated group name/color for a combatant.
+   * @param {Combatant} c
+   * @param {string} mode
+   * @returns {{key: string, name: string, color?: string}}
+   * @private
+   */
+  static _classify(c, mode) {
+    switch (mode) {
+      case AUTO_GROUP_MODE.TOKEN_NAME: {
+        const name = this.stripTokenNumber(c.token?.name ?? c.name);
+        return { key: name.toLowerCase(), name };
+      }
+      case AUTO_GROUP_MODE.DISPOSITION: {
+        const disposition = c.token?.disposition ?? CONST.TOKEN_DISPOSITIONS.NEUTRAL;
+        const meta = DISPOSITION_META[disposition] ?? DISPOSITION_META[CONST.TOKEN_DISPOSITIONS.NEUTRAL];
+        return { key: String(disposition), name: meta.name, color: meta.color };
+      }
+      case AUTO_GROUP_MODE.FOLDER: {
+        const baseActor = game.actors.get(c.actorId) ?? c.actor;
+        const folder = baseActor?.folder;
+        return { key: folder?.id ?? "none", name: folder?.name ?? "No Folder", color: folder?.color?.css ?? undefined };
+      }
+      case AUTO_GROUP_MODE.ACTOR:
+      default: {
+        const baseActor = game.actors.get(c.actorId);
+        return { key: c.actorId ?? c.id, name: baseActor?.name ?? c.actor?.name ?? c.name };
+      }
+    }
+  }
+
+  /**
+   * Creates one group per proposal.
+   * @param {Combat} combat
+   * @param {AutoGroupProposal[]} proposals
+   * @returns {Promise<string[]>} Created group ids
+   */
+  static async applyPartition(combat, proposals) {
+    const log = logger.fn("applyPartition");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to auto-group");
+      return [];
+    }
+
+    const created = [];
+    await GroupHistory.batch(combat, "Auto-Group", async () => {
+      for (const proposal of proposals) {
+        if (!proposal.members.length) continue;
+
+        const tokens = proposal.members.map((c) => c.token?.object).filter(Boolean);
+        const groupId = await GroupManager.createGroup(combat, { name: proposal.name, color: proposal.color }, tokens);
+        if (!groupId) continue;
+
+        // Combatants whose token isn't on the viewed canvas are assigned directly
+        const leftover = proposal.members.filter((c) => !c.token?.object).map((c) => c.id);
+        if (leftover.length) await GroupManager.addCombatantsToGroup(combat, groupId, leftover);
+
+        created.push(groupId);
+      }
+    });
+
+    log.success(`Auto-grouped into ${created.length} groups`);
+    return created;
+  }
+
+  /**
+   * Partitions and creates groups, optionally showing a preview dialog first.
+   * @param {Combat} combat
+   * @param {Object} [options]
+   * @param {string} [options.mode=AUTO_GROUP_MODE.ACTOR]
+   * @param {boolean} [options.preview=true] - Confirm/adjust in a dialog before applying
+   * @param {number} [options.minSize=2]
+   * @param {boolean} [options.includePlayers=false]
+   * @returns {Promise<string[]>} Created group ids
+   */
+  static async autoGroup(combat, { mode = AUTO_GROUP_MODE.ACTOR, preview = true, minSize = 2, includePlayers = false } = {}) {
+    if (!combat) throw new Error("combat is required");
+
+    if (!preview) {
+      return this.applyPartition(combat, this.partition(combat, mode, { minSize, includePlayers }));
+    }
+
+    const proposals = await this.promptPreview(combat, { mode, minSize, includePlayers });
+    if (!proposals) return [];
+    return this.applyPartition(combat, proposals);
+  }
+
+  /**
+   * Shows the auto-group dialog: pick a criterion, then rename/recolor proposed groups
+   * and move members between them.
+   * @param {Combat} combat
+   * @param {Object} options
+   * @returns {Promise<AutoGroupProposal[]|null>} Adjusted proposals, or null if cancelled
+   */
+  static async promptPreview(combat, { mode, minSize, includePlayers }) {
+    let proposals = this.partition(combat, mode, { minSize, includePlayers });
+
+    const modeOptions = Object.entries(MODE_LABELS)
+      .map(([id, label]) => `<option value="${id}" ${id === mode ? "selected" : ""}>${label}</option>`)
+      .join("");
+
+    const content = `
+      <div class="form-group">
+        <label>Group By:</label>
+        <select id="sci-auto-mode" style="width: 100%;">${modeOptions}</select>
+      </div>
+      <div class="form-group" style="margin-top: 5px;">
+        <label style="display:flex; align-items:center; gap:5px;">
+          <input id="sci-auto-players" type="checkbox" ${includePlayers ? "checked" : ""}>
+          Include player characters
+        </label>
+      </div>
+      <div class="sci-auto-group-preview">${this._renderPreview(proposals)}</div>
+    `;
+
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: { title: "Auto-Group Combatants" },
+      position: { width: 480 },
+      content,
+      buttons: [
+        {
+          action: "ok",
+          label: "Create Groups",
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialog) => {
+            const form = dialog.element;
+            const adjusted = proposals.map((p, i) => ({
+              ...p,
+              name: form.querySelector(`[name="name-${i}"]`)?.value.trim() || p.name,
+              color: form.querySelector(`[name="color-${i}"]`)?.value || p.color,
+              members: [],
+            }));
+            for (const select of form.querySelectorAll("select[data-combatant-id]")) {
+              if (select.value === "") continue;
+              const combatant = combat.combatants.get(select.dataset.combatantId);
+              if (combatant) adjusted[Number(select.value)]?.members.push(combatant);
+            }
+            return adjusted;
+          },
+        },
+        { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+      ],
+      render: (event, dialog) => {
+        const form = dialog.element;
+        const refresh = () => {
+          proposals = this.partition(combat, form.querySelector("#sci-auto-mode").value, {
+            minSize,
+            includePlayers: form.querySelector("#sci-auto-players").checked,
+          });
+          form.querySelector(".sci-auto-group-preview").innerHTML = this._renderPreview(proposals);
+        };
+        form.querySelector("#sci-auto-mode").addEventListener("change", refresh);
+        form.querySelector("#sci-auto-players").addEventListener("change", refresh);
+
+        // Renaming a proposal relabels it in every member's target list
+        form.addEventListener("input", (ev) => {
+          const index = ev.target.name?.match(/^name-(\d+)$/)?.[1];
+          if (index === undefined) return;
+          const label = ev.target.value.trim() || proposals[index]?.name;
+          for (const option of form.querySelectorAll(`select[data-combatant-id] option[value="${index}"]`)) {
+            option.textContent = label;
+          }
+        });
+      },
+    });
+
+    return Array.isArray(result) ? result : null;
+  }
+
+  /**
+   * Builds the editable proposal list for the preview dialog.
+   * @param {AutoGroupProposal[]} proposals
+   * @returns {string}
+   * @private
+   */
+  static _renderPreview(proposals) {
+    if (!proposals.length) {
+      return `<p class="hint" style="opacity: 0.7;">No ungrouped combatants share this criterion.</p>`;
+    }
+
+    const targetOptions = (selected) => [
+      `<option value="">(leave ungrouped)</option>`,
+      ...proposals.map((p, i) => `<option value="${i}" ${i === selected ? "selected" : ""}>${foundry.utils.escapeHTML(p.name)}</option>`),
+    ].join("");
+
+    return proposals.map((p, i) => `
+      <fieldset style="margin-top: 6px; border-left: 4px solid ${p.color};">
+        <legend>${p.members.length} combatants</legend>
+        <div class="form-group" style="display:flex; gap: 0.5em; align-items:center;">
+          <input name="name-${i}" type="text" value="${foundry.utils.escapeHTML(p.name)}" style="flex: 1;">
+          <input name="color-${i}" type="color" value="${p.color}" style="flex: 0 0 40px; height: 26px; border: none;">
+        </div>
+        ${p.members.map((c) => `
+          <div class="form-group" style="display:flex; gap: 0.5em; align-items:center; margin-top: 2px;">
+            <img src="${c.img}" width="20" height="20" style="border: none;">
+            <span style="flex: 1;">${foundry.utils.escapeHTML(c.name)}</span>
+            <select data-combatant-id="${c.id}" style="flex: 0 0 45%;">${targetOptions(i)}</select>
+          </div>`).join("")}
+      </fieldset>`).join("");
+  }
+}
@@ -10,12 +10,30 @@ import {
   isGM,
   canManageGroups,
   CONSTANTS,
-  calculateAverageInitiative,
   generateGroupId,
   expandStore,
   visibilitySyncInProgress,
+  combatantSelection,
+  getRawInitiative,
 } from "./shared.js";
 import { VISIBILITY_SYNC_MODE } from "./settings.js";
+import {
+  INITIATIVE_MODE,
+  computeGroupInitiative,
+  getInitiativeStrategies,
+  buildInitiativeRoll,
+} from "./initiative-strategies.js";
+import { GroupHistory } from "./history.js";
+import { promptGroupData, promptGroupRoll, promptSide } from "./group-dialogs.js";
+import { announceGroupInitiative } from "./announcements.js";
+import { orderMembers, getTieBreakerChain, describeTieBreakerChain } from "./tie-breakers.js";
+import { applyTurnOrder } from "./turn-order.js";
+import { isSideMode, getSideChoices } from "./sides.js";
+import { SideManager } from "./side-initiative.js";
+import { HoldManager, HOLD_TYPE, getHeldGroupOf } from "./group-hold.js";
+import { MoraleRulesConfig } from "./morale-rules.js";
+import { MoraleHistoryView } from "./morale-history.js";
+import { GroupTemplateManager } from "./group-templates.js";
 
 /**
  * Constant identifier for the default "ungrouped" bucket.
@@ -46,27 +64,28 @@ export class GroupManager {
 
   /**
    * Organizes combatants into a Map keyed by their group ID.
+   * Members are direct members only; sub-groups are separate entries carrying `parentId`.
    * @param {Combatant[]} combatants
    * @param {Combat} combat
-   * @returns {Map<string, {name: string, members: Combatant[]}>}
+   * @returns {Map<string, {name: string, parentId: string|null, members: Combatant[]}>}
    */
   static getGroups(combatants, combat) {
     const stored = foundry.utils.getProperty(combat, `flags.${MODULE_ID}.groups`) ?? {};
     const map = new Map();
+    const entry = (data = {}) => ({
+      name: data.name ?? "Unnamed Group",
+      parentId: stored[data.parentId] ? data.parentId : null,
+      members: [],
+    });
 
     for (const c of combatants) {
       const id = c.getFlag(MODULE_ID, "groupId") ?? UNGROUPED;
-      if (!map.has(id)) {
-        const groupData = stored[id] ?? {};
-        map.set(id, { name: groupData.name ?? "Unnamed Group", members: [] });
-      }
+      if (!map.has(id)) map.set(id, entry(stored[id]));
       map.get(id).members.push(c);
     }
 
     for (const [gid, data] of Object.entries(stored)) {
-      if (!map.has(gid) && gid !== UNGROUPED) {
-        map.set(gid, { name: data.name ?? "Unnamed Group", members: [] });
-      }
+      if (!map.has(gid) && gid !== UNGROUPED) map.set(gid, entry(data));
     }
 
     // Only log in verbose mode - this gets called frequently
@@ -75,14 +94,210 @@ export class GroupManager {
     return map;
   }
 
+  /**
+   * Returns the ids of the groups nested directly under a group.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @returns {string[]}
+   */
+  static getChildGroupIds(combat, groupId) {
+    const stored = combat?.getFlag(MODULE_ID, "groups") ?? {};
+    return Object.entries(stored)
+      .filter(([id, data]) => id !== groupId && data?.parentId === groupId)
+      .map(([id]) => id);
+  }
+
+  /**
+   * Returns the ids of every group nested (at any depth) under a group.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @returns {string[]}
+   */
+  static getDescendantGroupIds(combat, groupId) {
+    const result = [];
+    const seen = new Set([groupId]);
+    const queue = [groupId];
+
+    while (queue.length) {
+      for (const childId of this.getChildGroupIds(combat, queue.shift())) {
+        if (seen.has(childId)) continue;
+        seen.add(childId);
+        result.push(childId);
+        queue.push(childId);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the combatants of a group, optionally including those of its sub-groups.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false]
+   * @returns {Combatant[]}
+   */
+  static getGroupMembers(combat, groupId, { recursive = false } = {}) {
+    const ids = new Set([groupId, ...(recursive ? this.getDescendantGroupIds(combat, groupId) : [])]);
+    return combat.combatants.filter((c) => ids.has(c.getFlag(MODULE_ID, "groupId")));
+  }
+
+  /**
+   * Nests a group under a parent group, or moves it back to the top level when parentId is null.
+   * The sub-group keeps its own initiative and morale; the parent's initiative is re-aggregated.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {string|null} parentId
+   * @returns {Promise<boolean>} Whether the hierarchy changed
+   */
+  static async setParentGroup(combat, groupId, parentId) {
+    const log = logger.fn("setParentGroup");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to nest group");
+      return false;
+    }
+    if (!combat || !groupId) throw new Error("combat and groupId are required");
+
+    const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+    if (!group) {
+      ui.notifications.warn("Could not find group data.");
+      return false;
+    }
+
+    const oldParentId = group.parentId ?? null;
+    parentId = parentId || null;
+    if (parentId === oldParentId) return false;
+
+    if (parentId) {
+      const parent = combat.getFlag(MODULE_ID, `groups.${parentId}`);
+      if (!parent) {
+        ui.notifications.warn("Target group does not exist.");
+        return false;
+      }
+      if (parentId === groupId || this.getDescendantGroupIds(combat, groupId).includes(parentId)) {
+        ui.notifications.warn(`"${parent.name}" is nested inside "${group.name}" and cannot become its parent.`);
+        return false;
+      }
+      GroupHistory.record(combat, `Nest Group: ${group.name}`);
+      await combat.setFlag(MODULE_ID, `groups.${groupId}.parentId`, parentId);
+      log.debug(`Nested "${group.name}" under "${parent.name}"`, { groupId, parentId });
+    } else {
+      GroupHistory.record(combat, `Un-nest Group: ${group.name}`);
+      await combat.update({ [`flags.${MODULE_ID}.groups.${groupId}.-=parentId`]: null });
+      log.debug(`Moved "${group.name}" to the top level`, { groupId });
+    }
+
+    if (oldParentId) await this._rollUpInitiative(combat, oldParentId);
+    if (parentId) await this._rollUpInitiative(combat, parentId);
+    return true;
+  }
+
+  /**
+   * Re-aggregates the initiative of every group above (and including) the given one that
+   * has sub-groups. A parent's initiative is its own strategy applied to all combatants
+   * beneath it, and is cleared while any of them has yet to roll.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @private
+   */
+  static async _rollUpInitiative(combat, groupId) {
+    if (!isGM()) return;
+
+    const seen = new Set();
+    let id = groupId;
+
+    while (id && !seen.has(id)) {
+      seen.add(id);
+      const meta = combat.getFlag(MODULE_ID, `groups.${id}`);
+      if (!meta) break;
+
+      if (this.getChildGroupIds(combat, id).length) {
+        const members = this.getGroupMembers(combat, id, { recursive: true });
+        let value = null;
+
+        if (members.length && members.every((c) => Number.isFinite(c.initiative))) {
+          const shaped = members
+            .map((c) => ({
+              combatant: c,
+              name: c.name,
+              init: getRawInitiative(c),
+              dex: c.actor?.system?.abilities?.dex?.value ?? 10,
+            }))
+            .sort((a, b) => b.init - a.init || b.dex - a.dex);
+          ({ value } = await computeGroupInitiative(shaped, { combat, groupId: id, meta, mode: "normal" }));
+        }
+
+        if (value !== (meta.initiative ?? null)) {
+          await combat.update(Number.isFinite(value)
+            ? { [`flags.${MODULE_ID}.groups.${id}.initiative`]: value }
+            : { [`flags.${MODULE_ID}.groups.${id}.-=initiative`]: null });
+          logger.trace("Rolled up parent initiative", { fn: "_rollUpInitiative", data: { groupId: id, value } });
+        }
+      }
+
+      id = meta.parentId;
+    }
+  }
+
+  /**
+   * Opens the roll configuration dialog for a group's unrolled members (sub-groups
+   * included) and rolls with the chosen options.
+   * @param {Combat} combat
+   * @param {string} groupId
+   */
+  static async configureGroupRoll(combat, groupId) {
+    if (!isGM()) return;
+    if (isSideMode(combat)) return this.rollGroupAndApplyInitiative(combat, groupId);
+    const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+    const unrolled = this.getGroupMembers(combat, groupId, { recursive: true })
+      .filter((c) => c.initiative == null);
+    if (!unrolled.length) {
+      return ui.notifications.info(`Group "${groupName}" already has initiative.`);
+    }
+
+    const options = await promptGroupRoll(unrolled, { title: `Roll Initiative: ${groupName}` });
+    if (!options) return;
+    await this.rollGroupAndApplyInitiative(combat, groupId, options);
+  }
+
+  /**
+   * Rolls every sub-group of a parent (and its own direct members) as one undoable action.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {string[]} childIds
+   * @param {GroupRollOptions} options
+   * @private
+   */
+  static async _rollParentGroup(combat, groupId, childIds, options = {}) {
+    const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+    const unrolled = (id, recursive) =>
+      this.getGroupMembers(combat, id, { recursive }).some(
+        (c) => c.initiative == null && (!options.combatantIds || options.combatantIds.includes(c.id))
+      );
+
+    if (!unrolled(groupId, true)) {
+      return ui.notifications.info(`Group "${groupName}" already has initiative.`);
+    }
+
+    await GroupHistory.batch(combat, `Roll Initiative: ${groupName}`, async () => {
+      for (const childId of childIds) {
+        if (unrolled(childId, true)) await this.rollGroupAndApplyInitiative(combat, childId, options);
+      }
+      if (unrolled(groupId, false)) {
+        await this.rollGroupAndApplyInitiative(combat, groupId, { ...options, includeSubgroups: false });
+      }
+    });
+  }
+
   /**
    * Rolls initiative for all members of a group that haven't rolled yet.
+   * A parent group rolls each of its sub-groups in turn.
    * @param {Combat} combat
    * @param {string} groupId
-   * @param {Object} options
-   * @param {"normal"|"advantage"|"disadvantage"} [options.mode="normal"]
+   * @param {GroupRollOptions & {includeSubgroups?: boolean}} options - `includeSubgroups` (default true) also rolls nested sub-groups
    */
-  static async rollGroupAndApplyInitiative(combat, groupId, { mode = "normal" } = {}) {
+  static async rollGroupAndApplyInitiative(combat, groupId, options = {}) {
     const log = logger.fn("rollGroupAndApplyInitiative");
 
     if (!isGM()) {
@@ -90,16 +305,41 @@ export class GroupManager {
       return;
     }
 
+    // Side initiative: the squad acts with its side, so the side is rolled instead
+    if (isSideMode(combat)) {
+      const side = SideManager.getSideOf(combat, groupId);
+      return SideManager.rollSides(combat, { sideKeys: side ? [side] : [], unrolledOnly: true });
+    }
+
+    const {
+      mode = "normal",
+      includeSubgroups = true,
+      bonus = "",
+      members: overrides = {},
+      combatantIds = null,
+      rollMode = CONST.DICE_ROLL_MODES.PRIVATE,
+      consolidate = game.settings.get(MODULE_ID, "consolidateGroupRolls"),
+    } = options;
+
+    const childIds = includeSubgroups ? this.getChildGroupIds(combat, groupId) : [];
+    if (childIds.length) return this._rollParentGroup(combat, groupId, childIds, options);
+
     const groupMeta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
     const groupName = groupMeta.name ?? "Unnamed Group";
 
     const members = combat.combatants.filter(
       (c) => c.getFlag(MODULE_ID, "groupId") === groupId
     );
-    const toRoll = members.filter((c) => c.initiative == null);
+    const toRoll = members.filter(
+      (c) => c.initiative == null && (!combatantIds || combatantIds.includes(c.id))
+    );
 
     if (!toRoll.length) {
-      return ui.notifications.info(`Group "${groupName}" already has initiative.`);
+      return ui.notifications.info(
+        combatantIds
+          ? `No selected members of "${groupName}" are waiting on initiative.`
+          : `Group "${groupName}" already has initiative.`
+      );
     }
 
     log.groupStart(`Rolling initiative for "${groupName}"`, {
@@ -108,40 +348,43 @@ export class GroupManager {
       memberCount: toRoll.length,
     });
 
+    GroupHistory.record(combat, `Roll Initiative: ${groupName}`);
+
     await combat.setFlag(MODULE_ID, `skipFinalize.${groupId}`, true);
 
     try {
-      const dieExpr = mode === "advantage" ? "2d20kh"
-        : mode === "disadvantage" ? "2d20kl"
-          : "1d20";
-
       const rolledSummary = [];
 
       for (const c of toRoll) {
         const dexMod = c.actor?.system?.abilities?.dex?.mod ?? 0;
-        const roll = new Roll(`${dieExpr} + ${dexMod}`);
+        const override = overrides[c.id] ?? {};
+        const roll = buildInitiativeRoll(c, override.mode || mode, [bonus, override.bonus]);
         await roll.evaluate();
 
-        await roll.toMessage({
-          speaker: ChatMessage.getSpeaker({ actor: c.actor }),
-          flavor: `${c.name} rolls for Initiative!`,
-          rollMode: CONST.DICE_ROLL_MODES.GMROLL,
-        });
+        if (!consolidate) {
+          await roll.toMessage({
+            speaker: ChatMessage.getSpeaker({ actor: c.actor }),
+            flavor: `${c.name} rolls for Initiative!`,
+            rollMode,
+          });
+        }
 
         rolledSummary.push({
           combatant: c,
           name: c.name,
           init: roll.total,
           dex: dexMod,
+          formula: roll.formula,
+          roll,
         });
 
         // Verbose: log each roll individually
-        log.trace(`Rolled for ${c.name}`, { total: roll.total, dex: dexMod });
+        log.trace(`Rolled for ${c.name}`, { total: roll.total, formula: roll.formula });
       }
 
       // Normal: single summary of all rolls
       log.debug("Rolled initiative for group", {
-        rolls: rolledSummary.map(r => `${r.name}: ${r.init} (dex +${r.dex})`),
+        rolls: rolledSummary.map(r => `${r.name}: ${r.init} (${r.formula})`),
       });
 
       await combat.updateEmbeddedDocuments(
@@ -149,9 +392,26 @@ export class GroupManager {
         rolledSummary.map((r) => ({ _id: r.combatant.id, initiative: r.init }))
       );
 
+      // A partial roll leaves the group open; it's finalized once the last member rolls
+      const pending = members.filter((c) => c.initiative == null && !toRoll.includes(c));
+      if (pending.length) {
+        await combat.unsetFlag(MODULE_ID, `skipFinalize.${groupId}`);
+        if (consolidate) {
+          await this._createRollMessage(combat, groupId, rolledSummary, {
+            content: `<p><strong>${groupName}</strong> rolls for Initiative!</p>`,
+            rollMode,
+          });
+        }
+        log.info(`${pending.length} member(s) of "${groupName}" still need initiative`);
+        log.groupEnd("partial");
+        return;
+      }
+
       await this._applyGroupOrder(combat, groupId, rolledSummary, {
         sendSummary: true,
         clearSkipFlag: true,
+        mode,
+        rollMode: consolidate ? rollMode : null,
       });
 
       log.groupEnd("success");
@@ -206,7 +466,7 @@ export class GroupManager {
       const shaped = members.map((c) => ({
         combatant: c,
         name: c.name,
-        init: c.initiative,
+        init: getRawInitiative(c),
         dex: c.actor?.system?.abilities?.dex?.value ?? 10,
       }));
 
@@ -220,14 +480,158 @@ export class GroupManager {
   }
 
   /**
-     * Core sorting logic - calculates group average and assigns fractional offsets.
+   * Rerolls one member of a finalized group, then recomputes the group initiative and
+   * member order. Posts a GM card comparing the member's old and new position.
+   * @param {Combat} combat
+   * @param {string} combatantId
+   * @param {Object} [options]
+   * @param {"normal"|"advantage"|"disadvantage"} [options.mode="normal"]
+   * @returns {Promise<{before: RerollPosition, after: RerollPosition, roll: number}|null>}
+   */
+  static async rerollMember(combat, combatantId, { mode = "normal" } = {}) {
+    const log = logger.fn("rerollMember");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to reroll a group member");
+      return null;
+    }
+
+    const combatant = combat.combatants.get(combatantId);
+    const groupId = combatant?.getFlag(MODULE_ID, "groupId");
+    if (!groupId || groupId === UNGROUPED) {
+      ui.notifications.warn("That combatant is not in a group.");
+      return null;
+    }
+
+    const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+    const members = combat.combatants.filter((c) => c.getFlag(MODULE_ID, "groupId") === groupId);
+    if (!members.every((c) => Number.isFinite(c.initiative))) {
+      ui.notifications.info(`Group "${groupName}" has not been fully rolled yet.`);
+      return null;
+    }
+
+    const position = () => ({
+      turn: combat.turns.indexOf(combatant) + 1,
+      initiative: combatant.initiative,
+      groupInitiative: combat.getFlag(MODULE_ID, `groups.${groupId}.initiative`) ?? null,
+    });
+    const before = position();
+
+    GroupHistory.record(combat, `Reroll Initiative: ${combatant.name}`);
+    await combat.setFlag(MODULE_ID, `skipFinalize.${groupId}`, true);
+
+    try {
+      const roll = buildInitiativeRoll(combatant, mode);
+      await roll.evaluate();
+      await roll.toMessage({
+        speaker: ChatMessage.getSpeaker({ actor: combatant.actor }),
+        flavor: `${combatant.name} rerolls Initiative!`,
+        rollMode: CONST.DICE_ROLL_MODES.PRIVATE,
+      });
+
+      const shaped = members.map((c) => ({
+        combatant: c,
+        name: c.name,
+        init: c === combatant ? roll.total : getRawInitiative(c),
+        dex: c.actor?.system?.abilities?.dex?.value ?? 10,
+      }));
+
+      await this._applyGroupOrder(combat, groupId, shaped, { clearSkipFlag: true, mode });
+
+      const after = position();
+      log.debug(`Rerolled ${combatant.name}`, { groupName, roll: roll.total, before, after });
+      await this._sendRerollCard(combat, groupId, combatant, { before, after, roll });
+      return { before, after, roll: roll.total };
+    } catch (err) {
+      log.errorNotify(`Error rerolling initiative for ${combatant.name}`, err);
+      try {
+        await combat.unsetFlag(MODULE_ID, `skipFinalize.${groupId}`);
+      } catch (cleanupErr) {
+        log.warn("Failed to cleanup skip flag", cleanupErr);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Whispers the GM a card showing a rerolled member's old and new turn and initiative.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {Combatant} combatant
+   * @param {Object} diff
+   * @param {RerollPosition} diff.before
+   * @param {RerollPosition} diff.after
+   * @param {Roll} diff.roll
+   * @private
+   */
+  static async _sendRerollCard(combat, groupId, combatant, { before, after, roll }) {
+    const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
+    const groupColor = meta.color || "#7b68ee";
+    const img = combatant.img || combatant.token?.texture?.src || "";
+    const moved = after.turn - before.turn;
+    const movement = moved < 0
+      ? `<span style="color: #4caf50;"><i class="fas fa-arrow-up"></i> ${-moved}</span>`
+      : moved > 0
+        ? `<span style="color: #f44336;"><i class="fas fa-arrow-down"></i> ${moved}</span>`
+        : '<span style="opacity: 0.6;">unchanged</span>';
+
+    const content = `
+      <div style="border: 2px solid ${groupColor}; border-radius: 8px; overflow: hidden; font-size: 13px;">
+        <div style="padding: 8px 10px; display: flex; align-items: center; gap: 8px; border-bottom: 2px solid ${groupColor};">
+          ${img ? `<img src="${img}" width="32" height="32" style="border: none; border-radius: 50%;">` : ""}
+          <div style="flex: 1;">
+            <strong style="font-size: 15px; display: block;">${combatant.name}</strong>
+            <span style="font-size: 12px; opacity: 0.7;">Rerolled within ${meta.name ?? "Unnamed Group"}: <strong>${roll.total}</strong> (${roll.formula})</span>
+          </div>
+        </div>
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 11px; text-transform: uppercase; opacity: 0.6;">
+              <th style="padding: 4px 6px; text-align: left;"></th>
+              <th style="padding: 4px 6px; text-align: center;">Before</th>
+              <th style="padding: 4px 6px; text-align: center;">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td style="padding: 3px 6px;">Turn</td>
+              <td style="padding: 3px 6px; text-align: center;">${before.turn}</td>
+              <td style="padding: 3px 6px; text-align: center; font-weight: bold;">${after.turn} ${movement}</td>
+            </tr>
+            <tr>
+              <td style="padding: 3px 6px;">Initiative</td>
+              <td style="padding: 3px 6px; text-align: center;">${before.initiative}</td>
+              <td style="padding: 3px 6px; text-align: center; font-weight: bold;">${after.initiative}</td>
+            </tr>
+            <tr>
+              <td style="padding: 3px 6px;">Group Initiative</td>
+              <td style="padding: 3px 6px; text-align: center;">${before.groupInitiative ?? "—"}</td>
+              <td style="padding: 3px 6px; text-align: center; font-weight: bold;">${after.groupInitiative ?? "—"}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>`;
+
+    try {
+      await ChatMessage.create({
+        content,
+        whisper: game.users.filter((u) => u.isGM).map((u) => u.id),
+        blind: true,
+      });
+    } catch (err) {
+      logger.fn("_sendRerollCard").warn("Failed to create reroll card", { error: err.message });
+    }
+  }
+
+  /**
+     * Core sorting logic - calculates group initiative via the group's strategy and assigns fractional offsets.
      * @private
      */
   static async _applyGroupOrder(
     combat,
     groupId,
     list,
-    { sendSummary = false, clearSkipFlag = false } = {}
+    { sendSummary = false, clearSkipFlag = false, mode = "normal", rollMode = null } = {}
   ) {
     if (!isGM()) return;
 
@@ -235,80 +639,47 @@ export class GroupManager {
     const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
     const groupName = meta.name ?? "Unnamed Group";
 
-    list.sort((a, b) => b.init - a.init || b.dex - a.dex);
+    list = await orderMembers(combat, groupId, list);
 
     const baseSort =
       (Math.min(...combat.turns.map((t) => t.sort ?? 0)) || 0) +
       CONSTANTS.SORT_BASE_OFFSET;
 
-    const avgInit = calculateAverageInitiative(list.map(r => r.init));
-
-    // Calculate group rank to prevent initiative collisions between groups
-    // Ties are broken by: total initiative (sum of raw rolls), then average DEX
-    const allGroups = combat.getFlag(MODULE_ID, "groups") ?? {};
-    const groupsWithInit = Object.entries(allGroups)
-      .map(([gid, data]) => {
-        const init = data.initiative ?? (gid === groupId ? avgInit : null);
-        if (init === null) return null;
-
-        // Gather member data for tie-breaking
-        const members = combat.combatants.filter(
-          (c) => c.getFlag(MODULE_ID, "groupId") === gid
-        );
-        const totalInit = members.reduce((sum, c) => sum + (c.initiative ?? 0), 0);
-        const avgDex = members.length > 0
-          ? members.reduce((sum, c) => sum + (c.actor?.system?.abilities?.dex?.mod ?? 0), 0) / members.length
-          : 0;
-
-        return { id: gid, initiative: init, totalInit, avgDex };
-      })
-      .filter(Boolean)
-      .sort((a, b) => {
-        // 1. Higher average initiative first
-        if (b.initiative !== a.initiative) return b.initiative - a.initiative;
-        // 2. Higher total initiative (sum of raw rolls) breaks ties
-        if (b.totalInit !== a.totalInit) return b.totalInit - a.totalInit;
-        // 3. Higher average DEX modifier as final tiebreaker
-        if (b.avgDex !== a.avgDex) return b.avgDex - a.avgDex;
-        // 4. Stable fallback by groupId
-        return a.id.localeCompare(b.id);
-      });
-
-    const groupRank = groupsWithInit.findIndex(g => g.id === groupId);
-    const groupOffset = groupRank > 0 ? groupRank * CONSTANTS.GROUP_RANK_OFFSET : 0;
-
-    const currentGroupData = groupsWithInit.find(g => g.id === groupId);
-    log.trace("Calculated group rank", {
-      groupName,
-      groupRank,
-      groupOffset,
-      totalGroups: groupsWithInit.length,
-      totalInit: currentGroupData?.totalInit,
-      avgDex: currentGroupData?.avgDex,
-    });
+    const { value: avgInit, strategy } = await computeGroupInitiative(list, { combat, groupId, meta, mode });
 
-    const updates = list.map((r, idx, arr) => ({
-      _id: r.combatant.id,
-      sort: baseSort + idx * CONSTANTS.SORT_INCREMENT,
-      initiative: +(avgInit + groupOffset + (arr.length - idx) * CONSTANTS.STAGGER_INCREMENT).toFixed(2),
-    }));
+    const sortById = new Map(list.map((r, idx) => [r.combatant.id, baseSort + idx * CONSTANTS.SORT_INCREMENT]));
+    const rawById = new Map(list.map((r) => [r.combatant.id, r.init]));
 
     log.debug("Calculated group order", {
       groupName,
+      strategy: strategy.id,
       avgInit,
-      groupOffset,
+      tieBreakers: getTieBreakerChain(),
       memberOrder: list.map(r => `${r.name}: ${r.init}`),
     });
 
     try {
-      await Promise.all([
-        combat.updateEmbeddedDocuments("Combatant", updates),
-        combat.setFlag(MODULE_ID, `groups.${groupId}.initiative`, avgInit),
-      ]);
+      // Placement among the other groups and ungrouped combatants happens in one pass
+      await combat.update({
+        [`flags.${MODULE_ID}.groups.${groupId}.initiative`]: avgInit,
+        [`flags.${MODULE_ID}.groups.${groupId}.-=actsAfter`]: null,
+      });
+      await applyTurnOrder(
+        combat,
+        { [groupId]: { initiative: avgInit, members: list.map((r) => r.combatant) } },
+        {
+          // Members are placed away from their rolls; keep the rolls for later recalculations
+          extra: (c) => (sortById.has(c.id)
+            ? { sort: sortById.get(c.id), [`flags.${MODULE_ID}.rawInit`]: rawById.get(c.id) }
+            : {}),
+        }
+      );
 
       if (clearSkipFlag) {
         await combat.unsetFlag(MODULE_ID, `skipFinalize.${groupId}`);
       }
+
+      await this._rollUpInitiative(combat, groupId);
     } catch (err) {
       log.error(`Error applying group order for "${groupName}"`, err);
       if (clearSkipFlag) {
@@ -321,77 +692,135 @@ export class GroupManager {
 
     if (sendSummary) {
       try {
-        const gmIds = game.users.filter((u) => u.isGM).map((u) => u.id);
-        const groupColor = meta.color || "#7b68ee";
-        const groupImg = meta.img || "icons/svg/combat.svg";
-
-        // Compute summary stats
-        const totalInit = list.reduce((sum, r) => sum + r.init, 0);
-        const highRoll = Math.max(...list.map(r => r.init));
-        const lowRoll = Math.min(...list.map(r => r.init));
-        const memberDexMods = list.map(r => r.combatant.actor?.system?.abilities?.dex?.mod ?? 0);
-        const avgDexMod = memberDexMods.length > 0
-          ? (memberDexMods.reduce((a, b) => a + b, 0) / memberDexMods.length)
-          : 0;
-        const formatMod = (v) => v >= 0 ? `+${v}` : `${v}`;
-
-        // Build member rows (already sorted by initiative desc)
-        const memberRows = list
-          .map((r) => {
-            const dexMod = r.combatant.actor?.system?.abilities?.dex?.mod ?? 0;
-            const img = r.combatant.img || r.combatant.token?.texture?.src || "";
-            return `<tr>
-              <td style="padding: 3px 6px;">
-                ${img ? `<img src="${img}" width="24" height="24" style="border: none; vertical-align: middle; margin-right: 4px; border-radius: 50%;">` : ""}
-                ${r.name}
-              </td>
-              <td style="padding: 3px 6px; text-align: center; font-weight: bold;">${r.init}</td>
-              <td style="padding: 3px 6px; text-align: center; opacity: 0.8;">${formatMod(dexMod)}</td>
-            </tr>`;
-          })
-          .join("");
-
-        const content = `
-          <div style="border: 2px solid ${groupColor}; border-radius: 8px; overflow: hidden; font-size: 13px;">
-            <div style="padding: 8px 10px; display: flex; align-items: center; gap: 8px; border-bottom: 2px solid ${groupColor};">
-              <img src="${groupImg}" width="32" height="32" style="border: none; border-radius: 50%;">
-              <div style="flex: 1;">
-                <strong style="font-size: 15px; display: block;">${groupName}</strong>
-                <span style="font-size: 12px; opacity: 0.7;">Group Initiative: <strong style="font-size: 14px; opacity: 1;">${avgInit}</strong></span>
-              </div>
-            </div>
-            <div style="padding: 6px 10px; display: flex; gap: 12px; flex-wrap: wrap; background: rgba(0,0,0,0.03); border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 12px;">
-              <span title="Sum of all individual rolls"><i class="fas fa-sigma" style="opacity: 0.6;"></i> Total: <strong>${totalInit}</strong></span>
-              <span title="Highest individual roll"><i class="fas fa-arrow-up" style="opacity: 0.6;"></i> High: <strong>${highRoll}</strong></span>
-              <span title="Lowest individual roll"><i class="fas fa-arrow-down" style="opacity: 0.6;"></i> Low: <strong>${lowRoll}</strong></span>
-              <span title="Average DEX modifier across group"><i class="fas fa-running" style="opacity: 0.6;"></i> Avg DEX: <strong>${formatMod(Math.round(avgDexMod * 10) / 10)}</strong></span>
-              <span title="Number of combatants"><i class="fas fa-users" style="opacity: 0.6;"></i> <strong>${list.length}</strong></span>
-            </div>
-            <table style="width: 100%; border-collapse: collapse;">
-              <thead>
-                <tr style="border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 11px; text-transform: uppercase; opacity: 0.6;">
-                  <th style="padding: 4px 6px; text-align: left;">Combatant</th>
-                  <th style="padding: 4px 6px; text-align: center;">Init</th>
-                  <th style="padding: 4px 6px; text-align: center;">DEX</th>
-                </tr>
-              </thead>
-              <tbody>${memberRows}</tbody>
-            </table>
-          </div>`;
-
-        await ChatMessage.create({
-          content,
-          whisper: gmIds,
-          blind: true,
-        });
+        const content = this._buildSummaryCard(meta, list, { avgInit, strategy, tieBreakers: describeTieBreakerChain() });
+        if (rollMode && list.some((r) => r.roll)) {
+          await this._createRollMessage(combat, groupId, list, { content, rollMode });
+        } else {
+          await ChatMessage.create({
+            content,
+            whisper: game.users.filter((u) => u.isGM).map((u) => u.id),
+            blind: true,
+          });
+        }
       } catch (err) {
         log.warn("Failed to create chat summary", { error: err.message });
       }
+      await announceGroupInitiative(combat, groupId, list, avgInit);
     }
 
     log.success(`Applied group order for "${groupName}"`);
   }
 
+  /**
+   * Builds the initiative summary card for a group.
+   * @param {Object} meta - The group's flag data
+   * @param {GroupMemberData[]} list - Members, sorted by initiative (highest first)
+   * @param {Object} result
+   * @param {number} result.avgInit - The group initiative
+   * @param {{label: string}} result.strategy - The initiative strategy used
+   * @param {string} result.tieBreakers - Label of the tie-break chain
+   * @returns {string}
+   * @private
+   */
+  static _buildSummaryCard(meta, list, { avgInit, strategy, tieBreakers }) {
+    const groupName = meta.name ?? "Unnamed Group";
+    const groupColor = meta.color || "#7b68ee";
+    const groupImg = meta.img || "icons/svg/combat.svg";
+
+    // Compute summary stats
+    const totalInit = list.reduce((sum, r) => sum + r.init, 0);
+    const highRoll = Math.max(...list.map(r => r.init));
+    const lowRoll = Math.min(...list.map(r => r.init));
+    const memberDexMods = list.map(r => r.combatant.actor?.system?.abilities?.dex?.mod ?? 0);
+    const avgDexMod = memberDexMods.length > 0
+      ? (memberDexMods.reduce((a, b) => a + b, 0) / memberDexMods.length)
+      : 0;
+    const formatMod = (v) => v >= 0 ? `+${v}` : `${v}`;
+
+    // Formula column only when the members were just rolled
+    const showFormula = list.some((r) => r.formula);
+
+    // Build member rows (already sorted by initiative desc)
+    const memberRows = list
+      .map((r) => {
+        const dexMod = r.combatant.actor?.system?.abilities?.dex?.mod ?? 0;
+        const img = r.combatant.img || r.combatant.token?.texture?.src || "";
+        return `<tr>
+          <td style="padding: 3px 6px;">
+            ${img ? `<img src="${img}" width="24" height="24" style="border: none; vertical-align: middle; margin-right: 4px; border-radius: 50%;">` : ""}
+            ${r.name}
+          </td>
+          <td style="padding: 3px 6px; text-align: center; font-weight: bold;">${r.init}</td>
+          <td style="padding: 3px 6px; text-align: center; opacity: 0.8;">${formatMod(dexMod)}</td>
+          ${showFormula ? `<td style="padding: 3px 6px; font-size: 11px; opacity: 0.8;">${r.formula ?? "—"}</td>` : ""}
+        </tr>`;
+      })
+      .join("");
+
+    const content = `
+      <div style="border: 2px solid ${groupColor}; border-radius: 8px; overflow: hidden; font-size: 13px;">
+        <div style="padding: 8px 10px; display: flex; align-items: center; gap: 8px; border-bottom: 2px solid ${groupColor};">
+          <img src="${groupImg}" width="32" height="32" style="border: none; border-radius: 50%;">
+          <div style="flex: 1;">
+            <strong style="font-size: 15px; display: block;">${groupName}</strong>
+            <span style="font-size: 12px; opacity: 0.7;">Group Initiative: <strong style="font-size: 14px; opacity: 1;">${avgInit}</strong></span>
+          </div>
+        </div>
+        <div style="padding: 6px 10px; display: flex; gap: 12px; flex-wrap: wrap; background: rgba(0,0,0,0.03); border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 12px;">
+          <span title="Initiative mode"><i class="fas fa-chess-knight" style="opacity: 0.6;"></i> ${strategy.label}</span>
+          <span title="Sum of all individual rolls"><i class="fas fa-sigma" style="opacity: 0.6;"></i> Total: <strong>${totalInit}</strong></span>
+          <span title="Highest individual roll"><i class="fas fa-arrow-up" style="opacity: 0.6;"></i> High: <strong>${highRoll}</strong></span>
+          <span title="Lowest individual roll"><i class="fas fa-arrow-down" style="opacity: 0.6;"></i> Low: <strong>${lowRoll}</strong></span>
+          <span title="Average DEX modifier across group"><i class="fas fa-running" style="opacity: 0.6;"></i> Avg DEX: <strong>${formatMod(Math.round(avgDexMod * 10) / 10)}</strong></span>
+          <span title="Number of combatants"><i class="fas fa-users" style="opacity: 0.6;"></i> <strong>${list.length}</strong></span>
+          <span title="Tie-breakers, in order"><i class="fas fa-scale-balanced" style="opacity: 0.6;"></i> ${tieBreakers}</span>
+        </div>
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 11px; text-transform: uppercase; opacity: 0.6;">
+              <th style="padding: 4px 6px; text-align: left;">Combatant</th>
+              <th style="padding: 4px 6px; text-align: center;">Init</th>
+              <th style="padding: 4px 6px; text-align: center;">DEX</th>
+              ${showFormula ? '<th style="padding: 4px 6px; text-align: left;">Roll</th>' : ""}
+            </tr>
+          </thead>
+          <tbody>${memberRows}</tbody>
+        </table>
+      </div>`;
+
+    return content;
+  }
+
+  /**
+   * Posts a single chat message carrying every member's roll, so Dice So Nice and roll
+   * tooltips still work. Each roll is rendered below `content` under the member's name.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {GroupMemberData[]} list - Members with an evaluated `roll`
+   * @param {Object} options
+   * @param {string} options.content - Leading HTML (usually the summary card)
+   * @param {string} options.rollMode - A CONST.DICE_ROLL_MODES value
+   * @private
+   */
+  static async _createRollMessage(combat, groupId, list, { content, rollMode }) {
+    const rolled = list.filter((r) => r.roll);
+    const rollHtml = await Promise.all(rolled.map((r) => r.roll.render({ flavor: r.name })));
+    const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
+    const groupName = meta.name ?? "Unnamed Group";
+
+    // A hidden group's members must not show up in public chat
+    if (meta.hidden && rollMode === CONST.DICE_ROLL_MODES.PUBLIC) rollMode = CONST.DICE_ROLL_MODES.PRIVATE;
+
+    const messageData = {
+      speaker: ChatMessage.getSpeaker({ alias: groupName }),
+      content: `${content}<div class="sci-group-rolls" style="margin-top: 6px;">${rollHtml.join("")}</div>`,
+      rolls: rolled.map((r) => r.roll),
+      sound: CONFIG.sounds.dice,
+    };
+    ChatMessage.applyRollMode(messageData, rollMode);
+    await ChatMessage.create(messageData);
+  }
+
   /**
    * Deletes a group and unassigns all its members.
    * @param {Combat} combat
@@ -428,14 +857,21 @@ export class GroupManager {
       }
     }
 
+    GroupHistory.record(combat, `Delete Group: ${displayName}`);
+
     try {
       const members = combat.combatants.filter(
         (c) => c.getFlag(MODULE_ID, "groupId") === groupId
       );
 
-      const operations = [
-        combat.update({ [`flags.${MODULE_ID}.groups.-=${groupId}`]: null }),
-      ];
+      // Sub-groups move up to the deleted group's parent (or the top level)
+      const groupUpdate = { [`flags.${MODULE_ID}.groups.-=${groupId}`]: null };
+      for (const childId of this.getChildGroupIds(combat, groupId)) {
+        if (meta.parentId) groupUpdate[`flags.${MODULE_ID}.groups.${childId}.parentId`] = meta.parentId;
+        else groupUpdate[`flags.${MODULE_ID}.groups.${childId}.-=parentId`] = null;
+      }
+
+      const operations = [combat.update(groupUpdate)];
 
       if (members.length) {
         operations.push(
@@ -447,6 +883,7 @@ export class GroupManager {
       }
 
       await Promise.all(operations);
+      if (meta.parentId) await this._rollUpInitiative(combat, meta.parentId);
       log.success(`Deleted group "${displayName}"`, { memberCount: members.length });
       return true;
     } catch (err) {
@@ -468,6 +905,13 @@ export class GroupManager {
    * @param {string} [data.color] - Hex color
    * @param {boolean} [data.hidden] - Start hidden from players
    * @param {boolean} [data.pinned] - Pin the group (overrides default setting)
+   * @param {string} [data.initiativeMode] - Initiative strategy id (default "average")
+   * @param {boolean} [data.singleTurn] - Whole group acts on one tracker turn
+   * @param {boolean} [data.rerollEachRound] - Reset and reroll initiative at every new round
+   * @param {string} [data.discipline] - Morale discipline level (default "standard")
+   * @param {number} [data.mobConfidenceDivisor] - Per-group mob confidence override
+   * @param {Object} [data.moraleRules] - Per-group morale rule overrides (see morale-rules.js)
+   * @param {string} [data.parentId] - Nest the new group under an existing group
    * @param {Token[]|string[]} [tokens=[]] - Token placeables or token IDs to add
    * @returns {Promise<string|null>} The new groupId, or null on failure
    */
@@ -483,6 +927,8 @@ export class GroupManager {
 
     const groupId = generateGroupId();
 
+    GroupHistory.record(combat, `Create Group: ${data.name}`);
+
     await combat.setFlag(MODULE_ID, `groups.${groupId}`, {
       name: data.name,
       initiative: null,
@@ -491,6 +937,12 @@ export class GroupManager {
       color: data.color || "#00ff00",
       hidden: data.hidden ?? false,
       discipline: data.discipline || "standard",
+      initiativeMode: data.initiativeMode || INITIATIVE_MODE.AVERAGE,
+      singleTurn: data.singleTurn ?? false,
+      rerollEachRound: data.rerollEachRound ?? false,
+      ...(data.mobConfidenceDivisor ? { mobConfidenceDivisor: data.mobConfidenceDivisor } : {}),
+      ...(data.moraleRules ? { moraleRules: data.moraleRules } : {}),
+      ...(data.parentId && combat.getFlag(MODULE_ID, `groups.${data.parentId}`) ? { parentId: data.parentId } : {}),
       startingSize: null,
       deletedCount: 0,
     });
@@ -548,6 +1000,8 @@ export class GroupManager {
       }
     }
 
+    if (data.parentId) await this._rollUpInitiative(combat, data.parentId);
+
     // Update UI expand state
     const expandedSet = expandStore.load(combat.id);
     expandedSet.add(groupId);
@@ -558,10 +1012,11 @@ export class GroupManager {
   }
 
   /**
-   * Updates group metadata fields (name, icon, color).
+   * Updates group metadata fields (name, icon, color, initiative mode, ...).
+   * Changing the initiative mode re-finalizes the group if it is fully rolled.
    * @param {Combat} combat
    * @param {string} groupId
-   * @param {Object} data - Partial update: {name?, img?, color?}
+   * @param {Object} data - Partial update: {name?, img?, color?, initiativeMode?, singleTurn?, rerollEachRound?}
    */
   static async editGroup(combat, groupId, data = {}) {
     const log = logger.fn("editGroup");
@@ -584,15 +1039,25 @@ export class GroupManager {
     if (data.color !== undefined) updateObj[`flags.${MODULE_ID}.groups.${groupId}.color`] = data.color;
     if (data.discipline !== undefined) updateObj[`flags.${MODULE_ID}.groups.${groupId}.discipline`] = data.discipline;
     if (data.mobConfidenceDivisor !== undefined) updateObj[`flags.${MODULE_ID}.groups.${groupId}.mobConfidenceDivisor`] = data.mobConfidenceDivisor;
+    if (data.singleTurn !== undefined) updateObj[`flags.${MODULE_ID}.groups.${groupId}.singleTurn`] = !!data.singleTurn;
+    if (data.rerollEachRound !== undefined) updateObj[`flags.${MODULE_ID}.groups.${groupId}.rerollEachRound`] = !!data.rerollEachRound;
+
+    const modeChanged = data.initiativeMode !== undefined
+      && data.initiativeMode !== (group.initiativeMode ?? INITIATIVE_MODE.AVERAGE);
+    if (modeChanged) updateObj[`flags.${MODULE_ID}.groups.${groupId}.initiativeMode`] = data.initiativeMode;
 
     if (Object.keys(updateObj).length) {
+      GroupHistory.record(combat, `Edit Group: ${group.name}`);
       await combat.update(updateObj);
       log.debug(`Edited group "${data.name ?? group.name}"`, { groupId });
     }
+
+    if (modeChanged) await this.finalizeGroupInitiative(combat, groupId);
   }
 
   /**
    * Sets a group's initiative to a specific value, preserving relative member offsets.
+   * Sub-groups of a parent shift along with it.
    * @param {Combat} combat
    * @param {string} groupId
    * @param {number} value - The new base initiative value
@@ -609,11 +1074,11 @@ export class GroupManager {
       return;
     }
 
-    const members = combat.combatants.filter(
-      (c) => c.getFlag(MODULE_ID, "groupId") === groupId
-    );
+    const members = this.getGroupMembers(combat, groupId, { recursive: true });
     if (!members.length) return;
 
+    GroupHistory.record(combat, `Set Group Initiative: ${value}`);
+
     const oldInitList = members.map((c) => c.initiative ?? 0);
     const oldAvg = oldInitList.reduce((a, b) => a + b, 0) / members.length || 0;
 
@@ -622,17 +1087,33 @@ export class GroupManager {
       initiative: value + ((c.initiative ?? 0) - oldAvg),
     }));
 
+    const flagUpdate = {
+      [`flags.${MODULE_ID}.groups.${groupId}.initiative`]: value,
+      [`flags.${MODULE_ID}.groups.${groupId}.-=actsAfter`]: null,
+    };
+    for (const subId of this.getDescendantGroupIds(combat, groupId)) {
+      flagUpdate[`flags.${MODULE_ID}.groups.${subId}.-=actsAfter`] = null;
+      const subInit = combat.getFlag(MODULE_ID, `groups.${subId}.initiative`);
+      if (Number.isFinite(subInit)) {
+        flagUpdate[`flags.${MODULE_ID}.groups.${subId}.initiative`] = +(subInit + value - oldAvg).toFixed(2);
+      }
+    }
+
     await Promise.all([
       combat.updateEmbeddedDocuments("Combatant", updates),
-      combat.update({ [`flags.${MODULE_ID}.groups.${groupId}.initiative`]: value }),
+      combat.update(flagUpdate),
     ]);
+    await applyTurnOrder(combat);
 
-    const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}`)?.name ?? "Unnamed Group";
-    log.debug(`Set group initiative to ${value}`, { groupId, groupName });
+    const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
+    if (meta.parentId) await this._rollUpInitiative(combat, meta.parentId);
+
+    log.debug(`Set group initiative to ${value}`, { groupId, groupName: meta.name ?? "Unnamed Group" });
   }
 
   /**
-   * Resets all member initiatives to null and clears the group initiative flag.
+   * Resets all member initiatives to null and clears the group initiative flag, along with
+   * any Delay / Ready hold. Resetting a parent also resets its sub-groups.
    * @param {Combat} combat
    * @param {string} groupId
    */
@@ -644,23 +1125,34 @@ export class GroupManager {
       return;
     }
 
-    const members = combat.combatants.filter(
-      (c) => c.getFlag(MODULE_ID, "groupId") === groupId
-    );
+    const members = this.getGroupMembers(combat, groupId, { recursive: true });
+
+    GroupHistory.record(combat, "Reset Group Initiative");
 
-    const updates = members.map((c) => ({ _id: c.id, initiative: null }));
+    const updates = members.map((c) => ({ _id: c.id, initiative: null, [`flags.${MODULE_ID}.-=tieBreak`]: null }));
+
+    const flagUpdate = {};
+    for (const id of [groupId, ...this.getDescendantGroupIds(combat, groupId)]) {
+      flagUpdate[`flags.${MODULE_ID}.groups.${id}.-=initiative`] = null;
+      flagUpdate[`flags.${MODULE_ID}.groups.${id}.-=sharedRoll`] = null;
+      flagUpdate[`flags.${MODULE_ID}.groups.${id}.-=tieBreak`] = null;
+      flagUpdate[`flags.${MODULE_ID}.groups.${id}.-=actsAfter`] = null;
+      flagUpdate[`flags.${MODULE_ID}.groups.${id}.-=held`] = null;
+    }
 
     await Promise.all([
       combat.updateEmbeddedDocuments("Combatant", updates),
-      combat.update({ [`flags.${MODULE_ID}.groups.${groupId}.-=initiative`]: null }),
+      combat.update(flagUpdate),
     ]);
 
-    const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}`)?.name ?? "Unnamed Group";
-    log.debug(`Reset initiative for "${groupName}"`, { groupId });
+    const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
+    if (meta.parentId) await this._rollUpInitiative(combat, meta.parentId);
+
+    log.debug(`Reset initiative for "${meta.name ?? "Unnamed Group"}"`, { groupId });
   }
 
   /**
-   * Toggles the hidden state of a group and all its members.
+   * Toggles the hidden state of a group and all its members, sub-groups included.
    * Respects the visibilitySyncMode setting for canvas token updates.
    * @param {Combat} combat
    * @param {string} groupId
@@ -675,14 +1167,19 @@ export class GroupManager {
     }
 
     const groupCfg = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
-    const members = combat.combatants.filter(
-      (c) => c.getFlag(MODULE_ID, "groupId") === groupId
-    );
+    const members = this.getGroupMembers(combat, groupId, { recursive: true });
     const newHidden = !groupCfg.hidden;
     const syncMode = game.settings.get(MODULE_ID, "visibilitySyncMode");
 
+    GroupHistory.record(combat, `${newHidden ? "Hide" : "Show"} Group: ${groupCfg.name ?? "Unnamed Group"}`);
+
+    const flagUpdate = {};
+    for (const id of [groupId, ...this.getDescendantGroupIds(combat, groupId)]) {
+      flagUpdate[`flags.${MODULE_ID}.groups.${id}.hidden`] = newHidden;
+    }
+
     const updates = [
-      combat.update({ [`flags.${MODULE_ID}.groups.${groupId}.hidden`]: newHidden }),
+      combat.update(flagUpdate),
       combat.updateEmbeddedDocuments("Combatant",
         members.map((c) => ({ _id: c.id, hidden: newHidden }))
       ),
@@ -715,35 +1212,132 @@ export class GroupManager {
   }
 
   /**
-   * Assigns existing combatants to a group.
+   * Returns the group's leader combatant, if one is designated and still a member.
    * @param {Combat} combat
    * @param {string} groupId
-   * @param {string[]} combatantIds - Array of combatant document IDs
+   * @returns {Combatant|null}
    */
-  static async addCombatantsToGroup(combat, groupId, combatantIds) {
-    const log = logger.fn("addCombatantsToGroup");
+  static getGroupLeader(combat, groupId) {
+    const leaderId = combat?.getFlag(MODULE_ID, `groups.${groupId}.leaderId`);
+    if (!leaderId) return null;
+    const leader = combat.combatants.get(leaderId);
+    return leader?.getFlag(MODULE_ID, "groupId") === groupId ? leader : null;
+  }
+
+  /**
+   * Designates a group member as leader, or clears the leader when combatantId is null.
+   * Re-finalizes the group if it uses the leader initiative mode.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {string|null} combatantId
+   */
+  static async setGroupLeader(combat, groupId, combatantId) {
+    const log = logger.fn("setGroupLeader");
 
     if (!isGM()) {
-      log.warn("Non-GM attempted to add combatants to group");
+      log.warn("Non-GM attempted to set group leader");
       return;
     }
-    if (!combat || !groupId || !combatantIds?.length) return;
+    if (!combat || !groupId) throw new Error("combat and groupId are required");
 
     const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
     if (!group) {
-      ui.notifications.warn("Target group does not exist.");
+      ui.notifications.warn("Could not find group data.");
       return;
     }
 
-    const updates = combatantIds.map((id) => ({
-      _id: id,
-      [`flags.${MODULE_ID}.groupId`]: groupId,
-    }));
-
+    if (combatantId) {
+      const combatant = combat.combatants.get(combatantId);
+      if (combatant?.getFlag(MODULE_ID, "groupId") !== groupId) {
+        ui.notifications.warn("The leader must be a member of the group.");
+        return;
+      }
+      GroupHistory.record(combat, `Set Leader: ${combatant.name}`);
+      await combat.update({
+        [`flags.${MODULE_ID}.groups.${groupId}.leaderId`]: combatantId,
+        [`flags.${MODULE_ID}.groups.${groupId}.-=leaderDown`]: null,
+      });
+      log.debug(`"${combatant.name}" now leads "${group.name}"`, { groupId });
+    } else {
+      GroupHistory.record(combat, `Clear Leader: ${group.name}`);
+      await combat.update({
+        [`flags.${MODULE_ID}.groups.${groupId}.-=leaderId`]: null,
+        [`flags.${MODULE_ID}.groups.${groupId}.-=leaderDown`]: null,
+      });
+      log.debug(`Cleared leader of "${group.name}"`, { groupId });
+    }
+
+    if (group.initiativeMode === INITIATIVE_MODE.LEADER) {
+      await this.finalizeGroupInitiative(combat, groupId);
+    }
+  }
+
+  /**
+   * Assigns existing combatants to a group.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {string[]} combatantIds - Array of combatant document IDs
+   */
+  static async addCombatantsToGroup(combat, groupId, combatantIds) {
+    const log = logger.fn("addCombatantsToGroup");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to add combatants to group");
+      return;
+    }
+    if (!combat || !groupId || !combatantIds?.length) return;
+
+    const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+    if (!group) {
+      ui.notifications.warn("Target group does not exist.");
+      return;
+    }
+
+    GroupHistory.record(combat, `Add to Group: ${group.name}`);
+
+    const updates = combatantIds.map((id) => ({
+      _id: id,
+      [`flags.${MODULE_ID}.groupId`]: groupId,
+    }));
+
     await combat.updateEmbeddedDocuments("Combatant", updates);
+    if (group.parentId) await this._rollUpInitiative(combat, group.parentId);
     log.debug(`Added ${combatantIds.length} combatants to group "${group.name}"`, { groupId });
   }
 
+  /**
+   * Slots combatants that just joined a group into its initiative block: members are ordered
+   * by their own initiative and staggered just above the group's. Used by drag-and-drop,
+   * auto-assignment and the "Move Selected to Group" menu so all three place alike.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {number} baseInit - The group's initiative
+   * @param {Combatant[]} newCombatants
+   * @private
+   */
+  static async _insertIntoGroupOrder(combat, groupId, baseInit, newCombatants) {
+    const newIds = new Set(newCombatants.map((c) => c.id));
+    const existing = combat.combatants.filter(
+      (c) =>
+        c.getFlag(MODULE_ID, "groupId") === groupId &&
+        !newIds.has(c.id) &&
+        Number.isFinite(c.initiative)
+    );
+
+    const sorted = [...existing, ...newCombatants].sort(
+      (a, b) => (b.initiative || 0) - (a.initiative || 0)
+    );
+
+    const updates = sorted.map((c, i) => ({
+      _id: c.id,
+      initiative: parseFloat((baseInit + CONSTANTS.STAGGER_INCREMENT + (sorted.length - i) * CONSTANTS.STAGGER_INCREMENT).toFixed(2)),
+    }));
+
+    if (isGM()) {
+      await combat.updateEmbeddedDocuments("Combatant", updates);
+    }
+  }
+
   /**
    * Removes a combatant from its group (reverts to ungrouped).
    * @param {Combat} combat
@@ -761,9 +1355,172 @@ export class GroupManager {
     const combatant = combat.combatants.get(combatantId);
     if (!combatant) return;
 
+    const oldGroupId = combatant.getFlag(MODULE_ID, "groupId");
+
+    GroupHistory.record(combat, `Remove from Group: ${combatant.name}`);
     await combatant.unsetFlag(MODULE_ID, "groupId");
+    if (oldGroupId) await this._rollUpInitiative(combat, oldGroupId);
     log.debug(`Removed combatant "${combatant.name}" from group`);
   }
+
+  /**
+   * Moves every member of one group into another and deletes the emptied group.
+   * Casualty counters are combined and the target's initiative is re-finalized.
+   * @param {Combat} combat
+   * @param {string} sourceId - Group to dissolve
+   * @param {string} targetId - Group that receives the members
+   * @returns {Promise<boolean>}
+   */
+  static async mergeGroups(combat, sourceId, targetId) {
+    const log = logger.fn("mergeGroups");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to merge groups");
+      return false;
+    }
+    if (!combat || !sourceId || !targetId) throw new Error("combat, sourceId and targetId are required");
+
+    const source = combat.getFlag(MODULE_ID, `groups.${sourceId}`);
+    const target = combat.getFlag(MODULE_ID, `groups.${targetId}`);
+    if (!source || !target) {
+      ui.notifications.warn("Could not find group data.");
+      return false;
+    }
+    if (sourceId === targetId) return false;
+    if (this.getDescendantGroupIds(combat, sourceId).includes(targetId)) {
+      ui.notifications.warn(`"${target.name}" is nested inside "${source.name}"; move it out before merging.`);
+      return false;
+    }
+
+    const sourceMembers = this.getGroupMembers(combat, sourceId);
+    const targetMembers = this.getGroupMembers(combat, targetId);
+
+    // Starting sizes only add up if at least one side has been recorded
+    let startingSize = null;
+    if (source.startingSize != null || target.startingSize != null) {
+      startingSize = (source.startingSize ?? sourceMembers.length + (source.deletedCount ?? 0))
+        + (target.startingSize ?? targetMembers.length + (target.deletedCount ?? 0));
+    }
+
+    const flagUpdate = {
+      [`flags.${MODULE_ID}.groups.-=${sourceId}`]: null,
+      [`flags.${MODULE_ID}.groups.${targetId}.deletedCount`]: (source.deletedCount ?? 0) + (target.deletedCount ?? 0),
+      [`flags.${MODULE_ID}.groups.${targetId}.startingSize`]: startingSize,
+    };
+    if (!target.leaderId && source.leaderId) {
+      flagUpdate[`flags.${MODULE_ID}.groups.${targetId}.leaderId`] = source.leaderId;
+      if (source.leaderDown) flagUpdate[`flags.${MODULE_ID}.groups.${targetId}.leaderDown`] = true;
+    }
+    for (const childId of this.getChildGroupIds(combat, sourceId)) {
+      flagUpdate[`flags.${MODULE_ID}.groups.${childId}.parentId`] = targetId;
+    }
+
+    GroupHistory.record(combat, `Merge Group: ${source.name} → ${target.name}`);
+
+    try {
+      await combat.update(flagUpdate);
+      if (sourceMembers.length) {
+        await combat.updateEmbeddedDocuments("Combatant",
+          sourceMembers.map((c) => ({ _id: c.id, [`flags.${MODULE_ID}.groupId`]: targetId }))
+        );
+      }
+
+      await this.finalizeGroupInitiative(combat, targetId);
+      await this._rollUpInitiative(combat, targetId);
+      if (source.parentId) await this._rollUpInitiative(combat, source.parentId);
+
+      log.success(`Merged "${source.name}" into "${target.name}"`, { moved: sourceMembers.length });
+      return true;
+    } catch (err) {
+      log.errorNotify(`Error merging "${source.name}" into "${target.name}"`, err);
+      return false;
+    }
+  }
+
+  /**
+   * Moves some members of a group into a new group with the same settings.
+   * @param {Combat} combat
+   * @param {string} groupId - Group to split
+   * @param {string[]} combatantIds - Members to move
+   * @param {Object} [data={}] - Overrides for the new group (see createGroup); name defaults to "<name> (Split)"
+   * @param {Object} [options]
+   * @param {"inherit"|"reroll"} [options.initiative="inherit"] - Keep the moved members' rolls, or roll the new group fresh
+   * @returns {Promise<string|null>} The new groupId, or null on failure
+   */
+  static async splitGroup(combat, groupId, combatantIds, data = {}, { initiative = "inherit" } = {}) {
+    const log = logger.fn("splitGroup");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to split group");
+      return null;
+    }
+    if (!combat || !groupId) throw new Error("combat and groupId are required");
+
+    const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+    if (!group) {
+      ui.notifications.warn("Could not find group data.");
+      return null;
+    }
+
+    const moving = this.getGroupMembers(combat, groupId).filter((c) => combatantIds?.includes(c.id));
+    if (!moving.length) {
+      ui.notifications.warn("Select at least one member to split off.");
+      return null;
+    }
+
+    const newName = data.name || `${group.name} (Split)`;
+    const leaderMoved = moving.some((c) => c.id === group.leaderId);
+
+    return GroupHistory.batch(combat, `Split Group: ${group.name}`, async () => {
+      try {
+        const newId = await this.createGroup(combat, {
+          img: group.img,
+          color: group.color,
+          hidden: group.hidden,
+          pinned: group.pinned,
+          discipline: group.discipline,
+          initiativeMode: group.initiativeMode,
+          singleTurn: group.singleTurn,
+          rerollEachRound: group.rerollEachRound,
+          mobConfidenceDivisor: group.mobConfidenceDivisor,
+          parentId: group.parentId,
+          ...data,
+          name: newName,
+        });
+        if (!newId) return null;
+
+        const flagUpdate = {};
+        if (group.startingSize != null) {
+          flagUpdate[`flags.${MODULE_ID}.groups.${groupId}.startingSize`] = Math.max(group.startingSize - moving.length, 0);
+          flagUpdate[`flags.${MODULE_ID}.groups.${newId}.startingSize`] = moving.length;
+        }
+        if (leaderMoved) {
+          flagUpdate[`flags.${MODULE_ID}.groups.${groupId}.-=leaderId`] = null;
+          flagUpdate[`flags.${MODULE_ID}.groups.${groupId}.-=leaderDown`] = null;
+          flagUpdate[`flags.${MODULE_ID}.groups.${newId}.leaderId`] = group.leaderId;
+        }
+        if (Object.keys(flagUpdate).length) await combat.update(flagUpdate);
+
+        await combat.updateEmbeddedDocuments("Combatant",
+          moving.map((c) => ({
+            _id: c.id,
+            [`flags.${MODULE_ID}.groupId`]: newId,
+            ...(initiative === "reroll" ? { initiative: null } : {}),
+          }))
+        );
+
+        if (initiative === "reroll") await this.rollGroupAndApplyInitiative(combat, newId);
+        else await this.finalizeGroupInitiative(combat, newId);
+        await this.finalizeGroupInitiative(combat, groupId);
+
+        log.success(`Split ${moving.length} members from "${group.name}" into "${newName}"`, { groupId, newId });
+        return newId;
+      } catch (err) {
+        log.errorNotify(`Error splitting group "${group.name}"`, err);
+        return null;
+      }
+    });
+  }
 }
 
 /* ------------------------------------------------------------------ */
@@ -776,7 +1533,40 @@ export class GroupManager {
 export class GroupContextMenuManager {
   static getContextOptions() {
     if (!canManageGroups()) return [];
-    return [editGroupOption(), renameOption(), setInitiativeOption(), deleteOption()];
+    return [
+      editGroupOption(),
+      moraleRulesOption(),
+      moraleHistoryOption(),
+      renameOption(),
+      rollOption(),
+      setInitiativeOption(),
+      delayOption(),
+      readyOption(),
+      actNowOption(),
+      returnToOrderOption(),
+      assignSideOption(),
+      detachOption(),
+      mergeOption(),
+      splitOption(),
+      saveTemplateOption(),
+      deleteOption(),
+    ];
+  }
+
+  /**
+   * Entries appended to the core combatant context menu (see getCombatantContextOptions hook).
+   * @returns {Object[]}
+   */
+  static getCombatantContextOptions() {
+    if (!canManageGroups()) return [];
+    return [
+      moveSelectionOption(),
+      newGroupFromSelectionOption(),
+      rerollMemberOption(),
+      assignCombatantSideOption(),
+      makeLeaderOption(),
+      removeLeaderOption(),
+    ];
   }
 
   static async prompt(title, msg, defVal = "") {
@@ -830,6 +1620,11 @@ function editGroupOption() {
         const currentDiscipline = group.discipline ?? "standard";
         const currentDivisor = group.mobConfidenceDivisor ?? game.settings.get(MODULE_ID, "moraleMobConfidenceDivisor");
 
+        const currentMode = group.initiativeMode ?? INITIATIVE_MODE.AVERAGE;
+        const modeOptions = getInitiativeStrategies()
+          .map((s) => `<option value="${s.id}" ${s.id === currentMode ? "selected" : ""}>${s.label}</option>`)
+          .join("");
+
         const moraleFields = moraleEnabled ? `
           <div class="form-group" style="margin-top: 10px;">
             <label>Discipline Level:</label>
@@ -863,6 +1658,22 @@ function editGroupOption() {
             <label>Color:</label>
             <input id="g-color" type="color" value="${group.color ?? "#ffffff"}" style="width:100%; height:30px; border:none;">
           </div>
+          <div class="form-group" style="margin-top: 5px;">
+            <label>Initiative Mode:</label>
+            <select id="g-init-mode" style="width: 100%;">${modeOptions}</select>
+          </div>
+          <div class="form-group">
+            <label style="display:flex; align-items:center; gap:5px;">
+              <input id="g-single-turn" type="checkbox" ${group.singleTurn ? "checked" : ""}>
+              Act on a Single Turn
+            </label>
+          </div>
+          <div class="form-group">
+            <label style="display:flex; align-items:center; gap:5px;">
+              <input id="g-reroll-round" type="checkbox" ${group.rerollEachRound ? "checked" : ""}>
+              Reroll Initiative Each Round
+            </label>
+          </div>
           ${moraleFields}
         `;
 
@@ -881,6 +1692,9 @@ function editGroupOption() {
                   name: form.querySelector("#g-name").value.trim() || group.name,
                   img: form.querySelector("#g-img").value.trim() || group.img,
                   color: form.querySelector("#g-color").value.trim() || group.color,
+                  initiativeMode: form.querySelector("#g-init-mode").value,
+                  singleTurn: form.querySelector("#g-single-turn").checked,
+                  rerollEachRound: form.querySelector("#g-reroll-round").checked,
                 };
                 const disciplineEl = form.querySelector("#g-discipline");
                 if (disciplineEl) result.discipline = disciplineEl.value;
@@ -913,6 +1727,30 @@ function editGroupOption() {
   };
 }
 
+function moraleRulesOption() {
+  return {
+    name: "Morale Rules…",
+    icon: '<i class="fas fa-flag"></i>',
+    condition: (li) => isGM() && !!li?.closest(".sci-combatant-group") && game.settings.get(MODULE_ID, "moraleEnabled"),
+    callback: (li) => {
+      const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+      new MoraleRulesConfig({ id: `sci-morale-rules-${groupId}`, combat: game.combat, groupId }).render(true);
+    },
+  };
+}
+
+function moraleHistoryOption() {
+  return {
+    name: "Morale History",
+    icon: '<i class="fas fa-scroll"></i>',
+    condition: (li) => isGM() && !!li?.closest(".sci-combatant-group") && game.settings.get(MODULE_ID, "moraleEnabled"),
+    callback: (li) => {
+      const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+      new MoraleHistoryView({ id: `sci-morale-history-${groupId}`, combat: game.combat, groupId }).render(true);
+    },
+  };
+}
+
 function renameOption() {
   return {
     name: "Rename Group",
@@ -935,6 +1773,7 @@ function renameOption() {
         if (!newName || newName === group.name) return;
 
         if (isGM()) {
+          GroupHistory.record(combat, `Rename Group: ${group.name}`);
           await combat.setFlag(MODULE_ID, `groups.${groupId}.name`, newName);
           log.debug(`Renamed group to "${newName}"`, { groupId });
         }
@@ -945,6 +1784,23 @@ function renameOption() {
   };
 }
 
+function rollOption() {
+  return {
+    name: "Roll Initiative…",
+    icon: '<i class="fa-solid fa-dice-d20"></i>',
+    condition: (li) => isGM() && !!li?.closest(".sci-combatant-group"),
+    callback: async (li) => {
+      const log = logger.fn("configureGroupRoll");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        await GroupManager.configureGroupRoll(game.combat, groupId);
+      } catch (err) {
+        log.errorNotify("Error rolling group initiative", err);
+      }
+    },
+  };
+}
+
 function setInitiativeOption() {
   return {
     name: "Set Group Initiative",
@@ -978,6 +1834,291 @@ function setInitiativeOption() {
   };
 }
 
+/**
+ * Whether the group in `li` can start holding: the combat is running and neither the group
+ * nor a parent group is already holding.
+ * @param {HTMLElement} li
+ * @returns {boolean}
+ */
+function canHold(li) {
+  const groupId = li?.closest(".sci-combatant-group")?.dataset?.groupKey;
+  const combat = game.combat;
+  return isGM() && !!groupId && !!combat?.started && !getHeldGroupOf(combat, groupId);
+}
+
+function delayOption() {
+  return {
+    name: "Delay Group",
+    icon: '<i class="fas fa-hourglass-half"></i>',
+    condition: canHold,
+    callback: async (li) => {
+      const log = logger.fn("delayGroup");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        await HoldManager.holdGroup(game.combat, groupId, HOLD_TYPE.DELAY);
+      } catch (err) {
+        log.errorNotify("Error delaying group", err);
+      }
+    },
+  };
+}
+
+function readyOption() {
+  return {
+    name: "Ready Group…",
+    icon: '<i class="fas fa-hand"></i>',
+    condition: canHold,
+    callback: async (li) => {
+      const log = logger.fn("readyGroup");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        const combat = game.combat;
+        const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+
+        const trigger = await GroupContextMenuManager.prompt(
+          "Ready Group",
+          `What is "${groupName}" waiting for?`
+        );
+        if (trigger === null) return;
+
+        await HoldManager.holdGroup(combat, groupId, HOLD_TYPE.READY, { trigger });
+      } catch (err) {
+        log.errorNotify("Error readying group", err);
+      }
+    },
+  };
+}
+
+function actNowOption() {
+  return {
+    name: "Act Now",
+    icon: '<i class="fas fa-play"></i>',
+    condition: (li) => {
+      const groupId = li?.closest(".sci-combatant-group")?.dataset?.groupKey;
+      return isGM() && !!groupId && !!game.combat?.getFlag(MODULE_ID, `groups.${groupId}.held`);
+    },
+    callback: async (li) => {
+      const log = logger.fn("actNow");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        await HoldManager.actNow(game.combat, groupId);
+      } catch (err) {
+        log.errorNotify("Error inserting held group", err);
+      }
+    },
+  };
+}
+
+function returnToOrderOption() {
+  return {
+    name: "Return to Order",
+    icon: '<i class="fas fa-undo"></i>',
+    condition: (li) => {
+      const groupId = li?.closest(".sci-combatant-group")?.dataset?.groupKey;
+      return isGM() && !!groupId && !!game.combat?.getFlag(MODULE_ID, `groups.${groupId}.held`);
+    },
+    callback: async (li) => {
+      const log = logger.fn("releaseGroup");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        await HoldManager.releaseGroup(game.combat, groupId);
+      } catch (err) {
+        log.errorNotify("Error returning group to the order", err);
+      }
+    },
+  };
+}
+
+function assignSideOption() {
+  return {
+    name: "Assign Side…",
+    icon: '<i class="fas fa-chess"></i>',
+    condition: (li) => {
+      const groupId = li?.closest(".sci-combatant-group")?.dataset?.groupKey;
+      const combat = game.combat;
+      return isGM() && !!groupId && isSideMode(combat) && !combat.getFlag(MODULE_ID, `groups.${groupId}.parentId`);
+    },
+    callback: async (li) => {
+      const log = logger.fn("assignSide");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        const combat = game.combat;
+        const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+
+        const result = await promptSide(getSideChoices(combat), {
+          title: `Assign Side: ${group?.name ?? "Unnamed Group"}`,
+          current: group?.side ?? null,
+        });
+        if (!result) return;
+
+        await SideManager.assignSide(combat, { groupIds: [groupId] }, result.side);
+      } catch (err) {
+        log.errorNotify("Error assigning side", err);
+      }
+    },
+  };
+}
+
+function detachOption() {
+  return {
+    name: "Move Out of Parent Group",
+    icon: '<i class="fas fa-level-up-alt"></i>',
+    condition: (li) => {
+      const groupId = li?.closest(".sci-combatant-group")?.dataset?.groupKey;
+      return isGM() && !!groupId && !!game.combat?.getFlag(MODULE_ID, `groups.${groupId}.parentId`);
+    },
+    callback: async (li) => {
+      const log = logger.fn("detachGroup");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        await GroupManager.setParentGroup(game.combat, groupId, null);
+      } catch (err) {
+        log.errorNotify("Error moving group out of its parent", err);
+      }
+    },
+  };
+}
+
+function mergeOption() {
+  return {
+    name: "Merge Into…",
+    icon: '<i class="fas fa-object-group"></i>',
+    condition: (li) => isGM() && !!li?.closest(".sci-combatant-group"),
+    callback: async (li) => {
+      const log = logger.fn("mergeGroup");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        const combat = game.combat;
+        const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+        if (!group) return ui.notifications.warn("Could not find group data.");
+
+        const excluded = new Set([groupId, ...GroupManager.getDescendantGroupIds(combat, groupId)]);
+        const targets = Object.entries(combat.getFlag(MODULE_ID, "groups") ?? {})
+          .filter(([id]) => !excluded.has(id));
+        if (!targets.length) return ui.notifications.info("There is no other group to merge into.");
+
+        const options = targets
+          .map(([id, g]) => `<option value="${id}">${foundry.utils.escapeHTML(g.name ?? "Unnamed Group")}</option>`)
+          .join("");
+
+        const targetId = await foundry.applications.api.DialogV2.wait({
+          window: { title: `Merge "${group.name}"` },
+          content: `
+            <p>Move every member of <strong>${foundry.utils.escapeHTML(group.name)}</strong> into:</p>
+            <div class="form-group">
+              <select id="sci-merge-target" style="width: 100%;">${options}</select>
+            </div>
+          `,
+          buttons: [
+            {
+              action: "ok",
+              label: "Merge",
+              icon: "fas fa-check",
+              default: true,
+              callback: (event, button, dialog) => dialog.element.querySelector("#sci-merge-target")?.value,
+            },
+            { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+          ],
+        });
+
+        if (!targetId || targetId === "cancel") return;
+        await GroupManager.mergeGroups(combat, groupId, targetId);
+      } catch (err) {
+        log.errorNotify("Error merging group", err);
+      }
+    },
+  };
+}
+
+function splitOption() {
+  return {
+    name: "Split Group…",
+    icon: '<i class="fas fa-code-branch"></i>',
+    condition: (li) => {
+      const groupId = li?.closest(".sci-combatant-group")?.dataset?.groupKey;
+      return isGM() && !!groupId && GroupManager.getGroupMembers(game.combat, groupId).length > 1;
+    },
+    callback: async (li) => {
+      const log = logger.fn("splitGroup");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        const combat = game.combat;
+        const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+        if (!group) return ui.notifications.warn("Could not find group data.");
+
+        const memberRows = GroupManager.getGroupMembers(combat, groupId)
+          .map((c) => `
+            <label style="display: flex; align-items: center; gap: 6px; margin: 2px 0;">
+              <input type="checkbox" name="sci-split-member" value="${c.id}">
+              <img src="${c.img}" width="24" height="24" style="border: none;">
+              <span style="flex: 1;">${foundry.utils.escapeHTML(c.name)}</span>
+              <span style="opacity: 0.7;">${Number.isFinite(c.initiative) ? Math.round(c.initiative) : "–"}</span>
+            </label>`)
+          .join("");
+
+        const result = await foundry.applications.api.DialogV2.wait({
+          window: { title: `Split "${group.name}"` },
+          content: `
+            <div class="form-group">
+              <label>New Group Name:</label>
+              <input id="sci-split-name" type="text" value="${foundry.utils.escapeHTML(`${group.name} (Split)`)}">
+            </div>
+            <p style="margin: 6px 0 2px;">Members to move:</p>
+            <div style="max-height: 300px; overflow-y: auto;">${memberRows}</div>
+            <div class="form-group" style="margin-top: 6px;">
+              <label>Initiative:</label>
+              <select id="sci-split-init" style="width: 100%;">
+                <option value="inherit">Keep current rolls</option>
+                <option value="reroll">Re-roll the new group</option>
+              </select>
+            </div>
+          `,
+          buttons: [
+            {
+              action: "ok",
+              label: "Split",
+              icon: "fas fa-check",
+              default: true,
+              callback: (event, button, dialog) => {
+                const form = dialog.element;
+                return {
+                  name: form.querySelector("#sci-split-name").value.trim(),
+                  ids: [...form.querySelectorAll("input[name='sci-split-member']:checked")].map((el) => el.value),
+                  initiative: form.querySelector("#sci-split-init").value,
+                };
+              },
+            },
+            { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+          ],
+        });
+
+        if (!result || result === "cancel") return;
+        await GroupManager.splitGroup(combat, groupId, result.ids, { name: result.name }, { initiative: result.initiative });
+      } catch (err) {
+        log.errorNotify("Error splitting group", err);
+      }
+    },
+  };
+}
+
+function saveTemplateOption() {
+  return {
+    name: "Save as Template",
+    icon: '<i class="fas fa-book"></i>',
+    condition: (li) => isGM() && !!li?.closest(".sci-combatant-group"),
+    callback: async (li) => {
+      const log = logger.fn("saveTemplate");
+      try {
+        const groupId = li.closest(".sci-combatant-group")?.dataset?.groupKey;
+        const templateId = await GroupTemplateManager.saveGroupAsTemplate(game.combat, groupId);
+        if (templateId) ui.notifications.info("Saved group as a template.");
+      } catch (err) {
+        log.errorNotify("Error saving group template", err);
+      }
+    },
+  };
+}
+
 function deleteOption() {
   return {
     name: "Delete Group",
@@ -988,4 +2129,220 @@ function deleteOption() {
       await GroupManager.deleteGroup(game.combat, groupId, { confirm: true });
     },
   };
-}
\ No newline at end of file
+}
+
+/* ------------------------------------------------------------------ */
+/*  Combatant Context Menu Option Factories                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Resolves the combatant and its group from a combatant row.
+ * @param {HTMLElement} li
+ * @returns {{combat: Combat|null, combatant: Combatant|null, groupId: string|null}}
+ */
+function resolveCombatantRow(li) {
+  const combat = game.combat;
+  const combatant = combat?.combatants.get(li?.dataset?.combatantId) ?? null;
+  const groupId = combatant?.getFlag(MODULE_ID, "groupId");
+  return { combat, combatant, groupId: groupId && groupId !== UNGROUPED ? groupId : null };
+}
+
+/**
+ * The combatants a row's context menu acts on: the whole multi-selection if the row is
+ * part of it, otherwise just the row.
+ * @param {HTMLElement} li
+ * @returns {string[]}
+ */
+function resolveSelectedIds(li) {
+  const id = li?.dataset?.combatantId;
+  if (!id) return [];
+  return combatantSelection.has(id) ? [...combatantSelection] : [id];
+}
+
+/**
+ * Creates a group and moves the given combatants into it as one undoable action.
+ * @param {Combat} combat
+ * @param {string[]} ids
+ * @returns {Promise<string|null>}
+ */
+async function createGroupFromSelection(combat, ids) {
+  const data = await promptGroupData({ title: "New Group From Selection", label: "Create" });
+  if (!data?.name) return null;
+
+  return GroupHistory.batch(combat, `Create Group: ${data.name}`, async () => {
+    const groupId = await GroupManager.createGroup(combat, data);
+    if (groupId) await GroupManager.addCombatantsToGroup(combat, groupId, ids);
+    return groupId;
+  });
+}
+
+// A picker dialog rather than a "Move selected to group ▸" submenu: Foundry's ContextMenu
+// has no nested entries, and one flat entry per group would crowd the menu.
+function moveSelectionOption() {
+  return {
+    name: "Move Selected to Group…",
+    icon: '<i class="fas fa-people-arrows"></i>',
+    condition: (li) => isGM() && resolveSelectedIds(li).length > 0,
+    callback: async (li) => {
+      const log = logger.fn("moveSelection");
+      try {
+        const combat = game.combat;
+        const ids = resolveSelectedIds(li);
+        const groups = Object.entries(combat.getFlag(MODULE_ID, "groups") ?? {});
+
+        const options = groups
+          .map(([id, g]) => `<option value="${id}">${foundry.utils.escapeHTML(g.name ?? "Unnamed Group")}</option>`)
+          .join("");
+
+        const targetId = await foundry.applications.api.DialogV2.wait({
+          window: { title: `Move ${ids.length} Combatant${ids.length !== 1 ? "s" : ""}` },
+          content: `
+            <div class="form-group">
+              <label>Target Group:</label>
+              <select id="sci-move-target" style="width: 100%;">
+                ${options}
+                <option value="__new__">➕ New group from selection…</option>
+              </select>
+            </div>
+          `,
+          buttons: [
+            {
+              action: "ok",
+              label: "Move",
+              icon: "fas fa-check",
+              default: true,
+              callback: (event, button, dialog) => dialog.element.querySelector("#sci-move-target")?.value,
+            },
+            { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+          ],
+        });
+
+        if (!targetId || targetId === "cancel") return;
+
+        if (targetId === "__new__") {
+          await createGroupFromSelection(combat, ids);
+        } else {
+          await GroupManager.addCombatantsToGroup(combat, targetId, ids);
+          const group = combat.getFlag(MODULE_ID, `groups.${targetId}`);
+          if (group && Number.isFinite(group.initiative)) {
+            const moved = ids.map((id) => combat.combatants.get(id)).filter((c) => c?.actor);
+            await GroupManager._insertIntoGroupOrder(combat, targetId, group.initiative, moved);
+          }
+          await GroupManager._rollUpInitiative(combat, targetId);
+          ui.combat.render();
+        }
+        combatantSelection.clear();
+      } catch (err) {
+        log.errorNotify("Error moving combatants", err);
+      }
+    },
+  };
+}
+
+function newGroupFromSelectionOption() {
+  return {
+    name: "New Group From Selection",
+    icon: '<i class="fas fa-users-rectangle"></i>',
+    condition: (li) => isGM() && resolveSelectedIds(li).length > 1,
+    callback: async (li) => {
+      const log = logger.fn("newGroupFromSelection");
+      try {
+        const groupId = await createGroupFromSelection(game.combat, resolveSelectedIds(li));
+        if (groupId) combatantSelection.clear();
+      } catch (err) {
+        log.errorNotify("Error creating group from selection", err);
+      }
+    },
+  };
+}
+
+function rerollMemberOption() {
+  return {
+    name: "Reroll Initiative (Keep Group)",
+    icon: '<i class="fa-solid fa-dice-d20"></i>',
+    condition: (li) => {
+      const { combatant, groupId } = resolveCombatantRow(li);
+      return isGM() && !!groupId && Number.isFinite(combatant?.initiative);
+    },
+    callback: async (li) => {
+      const log = logger.fn("rerollMember");
+      try {
+        const { combat, combatant } = resolveCombatantRow(li);
+        await GroupManager.rerollMember(combat, combatant.id);
+      } catch (err) {
+        log.errorNotify("Error rerolling initiative", err);
+      }
+    },
+  };
+}
+
+function assignCombatantSideOption() {
+  return {
+    name: "Assign Side…",
+    icon: '<i class="fas fa-chess"></i>',
+    condition: (li) => {
+      const { combat, groupId } = resolveCombatantRow(li);
+      return isGM() && !groupId && isSideMode(combat);
+    },
+    callback: async (li) => {
+      const log = logger.fn("assignSide");
+      try {
+        const { combat, combatant } = resolveCombatantRow(li);
+        const ids = resolveSelectedIds(li);
+
+        const result = await promptSide(getSideChoices(combat), {
+          title: ids.length > 1 ? `Assign Side: ${ids.length} Combatants` : `Assign Side: ${combatant.name}`,
+          current: combatant.getFlag(MODULE_ID, "side") ?? null,
+        });
+        if (!result) return;
+
+        await SideManager.assignSide(combat, { combatantIds: ids }, result.side);
+        combatantSelection.clear();
+      } catch (err) {
+        log.errorNotify("Error assigning side", err);
+      }
+    },
+  };
+}
+
+function makeLeaderOption() {
+  return {
+    name: "Make Leader",
+    icon: '<i class="fas fa-crown"></i>',
+    condition: (li) => {
+      const { combat, combatant, groupId } = resolveCombatantRow(li);
+      if (!canManageGroups() || !groupId) return false;
+      return GroupManager.getGroupLeader(combat, groupId)?.id !== combatant.id;
+    },
+    callback: async (li) => {
+      const log = logger.fn("makeLeader");
+      try {
+        const { combat, combatant, groupId } = resolveCombatantRow(li);
+        await GroupManager.setGroupLeader(combat, groupId, combatant.id);
+      } catch (err) {
+        log.errorNotify("Error setting group leader", err);
+      }
+    },
+  };
+}
+
+function removeLeaderOption() {
+  return {
+    name: "Remove as Leader",
+    icon: '<i class="fas fa-user-minus"></i>',
+    condition: (li) => {
+      const { combat, combatant, groupId } = resolveCombatantRow(li);
+      if (!canManageGroups() || !groupId) return false;
+      return GroupManager.getGroupLeader(combat, groupId)?.id === combatant.id;
+    },
+    callback: async (li) => {
+      const log = logger.fn("removeLeader");
+      try {
+        const { combat, groupId } = resolveCombatantRow(li);
+        await GroupManager.setGroupLeader(combat, groupId, null);
+      } catch (err) {
+        log.errorNotify("Error clearing group leader", err);
+      }
+    },
+  };
+}
@@ -12,12 +12,28 @@ import {
   isGM,
   normalizeHtml,
   CONSTANTS,
+  combatantSelection,
 } from "./shared.js";
 import { GroupContextMenuManager, GroupManager } from "./class-objects.js";
+import { promptGroupData } from "./group-dialogs.js";
+import { GroupTemplateManager } from "./group-templates.js";
+import { AutoGroupManager } from "./auto-group.js";
+import { findAssignment } from "./assignment-rules.js";
+import { GroupHistory } from "./history.js";
+import { MoraleManager } from "./morale.js";
+import { TRIGGER_EVENT } from "./morale-triggers.js";
+import { SideManager } from "./side-initiative.js";
+import { isSideMode } from "./sides.js";
 
 /** Tracks elements that already have a ContextMenu attached (one per element, per render). */
 const _contextMenuElements = new WeakSet();
 
+/** Tracker lists that already have the multi-select click listener. */
+const _selectionLists = new WeakSet();
+
+/** Last plain/ctrl-clicked combatant id, the start of a shift-click range. */
+let _selectionAnchor = null;
+
 const SELECTORS = {
   list: ".combat-tracker",
   group: ".sci-combatant-group",
@@ -40,10 +56,13 @@ export function combatTrackerRendering(_app, html) {
   const combat = game.combat;
 
   ensureAddGroupButton(element);
+  updateUndoButton(element, combat);
+  updateSideModeButton(element, combat);
 
   if (!combat) return;
 
   enableTokenDrag(combat, element);
+  enableMultiSelect(combat, element);
   registerDropTargets(combat, element);
 }
 
@@ -53,20 +72,40 @@ export function combatTrackerRendering(_app, html) {
  */
 export function onDeleteCombat(combat) {
   expandStore.remove(combat.id);
+  GroupHistory.clear(combat.id);
   logger.trace("Cleaned up combat data", { fn: "onDeleteCombat", data: { combatId: combat.id } });
 }
 
 /**
- * Creation hook - ensures new combatants have a default group flag.
+ * Creation hook - places new combatants via the auto-assignment rules, or in the
+ * default "ungrouped" bucket. Assigned combatants are slotted into the group's
+ * initiative if it has already been rolled.
  * @param {Combatant} combatant
  */
 export async function onCreateCombatant(combatant) {
   if (isGM() && !combatant.getFlag(MODULE_ID, "groupId")) {
     try {
-      await combatant.setFlag(MODULE_ID, "groupId", "ungrouped");
-      logger.trace("Set default group for combatant", {
+      const assignment = await findAssignment(combatant);
+      if (!assignment) {
+        await combatant.setFlag(MODULE_ID, "groupId", "ungrouped");
+        logger.trace("Set default group for combatant", {
+          fn: "onCreateCombatant",
+          data: combatant.name
+        });
+        return;
+      }
+
+      const combat = combatant.parent;
+      await combatant.setFlag(MODULE_ID, "groupId", assignment.groupId);
+
+      const group = combat.getFlag(MODULE_ID, `groups.${assignment.groupId}`);
+      if (group && Number.isFinite(group.initiative)) {
+        await GroupManager._insertIntoGroupOrder(combat, assignment.groupId, group.initiative, [combatant]);
+      }
+
+      logger.debug(`Auto-assigned ${combatant.name} to "${group?.name}"`, {
         fn: "onCreateCombatant",
-        data: combatant.name
+        data: { rule: assignment.rule },
       });
     } catch (err) {
       logger.error("Error setting default group", err, { fn: "onCreateCombatant" });
@@ -148,15 +187,83 @@ export function attachContextMenu(element) {
 function ensureAddGroupButton(element) {
   if (element.querySelector(".sci-create-group-button")) return;
 
+  const wrapper = document.createElement("div");
+  wrapper.classList.add("sci-create-group-controls");
+
   const btn = document.createElement("button");
   btn.type = "button";
   btn.classList.add("sci-create-group-button");
   btn.innerHTML = `<i class="fas fa-plus"></i> Add Group`;
   btn.addEventListener("click", openCreateGroupDialog);
 
+  const templateBtn = document.createElement("button");
+  templateBtn.type = "button";
+  templateBtn.classList.add("sci-template-group-button");
+  templateBtn.title = "Add Group From Template";
+  templateBtn.innerHTML = `<i class="fas fa-book"></i>`;
+  templateBtn.addEventListener("click", openTemplateGroupDialog);
+
+  const autoBtn = document.createElement("button");
+  autoBtn.type = "button";
+  autoBtn.classList.add("sci-template-group-button", "sci-auto-group-button");
+  autoBtn.title = "Auto-Group Ungrouped Combatants";
+  autoBtn.innerHTML = `<i class="fas fa-layer-group"></i>`;
+  autoBtn.addEventListener("click", openAutoGroupDialog);
+
+  const undoBtn = document.createElement("button");
+  undoBtn.type = "button";
+  undoBtn.classList.add("sci-template-group-button", "sci-undo-group-button");
+  undoBtn.innerHTML = `<i class="fas fa-rotate-left"></i>`;
+  undoBtn.addEventListener("click", () => GroupHistory.undo(game.combat));
+
+  const sideBtn = document.createElement("button");
+  sideBtn.type = "button";
+  sideBtn.classList.add("sci-template-group-button", "sci-side-mode-button");
+  sideBtn.innerHTML = `<i class="fas fa-chess"></i>`;
+  sideBtn.addEventListener("click", async () => {
+    const combat = game.combat;
+    if (!combat) return;
+    try {
+      await SideManager.setSideMode(combat, !isSideMode(combat));
+    } catch (err) {
+      logger.fn("toggleSideMode").errorNotify("Error toggling side initiative", err);
+    }
+  });
+
+  wrapper.append(btn, templateBtn, autoBtn, undoBtn, sideBtn);
+
   const controls = element.querySelector(SELECTORS.header);
-  if (controls) controls.prepend(btn);
-  else element.prepend(btn);
+  if (controls) controls.prepend(wrapper);
+  else element.prepend(wrapper);
+}
+
+/**
+ * Enables the undo button and names the operation it would revert.
+ * @param {HTMLElement} element
+ * @param {Combat|null} combat
+ */
+function updateUndoButton(element, combat) {
+  const undoBtn = element.querySelector(".sci-undo-group-button");
+  if (!undoBtn) return;
+
+  const last = GroupHistory.getHistory(combat).undo[0];
+  undoBtn.disabled = !last;
+  undoBtn.title = last ? `Undo last group action: ${last.label}` : "Undo last group action";
+}
+
+/**
+ * Shows whether the combat uses side initiative.
+ * @param {HTMLElement} element
+ * @param {Combat|null} combat
+ */
+function updateSideModeButton(element, combat) {
+  const sideBtn = element.querySelector(".sci-side-mode-button");
+  if (!sideBtn) return;
+
+  const active = isSideMode(combat);
+  sideBtn.disabled = !combat;
+  sideBtn.classList.toggle("active", active);
+  sideBtn.title = active ? "Side Initiative: On (click to turn off)" : "Side Initiative: Off (click to turn on)";
 }
 
 function enableTokenDrag(combat, element) {
@@ -175,6 +282,90 @@ function enableTokenDrag(combat, element) {
 function handleDragStart(ev) {
   const id = ev.currentTarget.dataset.combatantId;
   ev.dataTransfer?.setData("text/plain", id);
+
+  // Dragging any selected row carries the whole selection
+  if (combatantSelection.has(id) && combatantSelection.size > 1) {
+    ev.dataTransfer?.setData(CONSTANTS.SELECTION_DRAG_TYPE, JSON.stringify([...combatantSelection]));
+  }
+}
+
+/**
+ * Shift/Ctrl-click multi-selection of combatant rows. Ctrl (Cmd) toggles a row,
+ * Shift extends from the last clicked row; a plain click clears the selection.
+ * @param {Combat} combat
+ * @param {HTMLElement} element
+ */
+function enableMultiSelect(combat, element) {
+  const list = element.querySelector(SELECTORS.list);
+  if (!list) return;
+
+  // Drop ids that left the combat, then restore the highlight on the fresh rows
+  for (const id of combatantSelection) {
+    if (!combat.combatants.has(id)) combatantSelection.delete(id);
+  }
+  list.querySelectorAll("li.combatant[data-combatant-id]").forEach((li) => {
+    li.classList.toggle("sci-selected", combatantSelection.has(li.dataset.combatantId));
+  });
+
+  if (_selectionLists.has(list)) return;
+  _selectionLists.add(list);
+
+  // Capture phase, so modifier clicks never reach the core row handlers (pan/control token)
+  list.addEventListener("click", (ev) => {
+    const li = ev.target.closest("li.combatant[data-combatant-id]");
+    if (!li || ev.target.closest("button, a, input, .combatant-controls")) return;
+
+    const rows = [...list.querySelectorAll("li.combatant[data-combatant-id]")];
+    const id = li.dataset.combatantId;
+
+    if (ev.shiftKey && _selectionAnchor) {
+      const from = rows.findIndex((row) => row.dataset.combatantId === _selectionAnchor);
+      const to = rows.indexOf(li);
+      if (from >= 0) {
+        const [start, end] = from < to ? [from, to] : [to, from];
+        rows.slice(start, end + 1).forEach((row) => combatantSelection.add(row.dataset.combatantId));
+      } else {
+        combatantSelection.add(id);
+      }
+    } else if (ev.ctrlKey || ev.metaKey || ev.shiftKey) {
+      if (combatantSelection.has(id)) combatantSelection.delete(id);
+      else combatantSelection.add(id);
+      _selectionAnchor = id;
+    } else {
+      if (combatantSelection.size) clearCombatantSelection(list);
+      _selectionAnchor = id;
+      return;
+    }
+
+    ev.preventDefault();
+    ev.stopPropagation();
+    rows.forEach((row) => row.classList.toggle("sci-selected", combatantSelection.has(row.dataset.combatantId)));
+  }, { capture: true });
+}
+
+/**
+ * Clears the multi-selection and its row highlights.
+ * @param {HTMLElement} [list]
+ */
+function clearCombatantSelection(list) {
+  combatantSelection.clear();
+  list?.querySelectorAll("li.combatant.sci-selected").forEach((row) => row.classList.remove("sci-selected"));
+}
+
+/**
+ * Reads the combatant ids carried by a drag: the whole selection, or the single dragged row.
+ * @param {DataTransfer} dataTransfer
+ * @returns {string[]}
+ */
+function getDraggedCombatantIds(dataTransfer) {
+  const selection = dataTransfer.getData(CONSTANTS.SELECTION_DRAG_TYPE);
+  if (selection) {
+    try {
+      return JSON.parse(selection);
+    } catch { /* fall through to the single id */ }
+  }
+  const id = dataTransfer.getData("text/plain");
+  return id ? [id] : [];
 }
 
 function registerDropTargets(combat, element) {
@@ -183,13 +374,13 @@ function registerDropTargets(combat, element) {
   if (!list) return;
 
   list.addEventListener("dragover", (ev) => {
-    if (ev.target.closest(SELECTORS.group)) {
+    if (ev.target.closest(SELECTORS.group) || ev.dataTransfer?.types.includes(CONSTANTS.GROUP_DRAG_TYPE)) {
       ev.preventDefault();
       ev.dataTransfer.dropEffect = "move";
     }
   });
 
-  // Drop on group -> assign
+  // Drop on group -> assign (or nest, when a group header is dragged)
   list.addEventListener("drop", async (ev) => {
     const groupRow = ev.target.closest(SELECTORS.group);
     if (!groupRow) return;
@@ -199,88 +390,95 @@ function registerDropTargets(combat, element) {
 
     try {
       const groupId = groupRow.dataset.groupKey;
-      const combatantId = ev.dataTransfer.getData("text/plain");
-      const combatant = combat.combatants.get(combatantId);
 
-      if (!combatant?.actor) return;
+      const draggedGroupId = ev.dataTransfer.getData(CONSTANTS.GROUP_DRAG_TYPE);
+      if (draggedGroupId) {
+        if (draggedGroupId !== groupId && isGM()) {
+          await GroupManager.setParentGroup(combat, draggedGroupId, groupId);
+        }
+        return;
+      }
+
+      const combatants = getDraggedCombatantIds(ev.dataTransfer)
+        .map((id) => combat.combatants.get(id))
+        .filter((c) => c?.actor);
+
+      if (!combatants.length) return;
 
-      log.debug("Assigning combatant to group", {
-        combatant: combatant.name,
+      log.debug("Assigning combatants to group", {
+        combatants: combatants.map((c) => c.name),
         groupId
       });
 
       if (isGM()) {
-        await combatant.setFlag(MODULE_ID, "groupId", groupId);
+        if (combatants.length > 1) {
+          await GroupManager.addCombatantsToGroup(combat, groupId, combatants.map((c) => c.id));
+          clearCombatantSelection(list);
+        } else {
+          GroupHistory.record(combat, `Move to Group: ${combatants[0].name}`);
+          await combatants[0].setFlag(MODULE_ID, "groupId", groupId);
+        }
       }
 
       const group = combat.getFlag(MODULE_ID, `groups.${groupId}`);
       if (group && Number.isFinite(group.initiative)) {
-        await handleGroupInsertionSort(combat, groupId, group.initiative, combatant);
+        await GroupManager._insertIntoGroupOrder(combat, groupId, group.initiative, combatants);
       }
+      if (isGM()) await GroupManager._rollUpInitiative(combat, groupId);
 
       ui.combat.render();
-      log.success("Combatant assigned to group");
+      log.success(`${combatants.length} combatant(s) assigned to group`);
     } catch (err) {
       log.errorNotify("Drop-to-group error", err);
     }
   });
 
-  // Drop elsewhere -> ungroup
+  // Drop elsewhere -> ungroup (or move a sub-group back to the top level)
   list.addEventListener("drop", async (ev) => {
     if (ev.target.closest(SELECTORS.group)) return;
 
     ev.preventDefault();
     try {
-      const combatantId = ev.dataTransfer.getData("text/plain");
-      if (!combatantId) return;
-      const c = combat.combatants.get(combatantId);
-      const oldGroup = c?.getFlag(MODULE_ID, "groupId");
+      const draggedGroupId = ev.dataTransfer.getData(CONSTANTS.GROUP_DRAG_TYPE);
+      if (draggedGroupId) {
+        if (isGM()) await GroupManager.setParentGroup(combat, draggedGroupId, null);
+        return;
+      }
 
-      if (c?.actor && oldGroup && oldGroup !== "ungrouped") {
-        log.debug("Ungrouping combatant", { combatant: c.name, oldGroup });
+      const grouped = getDraggedCombatantIds(ev.dataTransfer)
+        .map((id) => combat.combatants.get(id))
+        .filter((c) => c?.actor && c.getFlag(MODULE_ID, "groupId") && c.getFlag(MODULE_ID, "groupId") !== "ungrouped");
+      if (!grouped.length) return;
 
-        if (isGM()) {
-          await c.unsetFlag(MODULE_ID, "groupId");
-        }
+      const oldGroups = new Set(grouped.map((c) => c.getFlag(MODULE_ID, "groupId")));
+      log.debug("Ungrouping combatants", { combatants: grouped.map((c) => c.name), oldGroups: [...oldGroups] });
+      GroupHistory.record(combat, grouped.length > 1 ? `Ungroup ${grouped.length} Combatants` : `Ungroup: ${grouped[0].name}`);
 
+      if (isGM()) {
+        await combat.updateEmbeddedDocuments("Combatant",
+          grouped.map((c) => ({ _id: c.id, [`flags.${MODULE_ID}.-=groupId`]: null }))
+        );
+        clearCombatantSelection(list);
+      }
+
+      for (const oldGroup of oldGroups) {
         const remaining = combat.combatants.filter(
           (x) => x.getFlag(MODULE_ID, "groupId") === oldGroup
         );
         if (remaining.length === 0 && isGM()) {
           await combat.unsetFlag(MODULE_ID, `groups.${oldGroup}.initiative`);
         }
-
-        ui.combat.render();
-        log.success("Combatant ungrouped");
+        if (isGM()) await GroupManager._rollUpInitiative(combat, oldGroup);
       }
+
+      ui.combat.render();
+      log.success(`${grouped.length} combatant(s) ungrouped`);
     } catch (err) {
       log.error("Ungroup error", err);
     }
   });
 }
 
-async function handleGroupInsertionSort(combat, groupId, baseInit, newCombatant) {
-  const existing = combat.combatants.filter(
-    (c) =>
-      c.getFlag(MODULE_ID, "groupId") === groupId &&
-      c.id !== newCombatant.id &&
-      Number.isFinite(c.initiative)
-  );
-
-  const sorted = [...existing, newCombatant].sort(
-    (a, b) => (b.initiative || 0) - (a.initiative || 0)
-  );
-
-  const updates = sorted.map((c, i) => ({
-    _id: c.id,
-    initiative: parseFloat((baseInit + CONSTANTS.STAGGER_INCREMENT + (sorted.length - i) * CONSTANTS.STAGGER_INCREMENT).toFixed(2)),
-  }));
-
-  if (isGM()) {
-    await combat.updateEmbeddedDocuments("Combatant", updates);
-  }
-}
-
 /* ------------------------------------------------------------------ */
 /*  Dialog Logic                                                      */
 /* ------------------------------------------------------------------ */
@@ -295,16 +493,8 @@ async function openCreateGroupDialog() {
       return;
     }
 
-    let combat = game.combat;
-    if (!combat) {
-      if (!canvas.scene) {
-        ui.notifications.warn("Cannot create combat without an active scene.");
-        return;
-      }
-      combat = await game.combats.documentClass.create({ scene: canvas.scene.id });
-      await combat.activate();
-      log.trace("Created new combat encounter");
-    }
+    const combat = await ensureCombat();
+    if (!combat) return;
 
     const sel = canvas.tokens.controlled;
     const groupId = await GroupManager.createGroup(combat, data, sel);
@@ -316,82 +506,64 @@ async function openCreateGroupDialog() {
   }
 }
 
-async function promptGroupData() {
-  const moraleEnabled = game.settings.get(MODULE_ID, "moraleEnabled");
-
-  const disciplineField = moraleEnabled ? `
-    <div class="form-group" style="margin-top: 10px;">
-      <label>Discipline Level:</label>
-      <select id="g-discipline" style="width: 100%;">
-        <option value="standard" selected>Standard (Normal Roll)</option>
-        <option value="expendable">Expendable (Disadvantage)</option>
-        <option value="elite">Elite (Advantage)</option>
-        <option value="fearless">Fearless (Immune)</option>
-      </select>
-    </div>
-  ` : "";
-
-  const content = `
-    <div class="form-group">
-      <label>Name:</label>
-      <input id="g-name" type="text" value="New Group" autofocus>
-    </div>
-    <div class="form-group" style="display:flex; gap: 0.5em; align-items:center; margin-top: 5px;">
-      <label style="flex:0 0 auto;">Icon:</label>
-      <input id="g-img" type="text" style="flex:1" placeholder="icons/svg/skull.svg">
-      <button type="button" id="g-img-picker" title="Browse" style="flex:0 0 auto; width:30px;">
-        <i class="fas fa-file-import"></i>
-      </button>
-    </div>
-    <div class="form-group" style="margin-top: 5px;">
-      <label>Color:</label>
-      <input id="g-color" type="color" value="#ffffff" style="width:100%; height:30px; border:none;">
-    </div>
-    <div class="form-group" style="margin-top: 10px;">
-      <label style="display:flex; align-items:center; gap:5px;">
-        <input id="g-hidden" type="checkbox">
-        Start Hidden from Players
-      </label>
-    </div>
-    ${disciplineField}
-  `;
-
-  return foundry.applications.api.DialogV2.wait({
-    window: { title: "Create New Group" },
-    content,
-    buttons: [
-      {
-        action: "ok",
-        label: "Create",
-        icon: "fas fa-check",
-        default: true,
-        callback: (event, button, dialog) => {
-          const form = dialog.element;
-          const result = {
-            name: form.querySelector("#g-name").value.trim() || "New Group",
-            img: form.querySelector("#g-img").value.trim() || "",
-            color: form.querySelector("#g-color").value.trim() || "#000000",
-            hidden: form.querySelector("#g-hidden").checked || false,
-          };
-          const disciplineEl = form.querySelector("#g-discipline");
-          if (disciplineEl) result.discipline = disciplineEl.value;
-          return result;
-        },
-      },
-      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
-    ],
-    render: (event, dialog) => {
-      const pickerBtn = dialog.element.querySelector("#g-img-picker");
-      const imgInput = dialog.element.querySelector("#g-img");
-      pickerBtn.addEventListener("click", () => {
-        new FilePicker({
-          type: "image",
-          current: "icons/",
-          callback: (path) => { imgInput.value = path; },
-        }).render(true);
-      });
-    },
-  });
+async function openTemplateGroupDialog() {
+  const log = logger.fn("openTemplateGroupDialog");
+
+  try {
+    const templateId = await GroupTemplateManager.promptTemplate();
+    if (!templateId) {
+      log.trace("User cancelled template selection");
+      return;
+    }
+
+    const combat = await ensureCombat();
+    if (!combat) return;
+
+    const sel = canvas.tokens.controlled;
+    const groupId = await GroupTemplateManager.createGroupFromTemplate(combat, templateId, sel);
+    if (groupId) {
+      const name = combat.getFlag(MODULE_ID, `groups.${groupId}.name`);
+      ui.notifications.info(`Created group "${name}" with ${sel.length} members.`);
+    }
+  } catch (err) {
+    log.errorNotify("Error creating group from template", err);
+  }
+}
+
+async function openAutoGroupDialog() {
+  const log = logger.fn("openAutoGroupDialog");
+
+  try {
+    const combat = game.combat;
+    if (!combat) {
+      ui.notifications.warn("There is no active combat to auto-group.");
+      return;
+    }
+
+    const created = await AutoGroupManager.autoGroup(combat, { preview: true });
+    if (created.length) {
+      ui.notifications.info(`Created ${created.length} groups.`);
+    }
+  } catch (err) {
+    log.errorNotify("Error auto-grouping combatants", err);
+  }
+}
+
+/**
+ * Returns the active combat, creating and activating one on the current scene if needed.
+ * @returns {Promise<Combat|null>}
+ */
+async function ensureCombat() {
+  if (game.combat) return game.combat;
+
+  if (!canvas.scene) {
+    ui.notifications.warn("Cannot create combat without an active scene.");
+    return null;
+  }
+  const combat = await game.combats.documentClass.create({ scene: canvas.scene.id });
+  await combat.activate();
+  logger.trace("Created new combat encounter", { fn: "ensureCombat" });
+  return combat;
 }
 
 /* ------------------------------------------------------------------ */
@@ -400,17 +572,12 @@ async function promptGroupData() {
 
 /**
  * Tracks deleted combatants for morale casualty calculations.
- * Increments the group's deletedCount flag when a grouped member is removed.
+ * Increments the group's deletedCount flag when a grouped member is removed,
+ * clears the group's leader if it was removed, and runs the morale triggers.
  * @param {Combatant} combatant
  */
 export async function onDeleteCombatant(combatant) {
-  if (!isGM()) return;
-
-  try {
-    if (!game.settings.get(MODULE_ID, "moraleEnabled")) return;
-  } catch {
-    return;
-  }
+  if (!game.users.activeGM?.isSelf) return;
 
   const combat = combatant.parent;
   if (!combat) return;
@@ -419,11 +586,40 @@ export async function onDeleteCombatant(combatant) {
   if (!groupId || groupId === "ungrouped") return;
 
   const log = logger.fn("onDeleteCombatant");
+  const groupMeta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
+  const wasLeader = groupMeta.leaderId === combatant.id;
+
+  try {
+    if (wasLeader) {
+      await combat.update({
+        [`flags.${MODULE_ID}.groups.${groupId}.-=leaderId`]: null,
+        [`flags.${MODULE_ID}.groups.${groupId}.-=leaderDown`]: null,
+      });
+      log.trace(`Cleared leader of group "${groupId}"`);
+    }
+    await GroupManager._rollUpInitiative(combat, groupId);
+  } catch (err) {
+    log.error("Error clearing deleted leader", err);
+  }
 
   try {
-    const current = combat.getFlag(MODULE_ID, `groups.${groupId}.deletedCount`) ?? 0;
+    if (!game.settings.get(MODULE_ID, "moraleEnabled")) return;
+  } catch {
+    return;
+  }
+
+  try {
+    const current = groupMeta.deletedCount ?? 0;
     await combat.setFlag(MODULE_ID, `groups.${groupId}.deletedCount`, current + 1);
     log.trace(`Incremented deletedCount for group "${groupId}" to ${current + 1}`);
+
+    // A leader already downed at 0 HP has had its check
+    await MoraleManager.onTriggerEvent(TRIGGER_EVENT.REMOVED, {
+      combat,
+      combatant,
+      groupId,
+      leaderFell: wasLeader && !groupMeta.leaderDown,
+    });
   } catch (err) {
     log.error("Error tracking deleted combatant", err);
   }
@@ -0,0 +1,357 @@
+/**
+ * @file group-dialogs.js
+ * @description Reusable dialogs for entering group configuration (create group, templates) and roll options.
+ * @version V13 Only
+ */
+
+import { MODULE_ID } from "./shared.js";
+import { INITIATIVE_MODE, getInitiativeStrategies } from "./initiative-strategies.js";
+
+/**
+ * Prompts for group configuration. Resolves to the entered data, or a non-object
+ * ("cancel"/null) when dismissed.
+ * @param {Object} [options]
+ * @param {Object} [options.defaults={}] - Pre-filled values: {name, img, color, hidden, initiativeMode, singleTurn, rerollEachRound, discipline, mobConfidenceDivisor}
+ * @param {string} [options.title="Create New Group"] - Dialog title
+ * @param {string} [options.label="Create"] - Confirm button label
+ * @param {boolean} [options.showMorale] - Show morale fields (defaults to the Morale System setting)
+ * @returns {Promise<Object|string|null>}
+ */
+export async function promptGroupData({
+  defaults = {},
+  title = "Create New Group",
+  label = "Create",
+  showMorale = game.settings.get(MODULE_ID, "moraleEnabled"),
+} = {}) {
+  const discipline = defaults.discipline ?? "standard";
+  const divisor = defaults.mobConfidenceDivisor ?? game.settings.get(MODULE_ID, "moraleMobConfidenceDivisor");
+  const currentMode = defaults.initiativeMode ?? INITIATIVE_MODE.AVERAGE;
+  const escapedName = foundry.utils.escapeHTML(defaults.name ?? "New Group");
+  const escapedImg = foundry.utils.escapeHTML(defaults.img ?? "");
+
+  const moraleFields = showMorale ? `
+    <div class="form-group" style="margin-top: 10px;">
+      <label>Discipline Level:</label>
+      <select id="g-discipline" style="width: 100%;">
+        <option value="standard" ${discipline === "standard" ? "selected" : ""}>Standard (Normal Roll)</option>
+        <option value="expendable" ${discipline === "expendable" ? "selected" : ""}>Expendable (Disadvantage)</option>
+        <option value="elite" ${discipline === "elite" ? "selected" : ""}>Elite (Advantage)</option>
+        <option value="fearless" ${discipline === "fearless" ? "selected" : ""}>Fearless (Immune)</option>
+      </select>
+    </div>
+    <div class="form-group" style="margin-top: 5px;">
+      <label>Mob Confidence Divisor:</label>
+      <input id="g-mob-divisor" type="number" min="1" max="10" step="1" value="${divisor}" style="width: 100%;">
+      <p class="hint" style="font-size: 11px; opacity: 0.7; margin: 2px 0 0;">+1 morale bonus per this many living members</p>
+    </div>
+  ` : "";
+
+  const modeOptions = getInitiativeStrategies()
+    .map((s) => `<option value="${s.id}" ${s.id === currentMode ? "selected" : ""}>${s.label}</option>`)
+    .join("");
+
+  const content = `
+    <div class="form-group">
+      <label>Name:</label>
+      <input id="g-name" type="text" value="${escapedName}" autofocus>
+    </div>
+    <div class="form-group" style="display:flex; gap: 0.5em; align-items:center; margin-top: 5px;">
+      <label style="flex:0 0 auto;">Icon:</label>
+      <input id="g-img" type="text" style="flex:1" value="${escapedImg}" placeholder="icons/svg/skull.svg">
+      <button type="button" id="g-img-picker" title="Browse" style="flex:0 0 auto; width:30px;">
+        <i class="fas fa-file-import"></i>
+      </button>
+    </div>
+    <div class="form-group" style="margin-top: 5px;">
+      <label>Color:</label>
+      <input id="g-color" type="color" value="${defaults.color ?? "#ffffff"}" style="width:100%; height:30px; border:none;">
+    </div>
+    <div class="form-group" style="margin-top: 5px;">
+      <label>Initiative Mode:</label>
+      <select id="g-init-mode" style="width: 100%;">${modeOptions}</select>
+    </div>
+    <div class="form-group" style="margin-top: 10px;">
+      <label style="display:flex; align-items:center; gap:5px;">
+        <input id="g-hidden" type="checkbox" ${defaults.hidden ? "checked" : ""}>
+        Start Hidden from Players
+      </label>
+    </div>
+    <div class="form-group">
+      <label style="display:flex; align-items:center; gap:5px;">
+        <input id="g-single-turn" type="checkbox" ${defaults.singleTurn ? "checked" : ""}>
+        Act on a Single Turn
+      </label>
+    </div>
+    <div class="form-group">
+      <label style="display:flex; align-items:center; gap:5px;">
+        <input id="g-reroll-round" type="checkbox" ${defaults.rerollEachRound ? "checked" : ""}>
+        Reroll Initiative Each Round
+      </label>
+    </div>
+    ${moraleFields}
+  `;
+
+  return foundry.applications.api.DialogV2.wait({
+    window: { title },
+    content,
+    buttons: [
+      {
+        action: "ok",
+        label,
+        icon: "fas fa-check",
+        default: true,
+        callback: (event, button, dialog) => {
+          const form = dialog.element;
+          const result = {
+            name: form.querySelector("#g-name").value.trim() || "New Group",
+            img: form.querySelector("#g-img").value.trim() || "",
+            color: form.querySelector("#g-color").value.trim() || "#000000",
+            hidden: form.querySelector("#g-hidden").checked || false,
+            initiativeMode: form.querySelector("#g-init-mode").value,
+            singleTurn: form.querySelector("#g-single-turn").checked,
+            rerollEachRound: form.querySelector("#g-reroll-round").checked,
+          };
+          const disciplineEl = form.querySelector("#g-discipline");
+          if (disciplineEl) result.discipline = disciplineEl.value;
+          const divisorEl = form.querySelector("#g-mob-divisor");
+          if (divisorEl) {
+            // Left unset when it matches the world setting, so the group follows later changes to it
+            const worldDivisor = game.settings.get(MODULE_ID, "moraleMobConfidenceDivisor");
+            const value = parseInt(divisorEl.value) || worldDivisor;
+            if (value !== worldDivisor) result.mobConfidenceDivisor = value;
+          }
+          return result;
+        },
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+    render: (event, dialog) => {
+      const pickerBtn = dialog.element.querySelector("#g-img-picker");
+      const imgInput = dialog.element.querySelector("#g-img");
+      pickerBtn.addEventListener("click", () => {
+        new FilePicker({
+          type: "image",
+          current: imgInput.value || "icons/",
+          callback: (path) => { imgInput.value = path; },
+        }).render(true);
+      });
+    },
+  });
+}
+
+/**
+ * Prompts for group roll options: a group-wide bonus and roll mode, per-member bonuses
+ * and advantage, chat visibility, and which members to roll.
+ * @param {Combatant[]} members - Members still waiting on initiative
+ * @param {Object} [options]
+ * @param {string} [options.title="Roll Group Initiative"] - Dialog title
+ * @returns {Promise<GroupRollOptions|null>} The chosen options, or null when dismissed
+ */
+export async function promptGroupRoll(members, { title = "Roll Group Initiative" } = {}) {
+  const modeSelect = (cls, blankLabel) => `
+    <select class="${cls}">
+      ${blankLabel ? `<option value="">${blankLabel}</option>` : ""}
+      <option value="normal">Normal</option>
+      <option value="advantage">Advantage</option>
+      <option value="disadvantage">Disadvantage</option>
+    </select>`;
+
+  const rollModeOptions = Object.entries(CONFIG.Dice.rollModes)
+    .map(([value, cfg]) => {
+      const label = game.i18n.localize(cfg.label ?? cfg);
+      return `<option value="${value}" ${value === CONST.DICE_ROLL_MODES.PRIVATE ? "selected" : ""}>${label}</option>`;
+    })
+    .join("");
+
+  const rows = members.map((c) => `
+    <div class="sci-roll-member" data-combatant-id="${c.id}" style="display:flex; align-items:center; gap:5px; margin:2px 0;">
+      <input type="checkbox" class="sci-roll-include" checked>
+      <img src="${c.img}" width="24" height="24" style="border:none;">
+      <span style="flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${foundry.utils.escapeHTML(c.name)}</span>
+      <input type="text" class="sci-roll-bonus" placeholder="+0" style="width:60px;">
+      ${modeSelect("sci-roll-mode", "Group")}
+    </div>
+  `).join("");
+
+  const content = `
+    <div class="form-group">
+      <label>Roll Mode:</label>
+      ${modeSelect("sci-group-mode")}
+    </div>
+    <div class="form-group" style="margin-top: 5px;">
+      <label>Group Bonus:</label>
+      <input id="g-roll-bonus" type="text" placeholder="e.g. 2 or 1d4">
+    </div>
+    <div class="form-group" style="margin-top: 5px;">
+      <label>Visibility:</label>
+      <select id="g-roll-visibility" style="width: 100%;">${rollModeOptions}</select>
+    </div>
+    <div class="form-group" style="margin-top: 10px;">
+      <label style="display:flex; align-items:center; gap:5px;">
+        <input id="g-roll-controlled" type="checkbox">
+        Only Selected Tokens
+      </label>
+    </div>
+    <hr>
+    <div style="max-height: 300px; overflow-y: auto;">${rows}</div>
+  `;
+
+  const result = await foundry.applications.api.DialogV2.wait({
+    window: { title },
+    position: { width: 420 },
+    content,
+    buttons: [
+      {
+        action: "roll",
+        label: "Roll",
+        icon: "fa-solid fa-dice-d20",
+        default: true,
+        callback: (event, button, dialog) => {
+          const form = dialog.element;
+          const options = {
+            mode: form.querySelector(".sci-group-mode").value,
+            bonus: form.querySelector("#g-roll-bonus").value.trim(),
+            rollMode: form.querySelector("#g-roll-visibility").value,
+            combatantIds: [],
+            members: {},
+          };
+          for (const row of form.querySelectorAll(".sci-roll-member")) {
+            if (!row.querySelector(".sci-roll-include").checked) continue;
+            const id = row.dataset.combatantId;
+            options.combatantIds.push(id);
+            const bonus = row.querySelector(".sci-roll-bonus").value.trim();
+            const mode = row.querySelector(".sci-roll-mode").value;
+            if (bonus || mode) options.members[id] = { bonus, mode };
+          }
+          return options;
+        },
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+    render: (event, dialog) => {
+      const form = dialog.element;
+      form.querySelector("#g-roll-controlled").addEventListener("change", (ev) => {
+        const controlled = new Set(canvas.tokens?.controlled.map((t) => t.id) ?? []);
+        for (const row of form.querySelectorAll(".sci-roll-member")) {
+          const combatant = members.find((c) => c.id === row.dataset.combatantId);
+          row.querySelector(".sci-roll-include").checked = !ev.target.checked || controlled.has(combatant?.tokenId);
+        }
+      });
+    },
+  });
+
+  if (!result || typeof result !== "object") return null;
+  if (!result.combatantIds.length) {
+    ui.notifications.warn("No members selected to roll.");
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Prompts for a side under side initiative: an existing side, a new named side, or the default.
+ * @param {{key: string, name: string}[]} choices - Sides to offer
+ * @param {Object} [options]
+ * @param {string} [options.title="Assign Side"] - Dialog title
+ * @param {string|null} [options.current=null] - Currently assigned side key
+ * @returns {Promise<{side: string|null}|null>} The side key or new side name (null for the
+ *   default), or null when dismissed
+ */
+export async function promptSide(choices, { title = "Assign Side", current = null } = {}) {
+  const options = choices
+    .map(({ key, name }) => `<option value="${key}" ${key === current ? "selected" : ""}>${foundry.utils.escapeHTML(name)}</option>`)
+    .join("");
+
+  const result = await foundry.applications.api.DialogV2.wait({
+    window: { title },
+    content: `
+      <div class="form-group">
+        <label>Side:</label>
+        <select id="sci-side-select" style="width: 100%;">
+          <option value="" ${current ? "" : "selected"}>Default (by Disposition)</option>
+          ${options}
+        </select>
+      </div>
+      <div class="form-group" style="margin-top: 5px;">
+        <label>Or New Side:</label>
+        <input id="sci-side-new" type="text" placeholder="e.g. Bandits">
+      </div>
+    `,
+    buttons: [
+      {
+        action: "ok",
+        label: "Assign",
+        icon: "fas fa-check",
+        default: true,
+        callback: (event, button, dialog) => {
+          const form = dialog.element;
+          const side = form.querySelector("#sci-side-new").value.trim() || form.querySelector("#sci-side-select").value;
+          return { side: side || null };
+        },
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+  });
+
+  return result && typeof result === "object" ? result : null;
+}
+
+/**
+ * Prompts for a rally: who rallies, with which check, and the DC.
+ * @param {Combatant[]} candidates - Members who can rally, the default first
+ * @param {Object<string, string>} skills - Check labels, keyed by RALLY_SKILL value
+ * @param {Object} [options]
+ * @param {string} [options.title="Rally"] - Dialog title
+ * @param {number} [options.dc=10] - Default DC
+ * @returns {Promise<{rallierId: string, skill: string, dc: number}|null>} The chosen options,
+ *   or null when dismissed
+ */
+export async function promptRally(candidates, skills, { title = "Rally", dc = 10 } = {}) {
+  const rallierOptions = candidates
+    .map((c) => `<option value="${c.id}">${foundry.utils.escapeHTML(c.name)}</option>`)
+    .join("");
+  const skillOptions = Object.entries(skills)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join("");
+
+  const result = await foundry.applications.api.DialogV2.wait({
+    window: { title },
+    content: `
+      <div class="form-group">
+        <label>Rallier:</label>
+        <select id="sci-rally-rallier" style="width: 100%;">${rallierOptions}</select>
+      </div>
+      <div class="form-group" style="margin-top: 5px;">
+        <label>Check:</label>
+        <select id="sci-rally-skill" style="width: 100%;">
+          <option value="">Best of Persuasion / Intimidation</option>
+          ${skillOptions}
+        </select>
+      </div>
+      <div class="form-group" style="margin-top: 5px;">
+        <label>DC:</label>
+        <input id="sci-rally-dc" type="number" min="1" step="1" value="${dc}">
+      </div>
+    `,
+    buttons: [
+      {
+        action: "ok",
+        label: "Rally",
+        icon: "fas fa-bullhorn",
+        default: true,
+        callback: (event, button, dialog) => {
+          const form = dialog.element;
+          const value = parseInt(form.querySelector("#sci-rally-dc").value, 10);
+          return {
+            rallierId: form.querySelector("#sci-rally-rallier").value,
+            skill: form.querySelector("#sci-rally-skill").value || null,
+            dc: Number.isFinite(value) ? value : dc,
+          };
+        },
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+  });
+
+  return result && typeof result === "object" ? result : null;
+}
@@ -17,6 +17,12 @@ import {
 import { getPluralRules, formatNumber } from "./rolling-overrides.js";
 import { GroupManager } from "./class-objects.js";
 import { attachContextMenu } from "./combat-tracker.js";
+import { getTurnBlock } from "./group-turns.js";
+import { isSideMode, getSides, getSideKey } from "./sides.js";
+import { SideManager } from "./side-initiative.js";
+import { HoldManager, HOLD_TYPE, getHeldGroupOf } from "./group-hold.js";
+import { getGroupMoraleState, getStateLabel, getStateColor } from "./morale-states.js";
+import { promptRally } from "./group-dialogs.js";
 
 /**
  * Main entry point - patches the CombatTracker to support grouping.
@@ -65,6 +71,11 @@ export async function groupHeaderRendering() {
         children.forEach((child) => list.appendChild(child));
         groupEl.remove();
       });
+      list.querySelectorAll("li.sci-side-block").forEach((sideEl) => {
+        sideEl.querySelectorAll("li.combatant").forEach((child) => list.appendChild(child));
+        sideEl.remove();
+      });
+      list.querySelectorAll("li.sci-holding-area").forEach((el) => el.remove());
 
       // Count non-empty groups for logging
       const activeGroups = [...groups.entries()].filter(([k, v]) => k !== "ungrouped" && v.members.length > 0);
@@ -76,26 +87,32 @@ export async function groupHeaderRendering() {
         });
       }
 
-      // Render & inject headers
+      // Render headers (nested sub-groups are placed in a second pass)
+      const canManage = canManageGroups();
+      const containers = new Map();
+
       for (const [groupId, groupData] of groups.entries()) {
         if (groupId === "ungrouped") continue;
 
         const groupCfg = flagGroups[groupId] || {};
-        if (groupCfg.hidden && !canManageGroups()) continue;
+        if (groupCfg.hidden && !canManage) continue;
 
         const groupName = groupCfg.name ?? groupData.name ?? "Unnamed Group";
-        const canManage = canManageGroups();
         const combatants = groupData.members;
+        const allMembers = [
+          ...combatants,
+          ...GroupManager.getDescendantGroupIds(combat, groupId).flatMap((id) => groups.get(id)?.members ?? []),
+        ];
         const img = groupCfg.img || "icons/svg/combat.svg";
         const color = groupCfg.color || "#000000";
         const isExpanded = expandedGroups.has(groupId);
 
-        // Calculate average initiative
+        // Calculate average initiative (rolled up over sub-groups for parents)
         let avgInit = null;
-        if (combatants.length > 0 && combatants.every((c) => Number.isFinite(c.initiative))) {
+        if (allMembers.length > 0 && allMembers.every((c) => Number.isFinite(c.initiative))) {
           avgInit = combat.getFlag(MODULE_ID, `groups.${groupId}`)?.initiative;
           if (!Number.isFinite(avgInit)) {
-            avgInit = calculateAverageInitiative(combatants.map((c) => c.initiative));
+            avgInit = calculateAverageInitiative(allMembers.map((c) => c.initiative));
           }
         }
 
@@ -104,13 +121,28 @@ export async function groupHeaderRendering() {
         groupContainer.classList.add("sci-combatant-group", "collapsible", "dnd5e2-collapsible");
         if (!isExpanded) groupContainer.classList.add("collapsed");
         if (groupCfg.hidden) groupContainer.classList.add("sci-hidden");
+        if (groupCfg.singleTurn) groupContainer.classList.add("sci-single-turn");
+
+        // Single-turn groups light up as a whole while their turn is active
+        const activeBlock = groupCfg.singleTurn && combat.started ? getTurnBlock(combat, combat.turn) : null;
+        if (activeBlock?.groupId === groupId) groupContainer.classList.add("sci-active-turn");
 
         groupContainer.dataset.groupKey = groupId;
         groupContainer.dataset.groupColor = color;
         groupContainer.style.setProperty("--group-color", color);
 
-        const visibleMembers = combatants.filter((c) => !c.hidden);
-        const countLabel = getCountLabel(combatants.length, visibleMembers.length, canManage);
+        const visibleMembers = allMembers.filter((c) => !c.hidden);
+        const countLabel = getCountLabel(allMembers.length, visibleMembers.length, canManage);
+        const leader = combatants.find((c) => c.id === groupCfg.leaderId);
+        const leaderIcon = leader && (!leader.hidden || canManage)
+          ? `<i class="fas fa-crown sci-leader-crown" title="Leader: ${foundry.utils.escapeHTML(leader.name)}"></i>`
+          : "";
+        const moraleState = canManage && game.settings.get(MODULE_ID, "moraleEnabled")
+          ? getGroupMoraleState(combat, groupId)
+          : null;
+        const moraleBadge = moraleState
+          ? ` <span class="sci-morale-state" data-state="${moraleState}" style="--state-color: ${getStateColor(moraleState)};" title="Group morale">${getStateLabel(moraleState)}</span>`
+          : "";
 
         groupContainer.innerHTML = /*html*/ `
           <div class="group-header grid-layout">
@@ -119,8 +151,8 @@ export async function groupHeaderRendering() {
             </div>
             ${canManage ? renderControlsHtml(groupCfg.hidden) : ""}
             <div class="header-name token-name">
-              <strong class="name">${groupName}</strong>
-              <div class="group-numbers">${countLabel}</div>
+              <strong class="name">${leaderIcon}${groupName}</strong>
+              <div class="group-numbers">${countLabel}${groupCfg.singleTurn ? ' <i class="fas fa-people-group sci-single-turn-icon" title="Acts on a single turn"></i>' : ""}${groupCfg.rerollEachRound ? ' <i class="fas fa-arrows-rotate sci-reroll-round-icon" title="Rerolls initiative each round"></i>' : ""}${moraleBadge}</div>
             </div>
             <div class="header-init group-initiative-value">
               ${Number.isFinite(avgInit) ? formatNumber(avgInit) : ""}
@@ -136,25 +168,72 @@ export async function groupHeaderRendering() {
           </div>
         `;
 
-        // Inject members
+        // Collect member rows before anything is moved
         const selector = combatants.length > 0
           ? combatants.map((c) => `li.combatant[data-combatant-id="${c.id}"]`).join(", ")
           : null;
+        const rows = selector ? Array.from(list.querySelectorAll(selector)) : [];
+        if (leader) markLeaderRow(rows, leader.id);
 
-        const childrenElements = selector ? Array.from(list.querySelectorAll(selector)) : [];
-        const targetOl = groupContainer.querySelector(".group-children");
+        containers.set(groupId, { element: groupContainer, rows, subgroups: [] });
+        attachGroupListeners(groupContainer, combat, groupId, groupName, groupCfg, { ...groupData, members: allMembers }, canManage);
+      }
+
+      // Link sub-groups to their nearest rendered ancestor (a hidden parent is skipped for players)
+      const topLevel = [];
+      for (const [groupId, entry] of containers) {
+        let parentId = groups.get(groupId)?.parentId;
+        const seen = new Set([groupId]);
+        while (parentId && !containers.has(parentId) && !seen.has(parentId)) {
+          seen.add(parentId);
+          parentId = groups.get(parentId)?.parentId;
+        }
 
-        if (childrenElements.length) {
-          childrenElements[0].before(groupContainer);
-          targetOl.replaceChildren(...childrenElements);
+        if (parentId && containers.has(parentId) && !seen.has(parentId)) {
+          entry.element.classList.add("sci-subgroup");
+          containers.get(parentId).subgroups.push(entry);
+          containers.get(parentId).element.classList.add("sci-parent-group");
         } else {
-          targetOl.innerHTML = '<li class="no-members">No members</li>';
-          list.insertBefore(groupContainer, list.firstChild);
+          topLevel.push(entry);
         }
+      }
+
+      // Order everything by the tracker's own turn order
+      const originalRows = Array.from(list.children);
+      const turnOrder = new Map(originalRows.map((el, i) => [el, i]));
+      const firstIndex = (entry, seen = new Set()) => {
+        if (seen.has(entry)) return Infinity;
+        seen.add(entry);
+        return Math.min(
+          ...entry.rows.map((row) => turnOrder.get(row) ?? Infinity),
+          ...entry.subgroups.map((sub) => firstIndex(sub, seen)),
+          Infinity
+        );
+      };
+
+      for (const entry of topLevel) {
+        const anchor = originalRows[firstIndex(entry)];
+        if (anchor) anchor.before(entry.element);
+        else list.insertBefore(entry.element, list.firstChild);
+      }
 
-        attachGroupListeners(groupContainer, combat, groupId, groupName, groupCfg, groupData, canManage);
+      for (const entry of containers.values()) {
+        const targetOl = entry.element.querySelector(".group-children");
+        const children = [
+          ...entry.rows.map((row) => [turnOrder.get(row) ?? Infinity, row]),
+          ...entry.subgroups.map((sub) => [firstIndex(sub), sub.element]),
+        ].sort((a, b) => a[0] - b[0]);
+
+        if (children.length) targetOl.replaceChildren(...children.map(([, el]) => el));
+        else targetOl.innerHTML = '<li class="no-members">No members</li>';
       }
 
+      // Delay / Ready: held groups wait above the order
+      renderHoldingArea(list, combat, containers);
+
+      // Side initiative: wrap the squad headers and ungrouped rows of each side in a side block
+      if (isSideMode(combat)) renderSideBlocks(list, combat);
+
       if (isGM()) attachContextMenu(element);
 
     } catch (err) {
@@ -194,11 +273,12 @@ function patchHoverCombatant() {
     // Toggle hover class
     li.classList.toggle("hover", hover);
 
-    // If the combatant is inside a collapsed group, temporarily expand it on hover
+    // If the combatant is inside collapsed groups (at any nesting level), temporarily expand them on hover
     if (hover) {
-      const group = li.closest(".sci-combatant-group.collapsed");
-      if (group) {
+      let group = li.closest(".sci-combatant-group.collapsed");
+      while (group) {
         group.classList.add("sci-hover-expanded");
+        group = group.parentElement?.closest(".sci-combatant-group.collapsed");
       }
     } else {
       // Remove hover expansion from all groups
@@ -215,11 +295,124 @@ function patchHoverCombatant() {
 /*  Helper Functions                                                  */
 /* ------------------------------------------------------------------ */
 
+/**
+ * Wraps the top-level tracker entries (group headers and ungrouped rows) of each side in a
+ * side block with the side's name, roll and a roll button. Each block sits where its first
+ * entry was.
+ * @param {HTMLElement} list - The tracker list
+ * @param {Combat} combat
+ */
+function renderSideBlocks(list, combat) {
+  const sides = getSides(combat);
+  const blocks = new Map();
+
+  for (const el of Array.from(list.children)) {
+    const key = getSideKey(sides, el.dataset.groupKey ?? el.dataset.combatantId);
+    if (!key) continue;
+
+    if (!blocks.has(key)) {
+      const side = sides.get(key);
+      const block = document.createElement("li");
+      block.classList.add("sci-side-block");
+      block.dataset.sideKey = key;
+      block.style.setProperty("--side-color", side.color);
+      block.innerHTML = /*html*/ `
+        <div class="sci-side-header">
+          <i class="fas fa-chess"></i>
+          <strong class="name">${foundry.utils.escapeHTML(side.name)}</strong>
+          ${isGM() ? '<a class="combat-button sci-side-roll" title="Roll Side Initiative"><i class="fa-solid fa-dice-d20"></i></a>' : ""}
+          <span class="sci-side-initiative">${Number.isFinite(side.initiative) ? formatNumber(side.initiative) : ""}</span>
+        </div>
+        <ol class="sci-side-children"></ol>
+      `;
+      block.querySelector(".sci-side-roll")?.addEventListener("click", async (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        try {
+          await SideManager.rollSides(combat, { sideKeys: [key] });
+        } catch (err) {
+          logger.fn("sideRoll").errorNotify("Error rolling side initiative", err);
+        }
+      });
+      el.before(block);
+      blocks.set(key, block);
+    }
+    blocks.get(key).querySelector(".sci-side-children").append(el);
+  }
+}
+
+/**
+ * Moves held groups (Delay / Ready) into a holding area at the top of the tracker, each with
+ * its hold type and, for the GM, the Ready trigger plus Act Now / Return buttons. A held
+ * sub-group leaves its parent's list while it holds.
+ * @param {HTMLElement} list - The tracker list
+ * @param {Combat} combat
+ * @param {Map<string, {element: HTMLElement}>} containers - Rendered group containers by id
+ */
+function renderHoldingArea(list, combat, containers) {
+  const held = [...containers.entries()].filter(([groupId]) =>
+    combat.getFlag(MODULE_ID, `groups.${groupId}.held`)
+    && !getHeldGroupOf(combat, combat.getFlag(MODULE_ID, `groups.${groupId}.parentId`))
+  );
+  if (!held.length) return;
+
+  const area = document.createElement("li");
+  area.classList.add("sci-holding-area");
+  area.innerHTML = /*html*/ `
+    <div class="sci-holding-header">
+      <i class="fas fa-hourglass-half"></i>
+      <strong class="name">Holding</strong>
+    </div>
+    <ol class="sci-holding-children"></ol>
+  `;
+  const target = area.querySelector(".sci-holding-children");
+
+  for (const [groupId, { element }] of held) {
+    const hold = combat.getFlag(MODULE_ID, `groups.${groupId}.held`);
+    const isReady = hold.type === HOLD_TYPE.READY;
+    const trigger = isReady && hold.trigger && isGM() ? `: ${foundry.utils.escapeHTML(hold.trigger)}` : "";
+
+    const wrapper = document.createElement("li");
+    wrapper.classList.add("sci-held-group");
+    wrapper.dataset.holdType = hold.type;
+    wrapper.innerHTML = /*html*/ `
+      <div class="sci-hold-info">
+        <i class="fas ${isReady ? "fa-hand" : "fa-hourglass-half"}"></i>
+        <span class="sci-hold-label">${isReady ? "Ready" : "Delayed"}${trigger}</span>
+        ${isGM() ? `
+          <a class="combat-button sci-act-now" title="Act Now (after the current turn)"><i class="fas fa-play"></i></a>
+          <a class="combat-button sci-hold-return" title="Return to Order"><i class="fas fa-undo"></i></a>
+        ` : ""}
+      </div>
+    `;
+    wrapper.append(element);
+
+    const bind = (selector, action, label) => {
+      wrapper.querySelector(selector)?.addEventListener("click", async (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        try {
+          await action();
+        } catch (err) {
+          logger.fn("holdingArea").errorNotify(label, err);
+        }
+      });
+    };
+    bind(".sci-act-now", () => HoldManager.actNow(combat, groupId), "Error inserting held group");
+    bind(".sci-hold-return", () => HoldManager.releaseGroup(combat, groupId), "Error returning group to the order");
+
+    target.append(wrapper);
+  }
+
+  list.prepend(area);
+}
+
 function renderControlsHtml(isHidden) {
   let moraleBtn = "";
   try {
     if (game.settings.get(MODULE_ID, "moraleEnabled")) {
-      moraleBtn = `<a class="combat-button group-morale" title="Roll Morale"><i class="fa-solid fa-flag"></i></a>`;
+      moraleBtn = `<a class="combat-button group-morale" title="Roll Morale"><i class="fa-solid fa-flag"></i></a>
+        <a class="combat-button group-rally" title="Rally"><i class="fas fa-bullhorn"></i></a>`;
     }
   } catch { /* settings not ready yet */ }
 
@@ -227,7 +420,7 @@ function renderControlsHtml(isHidden) {
     <div class="header-buttons group-controls">
       <a class="combat-button group-pin" title="Pin Group"><i class="fas fa-thumbtack"></i></a>
       <a class="combat-button group-reset" title="Reset Initiative"><i class="fas fa-undo"></i></a>
-      <a class="combat-button group-roll" title="Roll Initiative"><i class="fa-solid fa-dice-d20"></i></a>
+      <a class="combat-button group-roll" title="Roll Initiative (Shift: Configure Roll)"><i class="fa-solid fa-dice-d20"></i></a>
       <a class="combat-button group-select-tokens" title="Select All Tokens"><i class="fas fa-object-group"></i></a>
       <a class="combat-button group-toggle-visibility" title="${isHidden ? "Show Group" : "Hide Group"}">
         <i class="fas ${isHidden ? "fa-eye-slash" : "fa-eye"}"></i>
@@ -238,6 +431,21 @@ function renderControlsHtml(isHidden) {
   `;
 }
 
+/**
+ * Adds a crown before the leader's name in its combatant row.
+ * @param {HTMLElement[]} rows
+ * @param {string} leaderId
+ */
+function markLeaderRow(rows, leaderId) {
+  const row = rows.find((el) => el.dataset.combatantId === leaderId);
+  if (!row) return;
+  row.classList.add("sci-group-leader");
+  const name = row.querySelector(".token-name .name");
+  if (name && !name.querySelector(".sci-leader-crown")) {
+    name.insertAdjacentHTML("afterbegin", '<i class="fas fa-crown sci-leader-crown" title="Group Leader"></i>');
+  }
+}
+
 function getCountLabel(total, visible, isPrivileged) {
   try {
     const count = isPrivileged ? total : visible;
@@ -301,6 +509,15 @@ function attachGroupListeners(element, combat, groupId, groupName, groupCfg, gro
 
   if (!canManage) return;
 
+  // Drag the header to nest this group under another (see registerDropTargets)
+  if (groupHeader) {
+    groupHeader.draggable = true;
+    groupHeader.addEventListener("dragstart", (ev) => {
+      ev.stopPropagation();
+      ev.dataTransfer?.setData(CONSTANTS.GROUP_DRAG_TYPE, groupId);
+    });
+  }
+
   // Pin
   const pinBtn = element.querySelector(".group-pin");
   if (groupCfg.pinned) {
@@ -319,6 +536,7 @@ function attachGroupListeners(element, combat, groupId, groupName, groupCfg, gro
   // Roll
   element.querySelector(".group-roll").addEventListener("click", async (ev) => {
     ev.stopPropagation();
+    if (ev.shiftKey) return GroupManager.configureGroupRoll(combat, groupId);
     const mode = ev.altKey ? "advantage" : ev.ctrlKey || ev.metaKey ? "disadvantage" : "normal";
     await GroupManager.rollGroupAndApplyInitiative(combat, groupId, { mode });
   });
@@ -390,6 +608,35 @@ function attachGroupListeners(element, combat, groupId, groupName, groupCfg, gro
     });
   }
 
+  // Rally
+  const rallyBtn = element.querySelector(".group-rally");
+  if (rallyBtn) {
+    rallyBtn.addEventListener("click", async (ev) => {
+      ev.stopPropagation();
+      try {
+        const { MoraleManager, RALLY_SKILL_LABELS } = await import("./morale.js");
+        const candidates = MoraleManager.getRallyCandidates(combat, groupId);
+        if (!candidates.length) {
+          ui.notifications.warn("No one in this group can rally.");
+          return;
+        }
+        const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+        const options = await promptRally(candidates, RALLY_SKILL_LABELS, {
+          title: `Rally: ${groupName}`,
+          dc: game.settings.get(MODULE_ID, "moraleRallyDC"),
+        });
+        if (!options) return;
+        await MoraleManager.rallyGroup(combat, groupId, {
+          rallier: options.rallierId,
+          skill: options.skill,
+          dc: options.dc,
+        });
+      } catch (err) {
+        log.error("Rally error", err);
+      }
+    });
+  }
+
   // Inline initiative edit
   const initDisplay = element.querySelector(".group-initiative-value");
   initDisplay.addEventListener("dblclick", (ev) => {
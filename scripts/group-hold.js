@@ -0,0 +1,220 @@
+/**
+ * @file group-hold.js
+ * @description Delay and Ready for whole groups: a held group is pulled out of the turn order
+ * until the GM has it act, at which point it takes a new slot right after the current combatant.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM } from "./shared.js";
+import { GroupHistory } from "./history.js";
+import { applyTurnOrder } from "./turn-order.js";
+import { isSideMode } from "./sides.js";
+
+/**
+ * How a group is holding its turn.
+ * @readonly
+ * @enum {string}
+ */
+export const HOLD_TYPE = Object.freeze({
+  DELAY: "delay",
+  READY: "ready",
+});
+
+/**
+ * @typedef {Object} HoldData
+ * @property {string} type - A HOLD_TYPE value
+ * @property {string} [trigger] - What a readied group is waiting for
+ * @property {number} round - The round the group started holding
+ */
+
+/**
+ * Returns the held group a group is held by: itself or its nearest held ancestor.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @returns {string|null}
+ */
+export function getHeldGroupOf(combat, groupId) {
+  const groups = combat?.getFlag(MODULE_ID, "groups") ?? {};
+  const seen = new Set();
+  for (let id = groupId; id && groups[id] && !seen.has(id); id = groups[id].parentId) {
+    if (groups[id].held) return id;
+    seen.add(id);
+  }
+  return null;
+}
+
+/**
+ * Returns the held group a combatant is held by: its own group or the nearest held ancestor.
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @returns {string|null}
+ */
+export function getHoldingGroupId(combat, combatant) {
+  return getHeldGroupOf(combat, combatant?.getFlag(MODULE_ID, "groupId"));
+}
+
+/**
+ * Whether any group in the combat is holding.
+ * @param {Combat} combat
+ * @returns {boolean}
+ */
+export function hasHeldGroups(combat) {
+  return Object.values(combat?.getFlag(MODULE_ID, "groups") ?? {}).some((g) => g.held);
+}
+
+/**
+ * combatTurn / combatRound hook: a held combatant never gets the turn. Moves the new turn
+ * on past held members, in the direction of travel.
+ * @param {Combat} combat
+ * @param {{round: number, turn: number}} updateData
+ * @param {{direction?: number}} updateOptions
+ */
+export function skipHeldTurns(combat, updateData, updateOptions) {
+  if (!Number.isInteger(updateData?.turn) || !hasHeldGroups(combat)) return;
+
+  const turns = combat.turns;
+  const usable = (i) => !getHoldingGroupId(combat, turns[i]) && !(combat.settings?.skipDefeated && turns[i].isDefeated);
+  if (usable(updateData.turn)) return;
+
+  const step = updateOptions?.direction === -1 ? -1 : 1;
+  for (let i = updateData.turn + step; i >= 0 && i < turns.length; i += step) {
+    if (usable(i)) {
+      updateData.turn = i;
+      return;
+    }
+  }
+}
+
+/**
+ * Static class for holding (Delay / Ready) group turns.
+ */
+export class HoldManager {
+  /**
+   * Pulls a rolled group (sub-groups included) out of the turn order. If the group is
+   * acting right now, its turn ends.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {string} type - A HOLD_TYPE value
+   * @param {Object} [options]
+   * @param {string} [options.trigger=""] - For Ready: what the group is waiting for
+   * @returns {Promise<boolean>} Whether the group is now holding
+   */
+  static async holdGroup(combat, groupId, type, { trigger = "" } = {}) {
+    const log = logger.fn("holdGroup");
+    if (!isGM()) return false;
+
+    const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+    if (!meta || getHeldGroupOf(combat, groupId)) return false;
+    const groupName = meta.name ?? "Unnamed Group";
+
+    if (!combat.started) {
+      ui.notifications.warn("Start the combat before holding a group's turn.");
+      return false;
+    }
+    if (!Number.isFinite(meta.initiative)) {
+      ui.notifications.warn(`Roll initiative for "${groupName}" before holding its turn.`);
+      return false;
+    }
+
+    const label = type === HOLD_TYPE.READY ? "Ready" : "Delay";
+    GroupHistory.record(combat, `${label}: ${groupName}`);
+
+    /** @type {HoldData} */
+    const held = { type, round: combat.round };
+    if (type === HOLD_TYPE.READY && trigger) held.trigger = trigger;
+    await combat.setFlag(MODULE_ID, `groups.${groupId}.held`, held);
+
+    log.debug(`${label} "${groupName}"`, { groupId, trigger });
+
+    if (combat.combatant && getHoldingGroupId(combat, combat.combatant)) await combat.nextTurn();
+    return true;
+  }
+
+  /**
+   * Ends a hold without acting: the group goes back to its original slot.
+   * @param {Combat} combat
+   * @param {string} groupId
+   */
+  static async releaseGroup(combat, groupId) {
+    if (!isGM()) return;
+    const meta = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+    if (!meta?.held) return;
+
+    GroupHistory.record(combat, `Return to Order: ${meta.name ?? "Unnamed Group"}`);
+    await combat.unsetFlag(MODULE_ID, `groups.${groupId}.held`);
+  }
+
+  /**
+   * Ends a hold by acting now: the group (sub-groups included) is inserted right after the
+   * current combatant, or after the rest of the current combatant's group, and keeps that
+   * slot from then on. Its new initiative is stored like any other.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @returns {Promise<boolean>} Whether the group was re-inserted
+   */
+  static async actNow(combat, groupId) {
+    const log = logger.fn("actNow");
+    if (!isGM()) return false;
+
+    const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+    const meta = groups[groupId];
+    if (!meta?.held) return false;
+    const groupName = meta.name ?? "Unnamed Group";
+
+    const anchor = combat.combatant;
+    if (isSideMode(combat) || !anchor || !Number.isFinite(anchor.initiative) || getHoldingGroupId(combat, anchor)) {
+      await this.releaseGroup(combat, groupId);
+      ui.notifications.info(isSideMode(combat)
+        ? `"${groupName}" returns to its side's block.`
+        : `"${groupName}" returns to its original place in the order.`);
+      return false;
+    }
+
+    GroupHistory.record(combat, `Act Now: ${groupName}`);
+
+    // The group and each of its sub-groups with members, chained one after another
+    const ids = [groupId, ...descendantIds(groups, groupId)];
+    const units = ids
+      .map((id) => ({
+        id,
+        members: combat.combatants
+          .filter((c) => c.getFlag(MODULE_ID, "groupId") === id && Number.isFinite(c.initiative))
+          .sort((a, b) => b.initiative - a.initiative),
+      }))
+      .filter((u) => u.members.length);
+
+    // Tied with the anchor; the ordering pass nudges a combatant tied after it down to make room
+    const value = Math.floor(anchor.initiative);
+    const update = { [`flags.${MODULE_ID}.groups.${groupId}.-=held`]: null };
+    let after = anchor.id;
+    for (const id of ids) {
+      update[`flags.${MODULE_ID}.groups.${id}.initiative`] = value;
+      const unit = units.find((u) => u.id === id);
+      if (!unit) continue;
+      update[`flags.${MODULE_ID}.groups.${id}.actsAfter`] = after;
+      after = unit.members.at(-1).id;
+    }
+
+    await combat.update(update);
+    await applyTurnOrder(
+      combat,
+      Object.fromEntries(units.map((u) => [u.id, { initiative: value, members: u.members }]))
+    );
+
+    log.debug(`"${groupName}" acts after ${anchor.name}`, { groupId, initiative: value });
+    return true;
+  }
+}
+
+/**
+ * All groups nested under a group, depth first so each sub-group is followed by its own.
+ * @param {Object<string, GroupData>} groups
+ * @param {string} groupId
+ * @param {Set<string>} [seen]
+ * @returns {string[]}
+ */
+function descendantIds(groups, groupId, seen = new Set([groupId])) {
+  return Object.entries(groups)
+    .filter(([id, data]) => data.parentId === groupId && !seen.has(id) && seen.add(id))
+    .flatMap(([id]) => [id, ...descendantIds(groups, id, seen)]);
+}
@@ -0,0 +1,323 @@
+/**
+ * @file group-templates.js
+ * @description World-level library of reusable squad presets ("Bandit Crew", "Orc Warband", ...).
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM } from "./shared.js";
+import { GroupManager } from "./class-objects.js";
+import { promptGroupData } from "./group-dialogs.js";
+import { getInitiativeStrategy } from "./initiative-strategies.js";
+
+/**
+ * @typedef {Object} GroupTemplate
+ * @property {string} id - Template identifier ("tpl-...")
+ * @property {string} name - Name given to groups created from this template
+ * @property {string} [img] - Group icon path
+ * @property {string} [color] - Hex color code
+ * @property {boolean} [hidden] - Create groups hidden from players
+ * @property {string} [initiativeMode] - Initiative strategy id
+ * @property {string} [discipline] - Morale discipline level
+ * @property {number} [mobConfidenceDivisor] - Per-group mob confidence override
+ * @property {Partial<MoraleRules>} [moraleRules] - Per-group morale rule overrides
+ */
+
+/** Fields copied between templates and group flags. */
+const TEMPLATE_FIELDS = ["name", "img", "color", "hidden", "initiativeMode", "singleTurn", "rerollEachRound", "discipline", "mobConfidenceDivisor", "moraleRules"];
+
+/* ------------------------------------------------------------------ */
+/*  GroupTemplateManager                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Static class for reading and writing the template library (world setting "groupTemplates").
+ */
+export class GroupTemplateManager {
+  /**
+   * Returns all templates, sorted by name.
+   * @returns {GroupTemplate[]}
+   */
+  static getTemplates() {
+    const stored = game.settings.get(MODULE_ID, "groupTemplates") ?? {};
+    return Object.entries(stored)
+      .map(([id, data]) => ({ ...data, id }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} templateId
+   * @returns {GroupTemplate|null}
+   */
+  static getTemplate(templateId) {
+    const data = game.settings.get(MODULE_ID, "groupTemplates")?.[templateId];
+    return data ? { ...data, id: templateId } : null;
+  }
+
+  /**
+   * Creates or updates a template.
+   * @param {Object} data - Template fields (see {@link GroupTemplate})
+   * @param {string} [templateId] - Existing template to overwrite; omitted creates a new one
+   * @returns {Promise<string|null>} The template id, or null on failure
+   */
+  static async saveTemplate(data, templateId = null) {
+    const log = logger.fn("saveTemplate");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to save group template");
+      return null;
+    }
+    if (!data?.name) throw new Error("data.name is required");
+
+    const id = templateId ?? `tpl-${foundry.utils.randomID()}`;
+    const stored = foundry.utils.deepClone(game.settings.get(MODULE_ID, "groupTemplates") ?? {});
+    stored[id] = Object.fromEntries(
+      TEMPLATE_FIELDS.filter((k) => data[k] !== undefined).map((k) => [k, data[k]])
+    );
+
+    await game.settings.set(MODULE_ID, "groupTemplates", stored);
+    log.debug(`Saved template "${data.name}"`, { id });
+    return id;
+  }
+
+  /**
+   * Copies a template under a new id.
+   * @param {string} templateId
+   * @returns {Promise<string|null>} The new template id
+   */
+  static async duplicateTemplate(templateId) {
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      ui.notifications.warn("Could not find template.");
+      return null;
+    }
+    return this.saveTemplate({ ...template, name: `${template.name} (Copy)` });
+  }
+
+  /**
+   * Removes a template from the library.
+   * @param {string} templateId
+   * @returns {Promise<boolean>}
+   */
+  static async deleteTemplate(templateId) {
+    const log = logger.fn("deleteTemplate");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to delete group template");
+      return false;
+    }
+
+    const stored = foundry.utils.deepClone(game.settings.get(MODULE_ID, "groupTemplates") ?? {});
+    if (!(templateId in stored)) return false;
+
+    delete stored[templateId];
+    await game.settings.set(MODULE_ID, "groupTemplates", stored);
+    log.debug("Deleted template", { templateId });
+    return true;
+  }
+
+  /**
+   * Creates a group on the combat using a template's configuration.
+   * @param {Combat} combat
+   * @param {string} templateId
+   * @param {Token[]|string[]} [tokens=[]] - Token placeables or token IDs to add
+   * @returns {Promise<string|null>} The new groupId, or null on failure
+   */
+  static async createGroupFromTemplate(combat, templateId, tokens = []) {
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      ui.notifications.warn("Could not find template.");
+      return null;
+    }
+
+    const { id: _id, ...data } = template;
+    return GroupManager.createGroup(combat, data, tokens);
+  }
+
+  /**
+   * Saves an existing group's configuration as a new template.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @returns {Promise<string|null>} The new template id
+   */
+  static async saveGroupAsTemplate(combat, groupId) {
+    const group = combat?.getFlag(MODULE_ID, `groups.${groupId}`);
+    if (!group) {
+      ui.notifications.warn("Could not find group data.");
+      return null;
+    }
+    return this.saveTemplate(group);
+  }
+
+  /**
+   * Prompts the user to pick a template.
+   * @param {string} [title="Create Group From Template"]
+   * @returns {Promise<string|null>} The chosen template id
+   */
+  static async promptTemplate(title = "Create Group From Template") {
+    const templates = this.getTemplates();
+    if (!templates.length) {
+      ui.notifications.info("No group templates yet. Create some under Module Settings → Squad Templates.");
+      return null;
+    }
+
+    const options = templates
+      .map((t) => `<option value="${t.id}">${foundry.utils.escapeHTML(t.name)}</option>`)
+      .join("");
+
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: { title },
+      content: `
+        <div class="form-group">
+          <label>Template:</label>
+          <select id="sci-template-select" style="width: 100%;">${options}</select>
+        </div>
+      `,
+      buttons: [
+        {
+          action: "ok",
+          label: "Create",
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialog) => dialog.element.querySelector("#sci-template-select").value,
+        },
+        { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+      ],
+    });
+    return result && result !== "cancel" ? result : null;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Template Manager Window                                           */
+/* ------------------------------------------------------------------ */
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Settings menu window to create, edit, duplicate and delete templates.
+ */
+export class GroupTemplateConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "sci-group-templates",
+    classes: ["sci-template-config"],
+    window: { title: "Squad Templates", icon: "fas fa-book", resizable: true },
+    position: { width: 520, height: "auto" },
+    actions: {
+      createTemplate: GroupTemplateConfig.#onCreate,
+      editTemplate: GroupTemplateConfig.#onEdit,
+      duplicateTemplate: GroupTemplateConfig.#onDuplicate,
+      deleteTemplate: GroupTemplateConfig.#onDelete,
+    },
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const disciplineLabels = {
+      expendable: "Expendable",
+      standard: "Standard",
+      elite: "Elite",
+      fearless: "Fearless",
+    };
+
+    const rows = GroupTemplateManager.getTemplates()
+      .map((t) => `
+        <li class="sci-template-row" data-template-id="${t.id}" style="--group-color: ${t.color || "#00ff00"};">
+          <img src="${foundry.utils.escapeHTML(t.img || "icons/svg/combat.svg")}" width="32" height="32">
+          <div class="sci-template-info">
+            <strong>${foundry.utils.escapeHTML(t.name)}</strong>
+            <span>${getInitiativeStrategy(t.initiativeMode).label} · ${disciplineLabels[t.discipline] ?? "Standard"}${t.hidden ? " · Hidden" : ""}</span>
+          </div>
+          <a data-action="editTemplate" title="Edit"><i class="fas fa-edit"></i></a>
+          <a data-action="duplicateTemplate" title="Duplicate"><i class="fas fa-copy"></i></a>
+          <a data-action="deleteTemplate" title="Delete"><i class="fas fa-trash"></i></a>
+        </li>`)
+      .join("");
+
+    return `
+      <ol class="sci-template-list">${rows || '<li class="no-members">No templates yet.</li>'}</ol>
+      <button type="button" data-action="createTemplate"><i class="fas fa-plus"></i> New Template</button>
+    `;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * @this {GroupTemplateConfig}
+   */
+  static async #onCreate() {
+    const data = await promptGroupData({ title: "New Squad Template", label: "Save", showMorale: true });
+    if (!data?.name) return;
+    await GroupTemplateManager.saveTemplate(data);
+    this.render();
+  }
+
+  /**
+   * @this {GroupTemplateConfig}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onEdit(event, target) {
+    const templateId = target.closest("[data-template-id]")?.dataset.templateId;
+    const template = GroupTemplateManager.getTemplate(templateId);
+    if (!template) return;
+
+    const data = await promptGroupData({
+      defaults: template,
+      title: `Edit Template: ${template.name}`,
+      label: "Save",
+      showMorale: true,
+    });
+    if (!data?.name) return;
+    // The dialog doesn't edit morale rule overrides; keep them
+    await GroupTemplateManager.saveTemplate({ moraleRules: template.moraleRules, ...data }, templateId);
+    this.render();
+  }
+
+  /**
+   * @this {GroupTemplateConfig}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onDuplicate(event, target) {
+    const templateId = target.closest("[data-template-id]")?.dataset.templateId;
+    await GroupTemplateManager.duplicateTemplate(templateId);
+    this.render();
+  }
+
+  /**
+   * @this {GroupTemplateConfig}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onDelete(event, target) {
+    const templateId = target.closest("[data-template-id]")?.dataset.templateId;
+    const template = GroupTemplateManager.getTemplate(templateId);
+    if (!template) return;
+
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window: { title: `Delete Template "${template.name}"` },
+      content: "<p>Delete this template? Existing groups are not affected.</p>",
+    });
+    if (!ok) return;
+
+    await GroupTemplateManager.deleteTemplate(templateId);
+    this.render();
+  }
+}
+
+/**
+ * Registers the template library settings menu. Called on the "init" hook.
+ */
+export function registerTemplateMenu() {
+  game.settings.registerMenu(MODULE_ID, "groupTemplatesMenu", {
+    name: "Squad Templates",
+    label: "Manage Templates",
+    hint: "Create reusable group presets (name, icon, color, discipline, initiative mode) for quickly building recurring squads.",
+    icon: "fas fa-book",
+    type: GroupTemplateConfig,
+    restricted: true,
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * @file group-turns.js
+ * @description Single-turn groups: the whole squad acts on one tracker turn.
+ * @version V13 Only
+ * @requires lib-wrapper
+ */
+
+import { MODULE_ID, logger } from "./shared.js";
+import { getCombatClassPath } from "./rolling-overrides.js";
+import { getHoldingGroupId, hasHeldGroups } from "./group-hold.js";
+
+/**
+ * @typedef {Object} TurnBlock
+ * @property {string} groupId - The single-turn group
+ * @property {number} start - Index of the block's first turn
+ * @property {number} end - Index of the block's last turn
+ */
+
+/**
+ * Finds the contiguous run of turns belonging to the same single-turn group as `turns[index]`.
+ * Members are normally adjacent thanks to the group stagger; a member pulled out of order
+ * (manual initiative edit) forms its own block.
+ * @param {Combat} combat
+ * @param {number|null} index
+ * @returns {TurnBlock|null}
+ */
+export function getTurnBlock(combat, index) {
+  const turns = combat?.turns ?? [];
+  const groupId = turns[index]?.getFlag(MODULE_ID, "groupId");
+  if (!groupId || !combat.getFlag(MODULE_ID, `groups.${groupId}.singleTurn`)) return null;
+
+  const inGroup = (i) => turns[i]?.getFlag(MODULE_ID, "groupId") === groupId;
+  let start = index;
+  let end = index;
+  while (inGroup(start - 1)) start--;
+  while (inGroup(end + 1)) end++;
+  return { groupId, start, end };
+}
+
+/**
+ * Returns the combatants of a block that take part in the turn.
+ * @param {Combat} combat
+ * @param {TurnBlock} block
+ * @returns {Combatant[]}
+ */
+function getBlockMembers(combat, block) {
+  const skipDefeated = combat.settings?.skipDefeated;
+  return combat.turns
+    .slice(block.start, block.end + 1)
+    .filter((c) => !(skipDefeated && c.isDefeated));
+}
+
+/* ------------------------------------------------------------------ */
+/*  Turn Advancement                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Wraps Combat#nextTurn so a single-turn group is stepped over in one advance, and so is
+ * every member of a group holding its turn (Delay / Ready).
+ */
+export function overrideTurnMethods() {
+  const log = logger.fn("overrideTurnMethods");
+
+  // rolling-overrides.js already notifies when lib-wrapper is missing
+  if (!game.modules.get("lib-wrapper")?.active) return;
+
+  try {
+    const combatPath = getCombatClassPath();
+    libWrapper.register(MODULE_ID, `${combatPath}.prototype.nextTurn`, nextTurnWrapper, "MIXED");
+    log.debug(`Registered ${combatPath}.prototype.nextTurn wrapper`);
+  } catch (err) {
+    log.error("Failed to register nextTurn wrapper", err);
+  }
+}
+
+/**
+ * Mirrors core nextTurn, but starts searching after the end of the current block and
+ * steps over held combatants. With no one left to act, the round ends.
+ * @this {Combat}
+ */
+async function nextTurnWrapper(wrapped, ...args) {
+  const block = getTurnBlock(this, this.turn);
+  const holding = hasHeldGroups(this);
+  if (this.turn === null || ((!block || block.end === this.turn) && !holding)) return wrapped(...args);
+
+  let next = null;
+  for (let i = (block?.end ?? this.turn) + 1; i < this.turns.length; i++) {
+    if (this.settings.skipDefeated && this.turns[i].isDefeated) continue;
+    if (holding && getHoldingGroupId(this, this.turns[i])) continue;
+    next = i;
+    break;
+  }
+
+  if (this.round === 0 || next === null) return this.nextRound();
+
+  logger.trace("Advancing past single-turn group or held turns", { fn: "nextTurnWrapper", data: { ...block, next } });
+
+  const updateData = { round: this.round, turn: next };
+  const updateOptions = { direction: 1, worldTime: { delta: CONFIG.time.turnTime } };
+  Hooks.callAll("combatTurn", this, updateData, updateOptions);
+  await this.update(updateData, updateOptions);
+  return this;
+}
+
+/**
+ * combatTurn / combatRound hook: stepping backwards into a single-turn group lands on
+ * its first member, so the group is again active as a whole.
+ * @param {Combat} combat
+ * @param {{round: number, turn: number}} updateData
+ * @param {{direction?: number}} updateOptions
+ */
+export function onCombatTurnBackward(combat, updateData, updateOptions) {
+  if (updateOptions?.direction !== -1 || !Number.isInteger(updateData?.turn)) return;
+  const block = getTurnBlock(combat, updateData.turn);
+  if (block) updateData.turn = block.start;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Turn Events                                                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * combatTurnChange hook: core only starts/ends the turn of the combatant the tracker
+ * points at. Run the same turn events for the rest of a single-turn group so dnd5e
+ * recovery, region behaviors and effect bookkeeping still happen for each member.
+ * Fires `squad-combat-initiative.memberTurnStart` / `.memberTurnEnd` per extra member.
+ * @param {Combat} combat
+ * @param {{round: number, turn: number, combatantId: string}} prior
+ * @param {{round: number, turn: number, combatantId: string}} current
+ */
+export async function onCombatTurnChange(combat, prior, current) {
+  // Core runs turn events on the active GM only; mirror that so they fire once
+  if (!game.users.activeGM?.isSelf) return;
+
+  const log = logger.fn("onCombatTurnChange");
+
+  try {
+    const priorIndex = combat.turns.findIndex((c) => c.id === prior?.combatantId);
+    const priorBlock = priorIndex >= 0 ? getTurnBlock(combat, priorIndex) : null;
+    const currentBlock = getTurnBlock(combat, current?.turn);
+
+    const sameBlock = priorBlock && currentBlock
+      && priorBlock.start === currentBlock.start
+      && prior.round === current.round;
+    if (sameBlock) return;
+
+    if (priorBlock) {
+      for (const c of getBlockMembers(combat, priorBlock)) {
+        if (c.id === prior.combatantId) continue;
+        await combat._onEndTurn(c, { round: prior.round, turn: combat.turns.indexOf(c), skipped: false });
+        Hooks.callAll(`${MODULE_ID}.memberTurnEnd`, combat, c);
+      }
+    }
+
+    if (currentBlock) {
+      for (const c of getBlockMembers(combat, currentBlock)) {
+        if (c.id === current.combatantId) continue;
+        await combat._onStartTurn(c, { round: current.round, turn: combat.turns.indexOf(c), skipped: false });
+        Hooks.callAll(`${MODULE_ID}.memberTurnStart`, combat, c);
+      }
+      log.trace("Started single-turn group", { groupId: currentBlock.groupId });
+    }
+  } catch (err) {
+    log.error("Error running group member turn events", err);
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * @file history.js
+ * @description Per-combat undo/redo journal for group operations.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM, CONSTANTS, skipFinalizeSet } from "./shared.js";
+
+/**
+ * @typedef {Object} HistorySnapshot
+ * @property {string} label - Human-readable operation name ("Delete Group", ...)
+ * @property {number} timestamp
+ * @property {Object<string, GroupData>} groups - Copy of `flags.squad-combat-initiative.groups`
+ * @property {Object<string, Object>} sides - Copy of `flags.squad-combat-initiative.sides` (side initiative)
+ * @property {{_id: string, groupId: string|null, side: string|null, initiative: number|null, rawInit: number|null, sort: number}[]} combatants
+ */
+
+/**
+ * In-memory journals keyed by combat id. Session-scoped and client-local, like the
+ * other transient state in this module.
+ * @type {Map<string, {undo: HistorySnapshot[], redo: HistorySnapshot[]}>}
+ */
+const _journals = new Map();
+
+/**
+ * Nesting depth of {@link GroupHistory.batch} calls, keyed by combat id. A combat's records
+ * are skipped while its depth is > 0 so a compound operation (auto-group, template) undoes
+ * as one step, without swallowing records for another combat meanwhile.
+ * @type {Map<string, number>}
+ */
+const _batchDepth = new Map();
+
+/**
+ * Group fields that log what happened in the combat rather than how groups are set up.
+ * Undo and redo leave them as they are.
+ * @type {string[]}
+ */
+const LOG_FIELDS = ["moraleHistory", "triggersFired"];
+
+/**
+ * Static class managing the group operation journal.
+ */
+export class GroupHistory {
+  /**
+   * @param {string} combatId
+   * @returns {{undo: HistorySnapshot[], redo: HistorySnapshot[]}}
+   */
+  static _journal(combatId) {
+    if (!_journals.has(combatId)) _journals.set(combatId, { undo: [], redo: [] });
+    return _journals.get(combatId);
+  }
+
+  /**
+   * Captures the current group and side flags and combatant group/side/initiative/roll/sort values.
+   * @param {Combat} combat
+   * @param {string} label
+   * @returns {HistorySnapshot}
+   */
+  static snapshot(combat, label) {
+    return {
+      label,
+      timestamp: Date.now(),
+      groups: foundry.utils.deepClone(combat.getFlag(MODULE_ID, "groups") ?? {}),
+      sides: foundry.utils.deepClone(combat.getFlag(MODULE_ID, "sides") ?? {}),
+      combatants: combat.combatants.map((c) => ({
+        _id: c.id,
+        groupId: c.getFlag(MODULE_ID, "groupId") ?? null,
+        side: c.getFlag(MODULE_ID, "side") ?? null,
+        initiative: c.initiative ?? null,
+        rawInit: c.getFlag(MODULE_ID, "rawInit") ?? null,
+        sort: c.sort ?? 0,
+      })),
+    };
+  }
+
+  /**
+   * Records the state before a mutation. Call before changing anything.
+   * Clears the redo stack.
+   * @param {Combat} combat
+   * @param {string} label
+   */
+  static record(combat, label) {
+    if (!combat || !isGM() || _batchDepth.has(combat.id)) return;
+
+    const journal = this._journal(combat.id);
+    journal.undo.push(this.snapshot(combat, label));
+    if (journal.undo.length > CONSTANTS.HISTORY_LIMIT) journal.undo.shift();
+    journal.redo.length = 0;
+
+    logger.trace(`Recorded "${label}"`, { fn: "GroupHistory.record", data: { depth: journal.undo.length } });
+  }
+
+  /**
+   * Records once, then runs fn with nested records suppressed.
+   * @template T
+   * @param {Combat} combat
+   * @param {string} label
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  static async batch(combat, label, fn) {
+    this.record(combat, label);
+    const id = combat?.id;
+    if (id) _batchDepth.set(id, (_batchDepth.get(id) ?? 0) + 1);
+    try {
+      return await fn();
+    } finally {
+      if (id) {
+        const depth = (_batchDepth.get(id) ?? 1) - 1;
+        if (depth > 0) _batchDepth.set(id, depth);
+        else _batchDepth.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Reverts the most recent recorded operation.
+   * @param {Combat} [combat=game.combat]
+   * @returns {Promise<string|null>} The undone operation's label
+   */
+  static async undo(combat = game.combat) {
+    return this._step(combat, "undo", "redo");
+  }
+
+  /**
+   * Re-applies the most recently undone operation.
+   * @param {Combat} [combat=game.combat]
+   * @returns {Promise<string|null>} The redone operation's label
+   */
+  static async redo(combat = game.combat) {
+    return this._step(combat, "redo", "undo");
+  }
+
+  /**
+   * Lists recorded operations, most recent first.
+   * @param {Combat} [combat=game.combat]
+   * @returns {{undo: {label: string, timestamp: number}[], redo: {label: string, timestamp: number}[]}}
+   */
+  static getHistory(combat = game.combat) {
+    if (!combat) return { undo: [], redo: [] };
+    const journal = this._journal(combat.id);
+    const summarize = (stack) => stack.map(({ label, timestamp }) => ({ label, timestamp })).reverse();
+    return { undo: summarize(journal.undo), redo: summarize(journal.redo) };
+  }
+
+  /**
+   * Drops a combat's journal (on combat deletion).
+   * @param {string} combatId
+   */
+  static clear(combatId) {
+    _journals.delete(combatId);
+  }
+
+  /**
+   * Pops a snapshot from one stack, pushes the current state to the other, and restores.
+   * @private
+   */
+  static async _step(combat, from, to) {
+    const log = logger.fn(`GroupHistory.${from}`);
+
+    if (!combat || !isGM()) return null;
+
+    const journal = this._journal(combat.id);
+    const target = journal[from].pop();
+    if (!target) {
+      ui.notifications.info(`Nothing to ${from}.`);
+      return null;
+    }
+
+    journal[to].push(this.snapshot(combat, target.label));
+
+    try {
+      await this._restore(combat, target);
+      log.debug(`${from === "undo" ? "Undid" : "Redid"} "${target.label}"`);
+      ui.notifications.info(`${from === "undo" ? "Undid" : "Redid"}: ${target.label}`);
+      return target.label;
+    } catch (err) {
+      journal[to].pop();
+      journal[from].push(target);
+      log.errorNotify(`Failed to ${from} "${target.label}"`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Writes a snapshot back to the combat. Combatants deleted since the snapshot are skipped;
+   * combatants added since are left alone.
+   * @private
+   */
+  static async _restore(combat, snap) {
+    const combatUpdate = {};
+    this._diffFlag(combat, "groups", snap.groups, combatUpdate);
+    this._diffFlag(combat, "sides", snap.sides ?? {}, combatUpdate);
+
+    const restored = snap.combatants.filter((s) => combat.combatants.has(s._id));
+    const combatantUpdates = restored.map((s) => ({
+      _id: s._id,
+      initiative: s.initiative,
+      sort: s.sort,
+      ...(s.groupId
+        ? { [`flags.${MODULE_ID}.groupId`]: s.groupId }
+        : { [`flags.${MODULE_ID}.-=groupId`]: null }),
+      ...(s.side
+        ? { [`flags.${MODULE_ID}.side`]: s.side }
+        : { [`flags.${MODULE_ID}.-=side`]: null }),
+      ...(Number.isFinite(s.rawInit)
+        ? { [`flags.${MODULE_ID}.rawInit`]: s.rawInit }
+        : { [`flags.${MODULE_ID}.-=rawInit`]: null }),
+    }));
+
+    // Restored initiatives are already final; keep the updateCombatant hook from re-finalizing
+    const docs = restored.map((s) => combat.combatants.get(s._id));
+    docs.forEach((c) => skipFinalizeSet.add(c));
+    try {
+      if (Object.keys(combatUpdate).length) await combat.update(combatUpdate);
+      if (combatantUpdates.length) {
+        await combat.updateEmbeddedDocuments("Combatant", combatantUpdates);
+      }
+    } finally {
+      docs.forEach((c) => skipFinalizeSet.delete(c));
+    }
+  }
+
+  /**
+   * Adds the updates that turn a keyed flag object (`groups`, `sides`) back into its
+   * snapshot: entries and fields added since are deleted, the rest overwritten. Log fields
+   * of entries that still exist are kept.
+   * @param {Combat} combat
+   * @param {string} flag
+   * @param {Object<string, Object>} snapshot
+   * @param {Object} update - Combat update data, modified in place
+   * @private
+   */
+  static _diffFlag(combat, flag, snapshot, update) {
+    const current = combat.getFlag(MODULE_ID, flag) ?? {};
+    const base = `flags.${MODULE_ID}.${flag}`;
+
+    for (const [id, data] of Object.entries(current)) {
+      if (!(id in snapshot)) {
+        update[`${base}.-=${id}`] = null;
+        continue;
+      }
+      for (const key of Object.keys(data)) {
+        if (!(key in snapshot[id]) && !LOG_FIELDS.includes(key)) update[`${base}.${id}.-=${key}`] = null;
+      }
+    }
+    for (const [id, data] of Object.entries(snapshot)) {
+      for (const [key, value] of Object.entries(data)) {
+        if (LOG_FIELDS.includes(key) && id in current) continue;
+        update[`${base}.${id}.${key}`] = value;
+      }
+    }
+  }
+}
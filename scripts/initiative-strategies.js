@@ -0,0 +1,214 @@
+/**
+ * @file initiative-strategies.js
+ * @description Registry of group initiative strategies (how a group's position is derived from its members).
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, calculateAverageInitiative } from "./shared.js";
+
+/**
+ * Built-in initiative mode identifiers.
+ * @readonly
+ * @enum {string}
+ */
+export const INITIATIVE_MODE = Object.freeze({
+  AVERAGE: "average",
+  MEDIAN: "median",
+  LOWEST: "lowest",
+  HIGHEST: "highest",
+  LEADER: "leader",
+  SHARED: "shared",
+});
+
+/**
+ * @typedef {Object} StrategyContext
+ * @property {Combat} combat - The Combat document
+ * @property {string} groupId - The group being ordered
+ * @property {GroupData} meta - The group's stored flag data
+ * @property {"normal"|"advantage"|"disadvantage"} mode - Roll mode of the triggering roll
+ */
+
+/**
+ * A strategy receives the group's members (sorted highest initiative first) and
+ * returns the group initiative. May be async. Member `init` values may already carry
+ * stagger fractions from a previous finalize, so built-ins round their result.
+ * @callback InitiativeStrategyFn
+ * @param {GroupMemberData[]} list
+ * @param {StrategyContext} context
+ * @returns {number|null|Promise<number|null>}
+ */
+
+/**
+ * @typedef {Object} InitiativeStrategy
+ * @property {string} id - Stored on `groups.<id>.initiativeMode`
+ * @property {string} label - Display name for dialogs and chat cards
+ * @property {InitiativeStrategyFn} compute
+ */
+
+/** @type {Map<string, InitiativeStrategy>} */
+const _strategies = new Map();
+
+/* ------------------------------------------------------------------ */
+/*  Registry                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Registers (or replaces) a group initiative strategy.
+ * @param {string} id - Unique strategy identifier
+ * @param {Object} config
+ * @param {string} config.label - Display name
+ * @param {InitiativeStrategyFn} config.compute - Strategy function
+ */
+export function registerInitiativeStrategy(id, { label, compute } = {}) {
+  if (!id || typeof id !== "string") throw new Error("strategy id is required");
+  if (typeof compute !== "function") throw new Error("strategy compute must be a function");
+
+  if (_strategies.has(id)) {
+    logger.debug(`Replacing initiative strategy "${id}"`, { fn: "registerInitiativeStrategy" });
+  }
+  _strategies.set(id, { id, label: label ?? id, compute });
+}
+
+/**
+ * Returns all registered strategies in registration order.
+ * @returns {InitiativeStrategy[]}
+ */
+export function getInitiativeStrategies() {
+  return [..._strategies.values()];
+}
+
+/**
+ * Looks up a strategy, falling back to the rounded average.
+ * @param {string} [id]
+ * @returns {InitiativeStrategy}
+ */
+export function getInitiativeStrategy(id) {
+  return _strategies.get(id) ?? _strategies.get(INITIATIVE_MODE.AVERAGE);
+}
+
+/**
+ * Runs the group's configured strategy. Falls back to the rounded average if
+ * the strategy throws or returns a non-finite value.
+ * @param {GroupMemberData[]} list - Members, sorted highest initiative first
+ * @param {StrategyContext} context
+ * @returns {Promise<{value: number|null, strategy: InitiativeStrategy}>}
+ */
+export async function computeGroupInitiative(list, context) {
+  const log = logger.fn("computeGroupInitiative");
+  const strategy = getInitiativeStrategy(context.meta?.initiativeMode);
+  const fallback = getInitiativeStrategy(INITIATIVE_MODE.AVERAGE);
+
+  try {
+    const value = await strategy.compute(list, context);
+    if (Number.isFinite(value)) return { value, strategy };
+    log.warn(`Strategy "${strategy.id}" returned no value, using average`, { value });
+  } catch (err) {
+    log.error(`Strategy "${strategy.id}" failed, using average`, err);
+  }
+
+  return { value: fallback.compute(list, context), strategy: fallback };
+}
+
+/**
+ * Builds a member's initiative roll through the system pipeline, so a group roll matches a
+ * solo roll (dnd5e: Alert, Jack of All Trades, Remarkable Athlete, init and global bonuses,
+ * advantage flags, DEX tiebreaker). The group's roll mode is layered on top: it only ever
+ * adds advantage/disadvantage, so an actor's own advantage is kept.
+ * @param {Combatant} combatant
+ * @param {"normal"|"advantage"|"disadvantage"} [mode="normal"]
+ * @param {string[]} [bonuses=[]] - Situational bonus formulas appended to the roll; invalid
+ *   formulas are left out with a warning
+ * @returns {Roll}
+ */
+export function buildInitiativeRoll(combatant, mode = "normal", bonuses = []) {
+  const actor = combatant.actor;
+  const extra = [];
+  for (const bonus of bonuses) {
+    if (!bonus) continue;
+    if (Roll.validate(bonus)) extra.push(bonus);
+    else {
+      logger.fn("buildInitiativeRoll").warn(`Ignoring invalid bonus "${bonus}"`, { combatant: combatant.name });
+      ui.notifications.warn(`Ignored initiative bonus "${bonus}" for ${combatant.name}: not a valid roll formula.`);
+    }
+  }
+
+  if (typeof actor?.getInitiativeRoll === "function") {
+    const options = {};
+    if (mode === "advantage") options.advantage = true;
+    if (mode === "disadvantage") options.disadvantage = true;
+    const roll = actor.getInitiativeRoll(options);
+    if (roll && !extra.length) return roll;
+    if (roll) return new roll.constructor([roll.formula, ...extra].join(" + "), roll.data, roll.options);
+  }
+
+  // Systems without an actor initiative pipeline
+  const dieExpr = mode === "advantage" ? "2d20kh"
+    : mode === "disadvantage" ? "2d20kl"
+      : "1d20";
+  const dexMod = actor?.system?.abilities?.dex?.mod ?? 0;
+  return new Roll([`${dieExpr} + ${dexMod}`, ...extra].join(" + "));
+}
+
+/* ------------------------------------------------------------------ */
+/*  Built-in Strategies                                               */
+/* ------------------------------------------------------------------ */
+
+registerInitiativeStrategy(INITIATIVE_MODE.AVERAGE, {
+  label: "Average (Rounded)",
+  compute: (list) => calculateAverageInitiative(list.map((r) => r.init)),
+});
+
+registerInitiativeStrategy(INITIATIVE_MODE.MEDIAN, {
+  label: "Median",
+  compute: (list) => {
+    if (!list.length) return null;
+    const sorted = list.map((r) => r.init).sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? Math.round(sorted[mid])
+      : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+  },
+});
+
+registerInitiativeStrategy(INITIATIVE_MODE.LOWEST, {
+  label: "Slowest Soldier (Lowest)",
+  compute: (list) => (list.length ? Math.round(Math.min(...list.map((r) => r.init))) : null),
+});
+
+registerInitiativeStrategy(INITIATIVE_MODE.HIGHEST, {
+  label: "Led by the Fastest (Highest)",
+  compute: (list) => (list.length ? Math.round(Math.max(...list.map((r) => r.init))) : null),
+});
+
+registerInitiativeStrategy(INITIATIVE_MODE.LEADER, {
+  label: "Leader Only",
+  compute: (list, { meta }) => {
+    const leader = list.find((r) => r.combatant.id === meta?.leaderId);
+    return leader ? Math.round(leader.init) : null;
+  },
+});
+
+registerInitiativeStrategy(INITIATIVE_MODE.SHARED, {
+  label: "Shared d20 + Best DEX",
+  compute: async (list, { combat, groupId, meta, mode }) => {
+    if (!list.length) return null;
+    const bestDex = Math.max(...list.map((r) => r.combatant.actor?.system?.abilities?.dex?.mod ?? 0));
+
+    // Reuse the stored die so re-finalizing (manual edits, bulk rolls) doesn't reroll the group
+    let shared = meta?.sharedRoll;
+    if (!Number.isFinite(shared)) {
+      const dieExpr = mode === "advantage" ? "2d20kh"
+        : mode === "disadvantage" ? "2d20kl"
+          : "1d20";
+      const roll = new Roll(dieExpr);
+      await roll.evaluate();
+      await roll.toMessage({
+        flavor: `${meta?.name ?? "Unnamed Group"} rolls a shared initiative die!`,
+        rollMode: CONST.DICE_ROLL_MODES.PRIVATE,
+      });
+      shared = roll.total;
+      await combat.setFlag(MODULE_ID, `groups.${groupId}.sharedRoll`, shared);
+    }
+    return shared + bestDex;
+  },
+});
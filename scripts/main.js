@@ -27,9 +27,33 @@ import {
   combatTrackerRendering,
 } from "./combat-tracker.js";
 import { groupHeaderRendering, clearAllTokenHighlights } from "./group-header-rendering.js";
-import { GroupManager, UNGROUPED } from "./class-objects.js";
+import { GroupManager, GroupContextMenuManager, UNGROUPED } from "./class-objects.js";
 import { overrideRollMethods } from "./rolling-overrides.js";
-import { MoraleManager, DISCIPLINE } from "./morale.js";
+import { MoraleManager, DISCIPLINE, RALLY_SKILL } from "./morale.js";
+import { registerMoraleStatesMenu, MORALE_STATE, getMoraleState, getGroupMoraleState } from "./morale-states.js";
+import {
+  registerMoraleTriggersMenu,
+  migrateLeaderLossSetting,
+  registerMoraleTrigger,
+  getMoraleTriggers,
+  MORALE_TRIGGER,
+  TRIGGER_ACTION,
+  TRIGGER_EVENT,
+} from "./morale-triggers.js";
+import { getMoraleHistory } from "./morale-history.js";
+import { registerMoraleRulesMenu, getMoraleRules, setGroupMoraleRules, MORALE_ABILITY, MORALE_LEVEL } from "./morale-rules.js";
+import { INITIATIVE_MODE, registerInitiativeStrategy, getInitiativeStrategies } from "./initiative-strategies.js";
+import { GroupTemplateManager, registerTemplateMenu } from "./group-templates.js";
+import { registerTieBreakerMenu, getTieBreakers, getTieBreakerChain, TIE_BREAKER } from "./tie-breakers.js";
+import { AutoGroupManager, AUTO_GROUP_MODE } from "./auto-group.js";
+import { ASSIGNMENT_RULE, registerAssignmentRule, getAssignmentRules } from "./assignment-rules.js";
+import { GroupHistory } from "./history.js";
+import { overrideTurnMethods, onCombatTurnChange, onCombatTurnBackward, getTurnBlock } from "./group-turns.js";
+import { applyTurnOrder, findOrderConflicts } from "./turn-order.js";
+import { rerollRound, onCombatRoundChange, onPlayerReroll } from "./round-reroll.js";
+import { SideManager } from "./side-initiative.js";
+import { SIDE, isSideMode, getSides } from "./sides.js";
+import { HoldManager, HOLD_TYPE, skipHeldTurns, getHoldingGroupId } from "./group-hold.js";
 
 /* ------------------------------------------------------------------ */
 /*  Initialization Hooks                                              */
@@ -38,11 +62,54 @@ import { MoraleManager, DISCIPLINE } from "./morale.js";
 Hooks.once("init", () => {
   logger.info("Initializing...");
   registerSettings();
+  registerTemplateMenu();
+  registerTieBreakerMenu();
+  registerMoraleRulesMenu();
+  registerMoraleStatesMenu();
+  registerMoraleTriggersMenu();
+  registerKeybindings();
 });
 
+/**
+ * Registers undo/redo for group operations. Only consumes the key while the combat
+ * tracker is showing and there is something to undo/redo, so core canvas undo still works.
+ */
+function registerKeybindings() {
+  const trackerActive = () => ui.combat?.popout?.rendered
+    || (ui.sidebar?.expanded && ui.sidebar?.tabGroups?.primary === "combat");
+
+  game.keybindings.register(MODULE_ID, "undoGroupAction", {
+    name: "Undo Group Action",
+    hint: "Reverts the last group operation (create, delete, move, reset, ...) while the combat tracker is open.",
+    editable: [{ key: "KeyZ", modifiers: ["Control"] }],
+    restricted: true,
+    precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY,
+    onDown: () => {
+      if (!trackerActive() || !GroupHistory.getHistory().undo.length) return false;
+      GroupHistory.undo();
+      return true;
+    },
+  });
+
+  game.keybindings.register(MODULE_ID, "redoGroupAction", {
+    name: "Redo Group Action",
+    hint: "Re-applies the last undone group operation while the combat tracker is open.",
+    editable: [{ key: "KeyZ", modifiers: ["Control", "Shift"] }],
+    restricted: true,
+    precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY,
+    onDown: () => {
+      if (!trackerActive() || !GroupHistory.getHistory().redo.length) return false;
+      GroupHistory.redo();
+      return true;
+    },
+  });
+}
+
 Hooks.once("ready", () => {
   groupHeaderRendering();
   overrideRollMethods();
+  overrideTurnMethods();
+  if (game.users.activeGM?.isSelf) migrateLeaderLossSetting();
 
   /* --- Public API Registration --- */
   const mod = game.modules.get(MODULE_ID);
@@ -55,12 +122,65 @@ Hooks.once("ready", () => {
       getGroups: GroupManager.getGroups.bind(GroupManager),
       addCombatantsToGroup: GroupManager.addCombatantsToGroup.bind(GroupManager),
       removeCombatantFromGroup: GroupManager.removeCombatantFromGroup.bind(GroupManager),
+      setGroupLeader: GroupManager.setGroupLeader.bind(GroupManager),
+      getGroupLeader: GroupManager.getGroupLeader.bind(GroupManager),
+      setParentGroup: GroupManager.setParentGroup.bind(GroupManager),
+      getSubgroups: GroupManager.getChildGroupIds.bind(GroupManager),
+      getGroupMembers: GroupManager.getGroupMembers.bind(GroupManager),
+      mergeGroups: GroupManager.mergeGroups.bind(GroupManager),
+      splitGroup: GroupManager.splitGroup.bind(GroupManager),
+
+      // Templates
+      getGroupTemplates: GroupTemplateManager.getTemplates.bind(GroupTemplateManager),
+      saveGroupTemplate: GroupTemplateManager.saveTemplate.bind(GroupTemplateManager),
+      deleteGroupTemplate: GroupTemplateManager.deleteTemplate.bind(GroupTemplateManager),
+      createGroupFromTemplate: GroupTemplateManager.createGroupFromTemplate.bind(GroupTemplateManager),
+
+      // Auto-Grouping
+      autoGroup: AutoGroupManager.autoGroup.bind(AutoGroupManager),
+      getAutoGroupPartition: AutoGroupManager.partition.bind(AutoGroupManager),
+      AUTO_GROUP_MODE,
+      registerAssignmentRule,
+      getAssignmentRules,
+      ASSIGNMENT_RULE,
 
       // Initiative
       rollGroupInitiative: GroupManager.rollGroupAndApplyInitiative.bind(GroupManager),
+      configureGroupRoll: GroupManager.configureGroupRoll.bind(GroupManager),
       setGroupInitiative: GroupManager.setGroupInitiative.bind(GroupManager),
       resetGroupInitiative: GroupManager.resetGroupInitiative.bind(GroupManager),
       finalizeGroupInitiative: GroupManager.finalizeGroupInitiative.bind(GroupManager),
+      rerollMember: GroupManager.rerollMember.bind(GroupManager),
+      rerollRound,
+      getTurnBlock,
+      reflowTurnOrder: applyTurnOrder,
+      findOrderConflicts,
+      registerInitiativeStrategy,
+      getInitiativeStrategies,
+      INITIATIVE_MODE,
+      getTieBreakers,
+      getTieBreakerChain,
+      TIE_BREAKER,
+
+      // Side Initiative
+      setSideMode: SideManager.setSideMode.bind(SideManager),
+      isSideMode,
+      rollSides: SideManager.rollSides.bind(SideManager),
+      assignSide: SideManager.assignSide.bind(SideManager),
+      getSides,
+      SIDE,
+
+      // Delay / Ready
+      holdGroup: HoldManager.holdGroup.bind(HoldManager),
+      actNow: HoldManager.actNow.bind(HoldManager),
+      releaseGroup: HoldManager.releaseGroup.bind(HoldManager),
+      getHoldingGroupId,
+      HOLD_TYPE,
+
+      // History
+      undo: GroupHistory.undo.bind(GroupHistory),
+      redo: GroupHistory.redo.bind(GroupHistory),
+      getHistory: GroupHistory.getHistory.bind(GroupHistory),
 
       // Visibility
       toggleGroupVisibility: GroupManager.toggleGroupVisibility.bind(GroupManager),
@@ -77,6 +197,25 @@ Hooks.once("ready", () => {
       getLivingMembers: MoraleManager.getLivingMembers.bind(MoraleManager),
       getDeadMembers: MoraleManager.getDeadMembers.bind(MoraleManager),
       getCasualtyCount: MoraleManager.getCasualtyCount.bind(MoraleManager),
+      getCasualties: MoraleManager.getCasualties.bind(MoraleManager),
+      getMoraleRules,
+      setGroupMoraleRules,
+      MORALE_ABILITY,
+      MORALE_LEVEL,
+      getMoraleState,
+      setMoraleState: MoraleManager.setMoraleState.bind(MoraleManager),
+      getGroupMoraleState,
+      MORALE_STATE,
+      rallyGroup: MoraleManager.rallyGroup.bind(MoraleManager),
+      RALLY_SKILL,
+      registerMoraleTrigger,
+      getMoraleTriggers,
+      triggerMoraleEvent: MoraleManager.onTriggerEvent.bind(MoraleManager),
+      resetMoraleTriggers: MoraleManager.resetTriggersForGroup.bind(MoraleManager),
+      getMoraleHistory,
+      MORALE_TRIGGER,
+      TRIGGER_ACTION,
+      TRIGGER_EVENT,
       DISCIPLINE,
 
       // Constants
@@ -104,11 +243,27 @@ Hooks.once("ready", () => {
 
 Hooks.on("deleteCombat", onDeleteCombat);
 Hooks.on("deleteCombat", clearAllTokenHighlights);
-Hooks.on("deleteCombat", () => MoraleManager.clearPromptedGroups());
 Hooks.on("canvasReady", clearAllTokenHighlights);
 Hooks.on("createCombatant", onCreateCombatant);
 Hooks.on("deleteCombatant", onDeleteCombatant);
 Hooks.on("updateCombat", onUpdateCombat);
+Hooks.on("combatTurn", skipHeldTurns);
+Hooks.on("combatRound", skipHeldTurns);
+Hooks.on("combatTurn", onCombatTurnBackward);
+Hooks.on("combatRound", onCombatTurnBackward);
+Hooks.on("combatTurnChange", onCombatTurnChange);
+Hooks.on("updateCombat", onCombatRoundChange);
+
+/**
+ * A new initiative that is not a placement (a roll, a reset, a GM edit) replaces the stored
+ * group roll, so recalculations use it instead of the old one.
+ */
+Hooks.on("preUpdateCombatant", (combatant, changes) => {
+  if (!("initiative" in changes) || skipFinalizeSet.has(combatant)) return;
+  if (combatant.getFlag(MODULE_ID, "rawInit") === undefined) return;
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.rawInit`)) return;
+  foundry.utils.setProperty(changes, `flags.${MODULE_ID}.-=rawInit`, null);
+});
 
 /**
  * Monitors individual initiative updates.
@@ -141,15 +296,26 @@ Hooks.on("updateCombatant", async (combatant, changes) => {
     return;
   }
 
+  const combat = combatant.parent;
+  if (!combat) return;
+
+  // Side initiative: the side's roll places everyone, so an individual roll only re-sorts
+  if (isSideMode(combat)) {
+    if (isGM() && Number.isFinite(changes.initiative)) await applyTurnOrder(combat);
+    return;
+  }
+
   const groupId = combatant.getFlag(MODULE_ID, "groupId");
   if (!groupId || groupId === "ungrouped") {
-    log.trace("Skipping - no group or ungrouped", { groupId });
+    // An ungrouped roll can land inside a group's range; move the groups around it
+    if (isGM() && Number.isFinite(changes.initiative)) {
+      log.trace("Ungrouped initiative change, reflowing groups", { combatant: combatant.name });
+      await applyTurnOrder(combat);
+      await onPlayerReroll(combat);
+    }
     return;
   }
 
-  const combat = combatant.parent;
-  if (!combat) return;
-
   // Guard: Skip flag (set during batch operations)
   const skip = combat.getFlag(MODULE_ID, `skipFinalize.${groupId}`);
   if (skip) {
@@ -280,7 +446,7 @@ async function syncGroupFlag(combat, changedCombatant, newHidden) {
  * Records starting sizes for all groups when combat starts (round 0 → 1).
  */
 Hooks.on("updateCombat", async (combat, changes) => {
-  if (!isGM()) return;
+  if (!game.users.activeGM?.isSelf) return;
   try {
     if (!game.settings.get(MODULE_ID, "moraleEnabled")) return;
   } catch { return; }
@@ -292,10 +458,10 @@ Hooks.on("updateCombat", async (combat, changes) => {
 });
 
 /**
- * Monitors actor HP changes for morale auto-prompt triggers.
+ * Monitors actor HP changes for morale triggers.
  */
 Hooks.on("updateActor", async (actor, changes) => {
-  if (!isGM()) return;
+  if (!game.users.activeGM?.isSelf) return;
   try {
     if (!game.settings.get(MODULE_ID, "moraleEnabled")) return;
   } catch { return; }
@@ -306,8 +472,6 @@ Hooks.on("updateActor", async (actor, changes) => {
   const combat = game.combat;
   if (!combat) return;
 
-  const log = logger.fn("updateActor:morale");
-
   // Find combatant(s) for this actor in the current combat
   const combatants = combat.combatants.filter((c) => c.actorId === actor.id);
 
@@ -315,10 +479,54 @@ Hooks.on("updateActor", async (actor, changes) => {
     const groupId = combatant.getFlag(MODULE_ID, "groupId");
     if (!groupId || groupId === "ungrouped") continue;
 
-    if (MoraleManager.shouldAutoPrompt(combat, groupId)) {
-      log.debug(`Auto-prompt triggered for group "${groupId}" due to HP change on ${actor.name}`);
-      await MoraleManager.sendAutoPrompt(combat, groupId);
+    // Leader down: one event per fall, re-armed when the leader is healed
+    let leaderFell = false;
+    if (GroupManager.getGroupLeader(combat, groupId)?.id === combatant.id) {
+      const leaderDown = combat.getFlag(MODULE_ID, `groups.${groupId}.leaderDown`);
+      if (newHp <= 0 && !leaderDown) {
+        await combat.setFlag(MODULE_ID, `groups.${groupId}.leaderDown`, true);
+        leaderFell = true;
+      }
+      if (newHp > 0 && leaderDown) {
+        await combat.unsetFlag(MODULE_ID, `groups.${groupId}.leaderDown`);
+      }
     }
+
+    await MoraleManager.onTriggerEvent(TRIGGER_EVENT.DAMAGE, { combat, combatant, groupId, hp: newHp, leaderFell });
+  }
+});
+
+/**
+ * Morale triggers for a combatant joining a running combat.
+ */
+Hooks.on("createCombatant", async (combatant) => {
+  if (!game.users.activeGM?.isSelf) return;
+  try {
+    if (!game.settings.get(MODULE_ID, "moraleEnabled")) return;
+  } catch { return; }
+
+  const combat = combatant.parent;
+  if (!combat?.started) return;
+  await MoraleManager.onTriggerEvent(TRIGGER_EVENT.COMBATANT_ADDED, { combat, combatant });
+});
+
+/**
+ * Morale triggers for effects (e.g. Fear) landing on grouped combatants.
+ */
+Hooks.on("createActiveEffect", async (effect) => {
+  if (!game.users.activeGM?.isSelf) return;
+  try {
+    if (!game.settings.get(MODULE_ID, "moraleEnabled")) return;
+  } catch { return; }
+
+  const actor = effect.parent;
+  const combat = game.combat;
+  if (!(actor instanceof Actor) || !combat?.started) return;
+
+  for (const combatant of combat.combatants.filter((c) => c.actor === actor)) {
+    const groupId = combatant.getFlag(MODULE_ID, "groupId");
+    if (!groupId || groupId === "ungrouped") continue;
+    await MoraleManager.onTriggerEvent(TRIGGER_EVENT.EFFECT_APPLIED, { combat, combatant, groupId, effect });
   }
 });
 
@@ -344,7 +552,7 @@ Hooks.on("renderChatMessage", (message, html) => {
       return;
     }
 
-    await MoraleManager.rollMorale(combat, groupId);
+    await MoraleManager.rollMorale(combat, groupId, MoraleManager.getTriggerRollOptions(btn.dataset.trigger));
   });
 });
 
@@ -352,6 +560,13 @@ Hooks.on("renderChatMessage", (message, html) => {
 /*  UI Rendering Hooks                                                */
 /* ------------------------------------------------------------------ */
 
+/**
+ * Appends group actions (leader designation, ...) to the core combatant context menu.
+ */
+Hooks.on("getCombatantContextOptions", (_app, options) => {
+  options.push(...GroupContextMenuManager.getCombatantContextOptions());
+});
+
 Hooks.on("renderCombatTracker", (app, html, data) => {
   const element = normalizeHtml(html);
   renderBatcher.schedule(app, element);
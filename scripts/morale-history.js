@@ -0,0 +1,175 @@
+/**
+ * @file morale-history.js
+ * @description Per-group morale log stored on the combat (`groups.<id>.moraleHistory`): every
+ * prompt and roll with its round, turn, DC and results, and a window to read it.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, CONSTANTS } from "./shared.js";
+import { getStateLabel, getStateColor } from "./morale-states.js";
+import { getMoraleTrigger } from "./morale-triggers.js";
+
+/**
+ * @typedef {Object} MoraleHistoryMember
+ * @property {string} id - Combatant id
+ * @property {string} name
+ * @property {number} total - Roll total
+ * @property {boolean} passed
+ * @property {string} from - Morale state before the roll
+ * @property {string} to - Morale state after the roll
+ */
+
+/**
+ * @typedef {Object} MoraleHistoryEntry
+ * @property {"prompt"|"roll"} type - A GM prompt, or a morale roll
+ * @property {string|null} trigger - The morale trigger behind it, or null for a manual roll
+ * @property {string|null} reason - e.g. "has lost its leader"
+ * @property {number} round
+ * @property {number|null} turn - Turn index (0-based) when it happened
+ * @property {number} timestamp
+ * @property {number} [dc] - Rolls only
+ * @property {string|null} [groupState] - Rolls only: the group's morale afterwards
+ * @property {MoraleHistoryMember[]} [members] - Rolls only
+ */
+
+/**
+ * A group's morale log, oldest first.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @returns {MoraleHistoryEntry[]}
+ */
+export function getMoraleHistory(combat, groupId) {
+  return combat?.getFlag(MODULE_ID, `groups.${groupId}.moraleHistory`) ?? [];
+}
+
+/**
+ * Appends an entry to a group's morale log, stamped with the current round and turn.
+ * Keeps the latest MORALE_HISTORY_LIMIT entries.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @param {Partial<MoraleHistoryEntry>} entry
+ */
+export async function recordMoraleHistory(combat, groupId, entry) {
+  if (!combat.getFlag(MODULE_ID, `groups.${groupId}`)) return;
+
+  /** @type {MoraleHistoryEntry} */
+  const record = {
+    trigger: null,
+    reason: null,
+    round: combat.round,
+    turn: combat.turn ?? null,
+    timestamp: Date.now(),
+    ...entry,
+  };
+  const history = [...getMoraleHistory(combat, groupId), record].slice(-CONSTANTS.MORALE_HISTORY_LIMIT);
+
+  try {
+    await combat.setFlag(MODULE_ID, `groups.${groupId}.moraleHistory`, history);
+  } catch (err) {
+    logger.fn("recordMoraleHistory").error("Failed to record morale history", err);
+  }
+}
+
+/**
+ * Builds the log entry of a morale roll from its results.
+ * @param {Object} results - From MoraleManager.rollMorale
+ * @param {string|null} [trigger]
+ * @returns {Partial<MoraleHistoryEntry>}
+ */
+export function rollHistoryEntry(results, trigger = null) {
+  const member = (e, passed) => ({ id: e.combatant.id, name: e.name, total: e.rollTotal, passed, from: e.from, to: e.to });
+  return {
+    type: "roll",
+    trigger,
+    reason: results.reason ?? null,
+    dc: results.dc,
+    groupState: results.groupState ?? null,
+    members: [...results.passed.map((e) => member(e, true)), ...results.failed.map((e) => member(e, false))],
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  History Window                                                    */
+/* ------------------------------------------------------------------ */
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Read-only window listing a group's morale prompts and rolls, newest first.
+ * Opened with `combat` and `groupId` options.
+ */
+export class MoraleHistoryView extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    classes: ["sci-morale-history"],
+    window: { title: "Morale History", icon: "fas fa-scroll", resizable: true },
+    position: { width: 520, height: "auto" },
+  };
+
+  /** @override */
+  get title() {
+    const name = this.options.combat?.getFlag(MODULE_ID, `groups.${this.options.groupId}.name`) ?? "Unnamed Group";
+    return `Morale History: ${name}`;
+  }
+
+  /** @override */
+  async _renderHTML() {
+    const { combat, groupId } = this.options;
+    const history = getMoraleHistory(combat, groupId);
+
+    const rows = history
+      .slice()
+      .reverse()
+      .map((entry) => {
+        const when = `R${entry.round}${Number.isInteger(entry.turn) ? ` T${entry.turn + 1}` : ""}`;
+        const source = foundry.utils.escapeHTML(entry.trigger ? getMoraleTrigger(entry.trigger)?.label ?? entry.trigger : "Manual");
+        if (entry.type === "prompt") {
+          return `
+            <tr>
+              <td>${when}</td>
+              <td>${source}</td>
+              <td colspan="3" style="opacity: 0.7;"><i class="fas fa-bell"></i> GM prompted${entry.reason ? `: ${foundry.utils.escapeHTML(entry.reason)}` : ""}</td>
+            </tr>`;
+        }
+        const members = entry.members ?? [];
+        const held = members.filter((m) => m.passed).length;
+        const changes = members
+          .filter((m) => m.from !== m.to)
+          .map((m) => `${foundry.utils.escapeHTML(m.name)} (${m.total}): ${getStateLabel(m.from)} → ${getStateLabel(m.to)}`)
+          .join("<br>");
+        return `
+          <tr>
+            <td>${when}</td>
+            <td>${source}</td>
+            <td style="text-align: center;">${entry.dc}</td>
+            <td style="text-align: center;">
+              <span style="color: #4caf50;">${held}</span> / <span style="color: #f44336;">${members.length - held}</span>
+              ${entry.groupState ? `<div style="font-size: 11px; color: ${getStateColor(entry.groupState)};">${getStateLabel(entry.groupState)}</div>` : ""}
+            </td>
+            <td style="font-size: 11px;">${changes || '<span style="opacity: 0.6;">No change</span>'}</td>
+          </tr>`;
+      })
+      .join("");
+
+    if (!rows) return `<p class="hint">No morale prompts or rolls yet in this combat.</p>`;
+
+    return `
+      <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+        <thead>
+          <tr style="font-size: 11px; text-transform: uppercase; opacity: 0.6;">
+            <th style="text-align: left;">When</th>
+            <th style="text-align: left;">Trigger</th>
+            <th>DC</th>
+            <th>Held / Broke</th>
+            <th style="text-align: left;">State Changes</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+}
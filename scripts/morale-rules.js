@@ -0,0 +1,384 @@
+/**
+ * @file morale-rules.js
+ * @description Configurable morale formula: which ability and level bonus each member adds,
+ * the base DC, how casualties weigh on it, and bonuses for nearby allies. World rules are
+ * set in a settings menu; any group can override them.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM } from "./shared.js";
+import { GroupHistory } from "./history.js";
+
+/**
+ * The ability each member adds to its morale roll.
+ * @readonly
+ * @enum {string}
+ */
+export const MORALE_ABILITY = Object.freeze({
+  WIS: "wis",
+  WIS_SAVE: "wisSave",
+  CHA: "cha",
+  BEST_MENTAL: "bestMental",
+});
+
+/**
+ * The level-based bonus each member adds to its morale roll.
+ * @readonly
+ * @enum {string}
+ */
+export const MORALE_LEVEL = Object.freeze({
+  CR: "cr",
+  PROFICIENCY: "proficiency",
+  NONE: "none",
+});
+
+/**
+ * @typedef {Object} MoraleRules
+ * @property {string} ability - A MORALE_ABILITY value
+ * @property {string} level - A MORALE_LEVEL value
+ * @property {number} baseDC - DC before casualties
+ * @property {number} perDeath - DC added per dead (defeated) or removed member
+ * @property {number} perUnconscious - DC added per member at 0 HP who is not marked defeated
+ * @property {boolean} mobConfidence - Add the mob confidence bonus
+ * @property {number} allyBonus - Bonus per living ally within `allyRange` (0 = off)
+ * @property {number} allyRange - Ally range in grid units (feet)
+ * @property {number} allyMax - Cap on the ally bonus (0 = no cap)
+ */
+
+/**
+ * The formula before it was configurable: 1d20 + WIS + floor(CR) + mob confidence vs. 10 + casualties.
+ * @type {MoraleRules}
+ */
+export const DEFAULT_MORALE_RULES = Object.freeze({
+  ability: MORALE_ABILITY.WIS,
+  level: MORALE_LEVEL.CR,
+  baseDC: 10,
+  perDeath: 1,
+  perUnconscious: 1,
+  mobConfidence: true,
+  allyBonus: 0,
+  allyRange: 10,
+  allyMax: 0,
+});
+
+const ABILITY_LABELS = {
+  [MORALE_ABILITY.WIS]: "WIS Modifier",
+  [MORALE_ABILITY.WIS_SAVE]: "WIS Saving Throw",
+  [MORALE_ABILITY.CHA]: "CHA Modifier",
+  [MORALE_ABILITY.BEST_MENTAL]: "Best of INT / WIS / CHA",
+};
+
+const LEVEL_LABELS = {
+  [MORALE_LEVEL.CR]: "Challenge Rating (rounded down)",
+  [MORALE_LEVEL.PROFICIENCY]: "Proficiency Bonus",
+  [MORALE_LEVEL.NONE]: "None",
+};
+
+/** Rule fields that are numbers, for validating stored and submitted values. */
+const NUMBER_FIELDS = ["baseDC", "perDeath", "perUnconscious", "allyBonus", "allyRange", "allyMax"];
+
+const toNumber = (v) => (typeof v === "number" ? v : Number(v) || 0);
+
+/**
+ * Keeps only known rule fields with valid values.
+ * @param {Object} data
+ * @returns {Partial<MoraleRules>}
+ */
+function cleanRules(data = {}) {
+  const rules = {};
+  if (Object.values(MORALE_ABILITY).includes(data.ability)) rules.ability = data.ability;
+  if (Object.values(MORALE_LEVEL).includes(data.level)) rules.level = data.level;
+  if (typeof data.mobConfidence === "boolean") rules.mobConfidence = data.mobConfidence;
+  for (const key of NUMBER_FIELDS) {
+    if (Number.isFinite(data[key])) rules[key] = Math.max(0, data[key]);
+  }
+  return rules;
+}
+
+/**
+ * The world morale rules (Morale Rules settings menu).
+ * @returns {MoraleRules}
+ */
+export function getWorldMoraleRules() {
+  return { ...DEFAULT_MORALE_RULES, ...cleanRules(game.settings.get(MODULE_ID, "moraleRules")) };
+}
+
+/**
+ * The morale rules for a group: the world rules with the group's overrides on top.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @returns {MoraleRules}
+ */
+export function getMoraleRules(combat, groupId) {
+  const overrides = combat?.getFlag(MODULE_ID, `groups.${groupId}.moraleRules`);
+  return { ...getWorldMoraleRules(), ...cleanRules(overrides) };
+}
+
+/**
+ * Stores a group's rule overrides: only the fields that differ from the world rules, so
+ * later changes to the world rules still reach the rest. Pass null to clear them.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @param {Partial<MoraleRules>|null} rules
+ */
+export async function setGroupMoraleRules(combat, groupId, rules) {
+  if (!isGM()) return;
+  const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+  const world = getWorldMoraleRules();
+  const overrides = Object.fromEntries(
+    Object.entries(cleanRules(rules ?? {})).filter(([key, value]) => world[key] !== value)
+  );
+
+  GroupHistory.record(combat, `Morale Rules: ${groupName}`);
+  if (Object.keys(overrides).length) {
+    await combat.update({
+      [`flags.${MODULE_ID}.groups.${groupId}.-=moraleRules`]: null,
+    });
+    await combat.setFlag(MODULE_ID, `groups.${groupId}.moraleRules`, overrides);
+  } else {
+    await combat.unsetFlag(MODULE_ID, `groups.${groupId}.moraleRules`);
+  }
+  logger.fn("setGroupMoraleRules").debug(`Morale rules for "${groupName}"`, { groupId, overrides });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Roll Terms                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @typedef {Object} MoraleTerm
+ * @property {string} label - Short label for the chat card ("WIS", "CR", "Allies", ...)
+ * @property {number} value
+ */
+
+/**
+ * The ability term of a member's morale roll.
+ * @param {Actor} actor
+ * @param {string} ability - A MORALE_ABILITY value
+ * @returns {MoraleTerm}
+ */
+export function getAbilityTerm(actor, ability) {
+  const abilities = actor?.system?.abilities ?? {};
+  const mod = (key) => toNumber(abilities[key]?.mod);
+
+  switch (ability) {
+    case MORALE_ABILITY.WIS_SAVE: {
+      // dnd5e 4+ stores the save as {value}, older versions as a number
+      const save = abilities.wis?.save;
+      const value = typeof save === "number" ? save : save?.value;
+      return { label: "WIS Save", value: Number.isFinite(value) ? value : mod("wis") };
+    }
+    case MORALE_ABILITY.CHA:
+      return { label: "CHA", value: mod("cha") };
+    case MORALE_ABILITY.BEST_MENTAL: {
+      const best = ["int", "wis", "cha"].reduce((a, b) => (mod(b) > mod(a) ? b : a));
+      return { label: best.toUpperCase(), value: mod(best) };
+    }
+    default:
+      return { label: "WIS", value: mod("wis") };
+  }
+}
+
+/**
+ * The level term of a member's morale roll, or null when the rules add none.
+ * @param {Actor} actor
+ * @param {string} level - A MORALE_LEVEL value
+ * @returns {MoraleTerm|null}
+ */
+export function getLevelTerm(actor, level) {
+  if (level === MORALE_LEVEL.PROFICIENCY) {
+    return { label: "PB", value: toNumber(actor?.system?.attributes?.prof) };
+  }
+  if (level === MORALE_LEVEL.CR) {
+    return { label: "CR", value: Math.floor(toNumber(actor?.system?.details?.cr)) };
+  }
+  return null;
+}
+
+/**
+ * Living allies (same token disposition) within range of a combatant's token. Combatants
+ * without a token on the viewed scene have no nearby allies.
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @param {number} range - Grid units
+ * @returns {Combatant[]}
+ */
+export function getNearbyAllies(combat, combatant, range) {
+  const origin = combatant.token?.object?.center;
+  if (!origin || !canvas?.grid) return [];
+
+  const disposition = combatant.token.disposition;
+  return combat.combatants.filter((c) => {
+    if (c === combatant || c.token?.disposition !== disposition) return false;
+    const hp = c.actor?.system?.attributes?.hp?.value;
+    const center = c.token?.object?.center;
+    if (hp == null || hp <= 0 || !center) return false;
+    return canvas.grid.measurePath([origin, center]).distance <= range;
+  });
+}
+
+/**
+ * Counts living allies within range of a combatant's token (see {@link getNearbyAllies}).
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @param {number} range - Grid units
+ * @returns {number}
+ */
+export function countNearbyAllies(combat, combatant, range) {
+  return getNearbyAllies(combat, combatant, range).length;
+}
+
+/**
+ * Short description of the modifiers added to the d20 under the given rules ("WIS + CR + mob").
+ * @param {MoraleRules} rules
+ * @returns {string}
+ */
+export function describeMoraleRules(rules) {
+  const ability = {
+    [MORALE_ABILITY.WIS_SAVE]: "WIS save",
+    [MORALE_ABILITY.CHA]: "CHA",
+    [MORALE_ABILITY.BEST_MENTAL]: "best mental",
+  }[rules.ability] ?? "WIS";
+  const level = { [MORALE_LEVEL.CR]: "CR", [MORALE_LEVEL.PROFICIENCY]: "PB" }[rules.level];
+  return [ability, level, rules.mobConfidence && "mob", rules.allyBonus && "allies"].filter(Boolean).join(" + ");
+}
+
+/* ------------------------------------------------------------------ */
+/*  Settings Menu                                                     */
+/* ------------------------------------------------------------------ */
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Morale rules editor. Opened from the settings for the world rules, or with a
+ * `combat` and `groupId` option to edit one group's overrides.
+ */
+export class MoraleRulesConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "sci-morale-rules",
+    tag: "form",
+    classes: ["sci-morale-rules-config"],
+    window: { title: "Morale Rules", icon: "fas fa-flag" },
+    position: { width: 460, height: "auto" },
+    form: { handler: MoraleRulesConfig.#onSubmit, closeOnSubmit: true },
+    actions: {
+      resetDefaults: MoraleRulesConfig.#onReset,
+    },
+  };
+
+  /**
+   * Values shown in the form; replaced by the defaults (or the world rules) on Reset.
+   * @type {MoraleRules|null}
+   */
+  #rules = null;
+
+  /** @returns {boolean} Whether this window edits one group's overrides */
+  get #isGroup() {
+    return !!(this.options.combat && this.options.groupId);
+  }
+
+  /** @override */
+  get title() {
+    if (!this.#isGroup) return super.title;
+    const name = this.options.combat.getFlag(MODULE_ID, `groups.${this.options.groupId}.name`) ?? "Unnamed Group";
+    return `Morale Rules: ${name}`;
+  }
+
+  /** @override */
+  async _renderHTML() {
+    this.#rules ??= this.#isGroup
+      ? getMoraleRules(this.options.combat, this.options.groupId)
+      : getWorldMoraleRules();
+    const r = this.#rules;
+
+    const options = (labels, current) => Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}" ${value === current ? "selected" : ""}>${label}</option>`)
+      .join("");
+    const number = (name, label, hint, step = 1) => `
+      <div class="form-group">
+        <label>${label}</label>
+        <div class="form-fields"><input type="number" name="${name}" value="${r[name]}" min="0" step="${step}"></div>
+        <p class="hint">${hint}</p>
+      </div>`;
+
+    return `
+      <p class="hint">${this.#isGroup
+        ? "Overrides for this group only. Fields left equal to the world rules follow them."
+        : "Each living member rolls d20 + the terms below against the DC. Groups can override these rules from their context menu."}</p>
+      <fieldset>
+        <legend>Roll</legend>
+        <div class="form-group">
+          <label>Ability</label>
+          <div class="form-fields"><select name="ability">${options(ABILITY_LABELS, r.ability)}</select></div>
+        </div>
+        <div class="form-group">
+          <label>Level Bonus</label>
+          <div class="form-fields"><select name="level">${options(LEVEL_LABELS, r.level)}</select></div>
+        </div>
+        <div class="form-group">
+          <label>Mob Confidence</label>
+          <div class="form-fields"><input type="checkbox" name="mobConfidence" ${r.mobConfidence ? "checked" : ""}></div>
+          <p class="hint">+1 per N living members (Mob Confidence Divisor).</p>
+        </div>
+        ${number("allyBonus", "Bonus per Nearby Ally", "Added for each living ally (same disposition) within range. 0 turns it off.")}
+        ${number("allyRange", "Ally Range (ft)", "How close an ally must be.", 5)}
+        ${number("allyMax", "Ally Bonus Cap", "Most the ally bonus can add. 0 for no cap.")}
+      </fieldset>
+      <fieldset>
+        <legend>DC</legend>
+        ${number("baseDC", "Base DC", "DC before casualties.")}
+        ${number("perDeath", "Per Death", "Added per member marked defeated, or removed from combat.")}
+        ${number("perUnconscious", "Per Unconscious", "Added per member at 0 HP who is not marked defeated.")}
+      </fieldset>
+      <footer class="form-footer">
+        <button type="button" data-action="resetDefaults">
+          <i class="fas fa-undo"></i> ${this.#isGroup ? "Use World Rules" : "Reset"}
+        </button>
+        <button type="submit"><i class="fas fa-save"></i> Save</button>
+      </footer>
+    `;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * @this {MoraleRulesConfig}
+   */
+  static #onReset() {
+    this.#rules = this.#isGroup ? getWorldMoraleRules() : { ...DEFAULT_MORALE_RULES };
+    this.render();
+  }
+
+  /**
+   * @this {MoraleRulesConfig}
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   */
+  static async #onSubmit(event, form, formData) {
+    const rules = cleanRules(formData.object);
+    if (this.#isGroup) {
+      await setGroupMoraleRules(this.options.combat, this.options.groupId, rules);
+    } else {
+      await game.settings.set(MODULE_ID, "moraleRules", { ...DEFAULT_MORALE_RULES, ...rules });
+      logger.fn("MoraleRulesConfig").debug("Saved morale rules", { rules });
+    }
+  }
+}
+
+/**
+ * Registers the morale rules settings menu. Called on the "init" hook.
+ */
+export function registerMoraleRulesMenu() {
+  game.settings.registerMenu(MODULE_ID, "moraleRulesMenu", {
+    name: "Morale Rules",
+    label: "Configure Morale Rules",
+    hint: "Choose the morale roll's ability and level bonus, the base DC, how casualties raise it, and bonuses for nearby allies.",
+    icon: "fas fa-flag",
+    type: MoraleRulesConfig,
+    restricted: true,
+  });
+}
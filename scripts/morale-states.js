@@ -0,0 +1,271 @@
+/**
+ * @file morale-states.js
+ * @description Morale state ladder (Steady → Shaken → Wavering → Routed): per-combatant state,
+ * how far a failed check drops a creature, the group's aggregate state and the ActiveEffect
+ * each state applies.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger } from "./shared.js";
+
+/**
+ * Morale states, from best to worst.
+ * @readonly
+ * @enum {string}
+ */
+export const MORALE_STATE = Object.freeze({
+  STEADY: "steady",
+  SHAKEN: "shaken",
+  WAVERING: "wavering",
+  ROUTED: "routed",
+});
+
+/** The ladder, best state first. */
+export const MORALE_LADDER = Object.freeze([
+  MORALE_STATE.STEADY,
+  MORALE_STATE.SHAKEN,
+  MORALE_STATE.WAVERING,
+  MORALE_STATE.ROUTED,
+]);
+
+const STATE_META = {
+  [MORALE_STATE.STEADY]: { label: "Steady", color: "#4caf50", img: null },
+  [MORALE_STATE.SHAKEN]: { label: "Shaken", color: "#fbc02d", img: "icons/svg/daze.svg" },
+  [MORALE_STATE.WAVERING]: { label: "Wavering", color: "#f57c00", img: "icons/svg/downgrade.svg" },
+  [MORALE_STATE.ROUTED]: { label: "Routed", color: "#f44336", img: "icons/svg/terror.svg" },
+};
+
+/** Effect choice: a plain effect named after the state, with no changes. */
+const MARKER = "marker";
+/** Effect choice: the legacy "Fleeing" effect. */
+const FLEEING = "fleeing";
+/** Effect choice: a copy of an ActiveEffect picked by UUID. */
+const CUSTOM = "uuid";
+
+/**
+ * @typedef {Object} StateEffectConfig
+ * @property {string} effect - "marker", "fleeing", "uuid", or a status effect id
+ * @property {string} [uuid] - The ActiveEffect to copy when `effect` is "uuid"
+ */
+
+/**
+ * Display label of a state.
+ * @param {string} state
+ * @returns {string}
+ */
+export function getStateLabel(state) {
+  return STATE_META[state]?.label ?? state;
+}
+
+/**
+ * Display color of a state.
+ * @param {string} state
+ * @returns {string}
+ */
+export function getStateColor(state) {
+  return STATE_META[state]?.color ?? "#7b68ee";
+}
+
+/**
+ * A combatant's morale state (Steady unless a check has dropped it).
+ * @param {Combatant} combatant
+ * @returns {string}
+ */
+export function getMoraleState(combatant) {
+  const state = combatant?.getFlag(MODULE_ID, "moraleState");
+  return MORALE_LADDER.includes(state) ? state : MORALE_STATE.STEADY;
+}
+
+/**
+ * Moves a state along the ladder: positive steps are worse, negative steps rally.
+ * @param {string} state
+ * @param {number} steps
+ * @returns {string}
+ */
+export function shiftState(state, steps) {
+  const index = Math.max(MORALE_LADDER.indexOf(state), 0) + steps;
+  return MORALE_LADDER[Math.min(Math.max(index, 0), MORALE_LADDER.length - 1)];
+}
+
+/**
+ * How many states a failed check drops: one, plus one for every Morale Step Margin
+ * points the roll missed the DC by beyond the first.
+ * @param {number} margin - DC minus the roll total (at least 1 on a failure)
+ * @returns {number}
+ */
+export function getFailureSteps(margin) {
+  const stepMargin = Math.max(game.settings.get(MODULE_ID, "moraleStepMargin") || 1, 1);
+  return 1 + Math.floor(Math.max(margin - 1, 0) / stepMargin);
+}
+
+/**
+ * A group's aggregate morale: the median state of its living members, rounded toward
+ * the worse state. Null when no member is alive.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @returns {string|null}
+ */
+export function getGroupMoraleState(combat, groupId) {
+  const ranks = combat.combatants
+    .filter((c) => c.getFlag(MODULE_ID, "groupId") === groupId && (c.actor?.system?.attributes?.hp?.value ?? 0) > 0)
+    .map((c) => MORALE_LADDER.indexOf(getMoraleState(c)))
+    .sort((a, b) => a - b);
+  if (!ranks.length) return null;
+  return MORALE_LADDER[ranks[Math.floor(ranks.length / 2)]];
+}
+
+/* ------------------------------------------------------------------ */
+/*  State Effects                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The configured effect of every state below Steady. Routed defaults to the Morale Failure
+ * Status Effect setting, the others to a marker effect.
+ * @returns {Object<string, StateEffectConfig>}
+ */
+export function getStateEffects() {
+  const stored = game.settings.get(MODULE_ID, "moraleStateEffects") ?? {};
+  return Object.fromEntries(MORALE_LADDER.slice(1).map((state) => [state, {
+    effect: state === MORALE_STATE.ROUTED ? game.settings.get(MODULE_ID, "moraleStatusEffect") : MARKER,
+    ...stored[state],
+  }]));
+}
+
+/**
+ * Builds the ActiveEffect data for a state, flagged so it can be found and removed when the
+ * state changes. Returns null for Steady or an effect that can't be resolved.
+ * @param {string} state
+ * @returns {Promise<Object|null>}
+ */
+export async function buildStateEffect(state) {
+  const config = getStateEffects()[state];
+  if (!config) return null;
+  const { label, img } = STATE_META[state];
+
+  let data;
+  if (config.effect === MARKER) {
+    data = { name: label, img, statuses: [`${MODULE_ID}-${state}`] };
+  } else if (config.effect === FLEEING) {
+    data = {
+      name: "Fleeing",
+      img: "icons/svg/terror.svg",
+      statuses: ["fleeing"],
+      description: "This creature has broken morale and is fleeing combat.",
+    };
+  } else if (config.effect === CUSTOM) {
+    const source = config.uuid ? await fromUuid(config.uuid) : null;
+    if (!(source instanceof ActiveEffect)) {
+      logger.fn("buildStateEffect").warn(`No ActiveEffect found for the ${label} morale state`, { uuid: config.uuid });
+      return null;
+    }
+    data = source.toObject();
+    delete data._id;
+    data.disabled = false;
+    data.transfer = false;
+  } else {
+    const effect = await ActiveEffect.implementation.fromStatusEffect(config.effect);
+    if (!effect) return null;
+    data = effect.toObject();
+  }
+
+  const duration = game.settings.get(MODULE_ID, "moraleEffectDuration");
+  if (duration > 0) data.duration = { ...data.duration, rounds: duration };
+  foundry.utils.setProperty(data, `flags.${MODULE_ID}.moraleState`, state);
+  return data;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Settings Menu                                                     */
+/* ------------------------------------------------------------------ */
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Settings menu window to choose the effect each morale state applies.
+ */
+export class MoraleStatesConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "sci-morale-states",
+    tag: "form",
+    classes: ["sci-morale-states-config"],
+    window: { title: "Morale States", icon: "fas fa-stairs" },
+    position: { width: 480, height: "auto" },
+    form: { handler: MoraleStatesConfig.#onSubmit, closeOnSubmit: true },
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const effects = getStateEffects();
+    const statuses = CONFIG.statusEffects
+      .filter((s) => s.id && s.name)
+      .map((s) => ({ id: s.id, name: game.i18n.localize(s.name) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const rows = MORALE_LADDER.slice(1)
+      .map((state) => {
+        const { effect, uuid = "" } = effects[state];
+        const option = (value, label) => `<option value="${value}" ${value === effect ? "selected" : ""}>${label}</option>`;
+        return `
+          <div class="form-group">
+            <label style="color: ${getStateColor(state)};">${getStateLabel(state)}</label>
+            <div class="form-fields">
+              <select name="${state}.effect">
+                ${option(MARKER, `"${getStateLabel(state)}" marker (no changes)`)}
+                ${option(FLEEING, "Fleeing (custom effect)")}
+                ${option(CUSTOM, "ActiveEffect by UUID…")}
+                <optgroup label="Status Effects">
+                  ${statuses.map((s) => option(s.id, foundry.utils.escapeHTML(s.name))).join("")}
+                </optgroup>
+              </select>
+              <input type="text" name="${state}.uuid" value="${foundry.utils.escapeHTML(uuid)}" placeholder="Item.xxxx.ActiveEffect.yyyy">
+            </div>
+          </div>`;
+      })
+      .join("");
+
+    return `
+      <p class="hint">A failed morale check drops a creature down the ladder; each state below Steady applies its effect.
+        To use your own effect (e.g. Shaken = disadvantage on attacks), build it on an item, pick
+        <em>ActiveEffect by UUID…</em> and paste the effect's UUID.</p>
+      ${rows}
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-save"></i> Save</button>
+      </footer>
+    `;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * @this {MoraleStatesConfig}
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const effects = Object.fromEntries(MORALE_LADDER.slice(1).map((state) => [state, {
+      effect: data[state]?.effect ?? MARKER,
+      ...(data[state]?.uuid?.trim() ? { uuid: data[state].uuid.trim() } : {}),
+    }]));
+    await game.settings.set(MODULE_ID, "moraleStateEffects", effects);
+    logger.fn("MoraleStatesConfig").debug("Saved morale state effects", { effects });
+  }
+}
+
+/**
+ * Registers the morale states settings menu. Called on the "init" hook.
+ */
+export function registerMoraleStatesMenu() {
+  game.settings.registerMenu(MODULE_ID, "moraleStatesMenu", {
+    name: "Morale States",
+    label: "Configure Morale States",
+    hint: "Choose the effect applied at each step of the morale ladder: Shaken, Wavering and Routed.",
+    icon: "fas fa-stairs",
+    type: MoraleStatesConfig,
+    restricted: true,
+  });
+}
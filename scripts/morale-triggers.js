@@ -0,0 +1,475 @@
+/**
+ * @file morale-triggers.js
+ * @description Registry of automatic morale triggers (heavy casualties, leader down, an allied
+ * group routing, ...): which events each trigger listens to, which groups it hits, and whether
+ * it rolls morale, prompts the GM or stays off.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger } from "./shared.js";
+import { MORALE_STATE, getGroupMoraleState } from "./morale-states.js";
+
+/**
+ * Events triggers listen to. Contexts always carry `combat` and the `event` itself.
+ * - DAMAGE: a member's HP changed (`combatant`, `groupId`, `hp`, `leaderFell`)
+ * - REMOVED: a member was removed from combat (`combatant`, `groupId`, `leaderFell`)
+ * - MORALE_ROLLED: a group rolled morale (`groupId`, `results`)
+ * - COMBATANT_ADDED: a combatant joined a started combat (`combatant`)
+ * - EFFECT_APPLIED: an ActiveEffect was created on a grouped member (`combatant`, `groupId`, `effect`)
+ * @readonly
+ * @enum {string}
+ */
+export const TRIGGER_EVENT = Object.freeze({
+  DAMAGE: "damage",
+  REMOVED: "removed",
+  MORALE_ROLLED: "moraleRolled",
+  COMBATANT_ADDED: "combatantAdded",
+  EFFECT_APPLIED: "effectApplied",
+});
+
+/**
+ * What a trigger does when it fires.
+ * @readonly
+ * @enum {string}
+ */
+export const TRIGGER_ACTION = Object.freeze({
+  OFF: "off",
+  PROMPT: "prompt",
+  ROLL: "roll",
+});
+
+/**
+ * Built-in trigger identifiers.
+ * @readonly
+ * @enum {string}
+ */
+export const MORALE_TRIGGER = Object.freeze({
+  CASUALTIES: "casualties",
+  FIRST_DEATH: "firstDeath",
+  LEADER_DOWN: "leaderDown",
+  HALF_HP: "halfHp",
+  ALLY_ROUTED: "allyRouted",
+  ENEMY_ENTERS: "enemyEnters",
+  FEAR: "fear",
+});
+
+const ACTION_LABELS = {
+  [TRIGGER_ACTION.OFF]: "Off",
+  [TRIGGER_ACTION.PROMPT]: "Prompt GM",
+  [TRIGGER_ACTION.ROLL]: "Auto-Roll",
+};
+
+/**
+ * @typedef {Object} TriggerConfig
+ * @property {string} action - A TRIGGER_ACTION value
+ * @property {boolean} repeat - Whether the trigger can fire again for the same group
+ * @property {number} cooldown - Rounds before a repeatable trigger can fire again for the same group
+ */
+
+/**
+ * @typedef {Object} TriggerHit
+ * @property {string} groupId - The group that should check morale
+ * @property {string} [detail] - Passed to the trigger's `reason` (e.g. the routed ally's name)
+ */
+
+/**
+ * Returns the groups a trigger hits for an event, or an empty array. May return bare group ids.
+ * @callback TriggerTestFn
+ * @param {Object} context - The event context (see TRIGGER_EVENT)
+ * @param {TriggerConfig} config - The trigger's configuration, options included
+ * @returns {Array<string|TriggerHit>}
+ */
+
+/**
+ * @typedef {Object} MoraleTrigger
+ * @property {string} id - Key in the Morale Triggers setting
+ * @property {string} label - Display name
+ * @property {string} [hint] - Shown in the Morale Triggers menu
+ * @property {string[]} events - TRIGGER_EVENT values the trigger listens to
+ * @property {TriggerTestFn} test
+ * @property {function(string=): string} reason - Completes "<group name> ...", e.g. "has lost its leader"
+ * @property {Object} [rollOptions] - Passed to the morale roll (e.g. `{leaderLost: true}`)
+ * @property {Partial<TriggerConfig>|function(): Partial<TriggerConfig>} [defaults] - Configuration until the GM changes it
+ * @property {{key: string, label: string, default?: string}[]} [options] - Extra text fields for the menu
+ */
+
+/** @type {Map<string, MoraleTrigger>} */
+const _triggers = new Map();
+
+/* ------------------------------------------------------------------ */
+/*  Registry                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Registers (or replaces) a morale trigger.
+ * @param {string} id - Unique trigger identifier
+ * @param {Omit<MoraleTrigger, "id">} config
+ */
+export function registerMoraleTrigger(id, { label, hint = "", events = [], test, reason, rollOptions = {}, defaults = {}, options = [] } = {}) {
+  if (!id || typeof id !== "string") throw new Error("trigger id is required");
+  if (typeof test !== "function") throw new Error("trigger test must be a function");
+  if (!events.length) throw new Error("trigger needs at least one event");
+
+  if (_triggers.has(id)) {
+    logger.debug(`Replacing morale trigger "${id}"`, { fn: "registerMoraleTrigger" });
+  }
+  _triggers.set(id, {
+    id,
+    label: label ?? id,
+    hint,
+    events,
+    test,
+    reason: typeof reason === "function" ? reason : () => reason ?? "must check morale",
+    rollOptions,
+    defaults,
+    options,
+  });
+}
+
+/**
+ * Returns all registered triggers in registration order.
+ * @returns {MoraleTrigger[]}
+ */
+export function getMoraleTriggers() {
+  return [..._triggers.values()];
+}
+
+/**
+ * Returns a trigger by id.
+ * @param {string} id
+ * @returns {MoraleTrigger|undefined}
+ */
+export function getMoraleTrigger(id) {
+  return _triggers.get(id);
+}
+
+/**
+ * A trigger's configuration: its defaults, then the Morale Triggers setting.
+ * @param {string} id
+ * @returns {TriggerConfig}
+ */
+export function getTriggerConfig(id) {
+  const trigger = _triggers.get(id);
+  const stored = game.settings.get(MODULE_ID, "moraleTriggers")?.[id] ?? {};
+  const options = Object.fromEntries((trigger?.options ?? []).map((o) => [o.key, o.default ?? ""]));
+  const defaults = typeof trigger?.defaults === "function" ? trigger.defaults() : trigger?.defaults;
+  return { action: TRIGGER_ACTION.OFF, repeat: false, cooldown: 1, ...options, ...defaults, ...stored };
+}
+
+/**
+ * Every enabled trigger hit by an event, in registration order.
+ * @param {string} event - A TRIGGER_EVENT value
+ * @param {Object} context
+ * @returns {{trigger: MoraleTrigger, config: TriggerConfig, groupId: string, detail?: string}[]}
+ */
+export function getTriggerHits(event, context) {
+  const hits = [];
+  for (const trigger of _triggers.values()) {
+    if (!trigger.events.includes(event)) continue;
+    const config = getTriggerConfig(trigger.id);
+    if (config.action === TRIGGER_ACTION.OFF) continue;
+
+    try {
+      for (const hit of trigger.test({ ...context, event }, config) ?? []) {
+        const { groupId, detail } = typeof hit === "string" ? { groupId: hit } : hit;
+        if (groupId) hits.push({ trigger, config, groupId, detail });
+      }
+    } catch (err) {
+      logger.fn("getTriggerHits").error(`Morale trigger "${trigger.id}" failed`, err);
+    }
+  }
+  return hits;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {Combatant} c
+ * @returns {number|undefined}
+ */
+function hpOf(c) {
+  return c.actor?.system?.attributes?.hp?.value;
+}
+
+/**
+ * Members of a group.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @returns {Combatant[]}
+ */
+function membersOf(combat, groupId) {
+  return combat.combatants.filter((c) => c.getFlag(MODULE_ID, "groupId") === groupId);
+}
+
+/**
+ * The most common token disposition among a group's members.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @returns {number|null}
+ */
+function dispositionOf(combat, groupId) {
+  const counts = new Map();
+  for (const c of membersOf(combat, groupId)) {
+    const d = c.token?.disposition;
+    if (d != null) counts.set(d, (counts.get(d) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+/**
+ * Groups with at least one living member.
+ * @param {Combat} combat
+ * @returns {string[]}
+ */
+function livingGroupIds(combat) {
+  return Object.keys(combat.getFlag(MODULE_ID, "groups") ?? {})
+    .filter((id) => membersOf(combat, id).some((c) => hpOf(c) > 0));
+}
+
+/**
+ * Splits a comma-separated option into lower-case entries.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function listOption(value) {
+  return String(value ?? "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Built-in Triggers                                                 */
+/* ------------------------------------------------------------------ */
+
+registerMoraleTrigger(MORALE_TRIGGER.CASUALTIES, {
+  label: "Heavy Casualties",
+  hint: "Living members drop to the Auto-Prompt Threshold of the group's starting size.",
+  events: [TRIGGER_EVENT.DAMAGE, TRIGGER_EVENT.REMOVED],
+  defaults: { action: TRIGGER_ACTION.PROMPT },
+  reason: () => "has suffered heavy casualties",
+  test: ({ combat, groupId }) => {
+    const threshold = game.settings.get(MODULE_ID, "moraleAutoPromptThreshold");
+    const startingSize = combat.getFlag(MODULE_ID, `groups.${groupId}.startingSize`);
+    if (threshold <= 0 || !(startingSize > 0)) return [];
+    const living = membersOf(combat, groupId).filter((c) => hpOf(c) > 0).length;
+    return living <= Math.floor(startingSize * (threshold / 100)) ? [groupId] : [];
+  },
+});
+
+registerMoraleTrigger(MORALE_TRIGGER.FIRST_DEATH, {
+  label: "First Ally Falls",
+  hint: "The group's first member drops to 0 HP or is removed from combat.",
+  events: [TRIGGER_EVENT.DAMAGE, TRIGGER_EVENT.REMOVED],
+  reason: () => "has lost its first member",
+  test: ({ combat, groupId, hp, event }) => {
+    if (event === TRIGGER_EVENT.DAMAGE && hp > 0) return [];
+    const down = membersOf(combat, groupId).filter((c) => hpOf(c) != null && hpOf(c) <= 0).length;
+    const removed = combat.getFlag(MODULE_ID, `groups.${groupId}.deletedCount`) ?? 0;
+    return down + removed === 1 ? [groupId] : [];
+  },
+});
+
+registerMoraleTrigger(MORALE_TRIGGER.LEADER_DOWN, {
+  label: "Leader Down",
+  hint: "The group's leader drops to 0 HP or is removed from combat. Adds the Leader Loss DC Penalty.",
+  events: [TRIGGER_EVENT.DAMAGE, TRIGGER_EVENT.REMOVED],
+  rollOptions: { leaderLost: true },
+  reason: () => "has lost its leader",
+  test: ({ groupId, leaderFell }) => (leaderFell ? [groupId] : []),
+  // Each fall is one event (re-armed when the leader is healed), so no cooldown is needed
+  defaults: { action: TRIGGER_ACTION.ROLL, repeat: true, cooldown: 0 },
+});
+
+registerMoraleTrigger(MORALE_TRIGGER.HALF_HP, {
+  label: "Half HP Lost",
+  hint: "The group's members are down to half of their combined max HP.",
+  events: [TRIGGER_EVENT.DAMAGE],
+  reason: () => "has lost half its strength",
+  test: ({ combat, groupId }) => {
+    let value = 0;
+    let max = 0;
+    for (const c of membersOf(combat, groupId)) {
+      const hp = c.actor?.system?.attributes?.hp;
+      if (!hp) continue;
+      value += Math.max(hp.value ?? 0, 0);
+      max += hp.max ?? 0;
+    }
+    return max > 0 && value <= max / 2 ? [groupId] : [];
+  },
+});
+
+registerMoraleTrigger(MORALE_TRIGGER.ALLY_ROUTED, {
+  label: "Allied Group Routs",
+  hint: "Another group with the same disposition is routed by a morale check.",
+  events: [TRIGGER_EVENT.MORALE_ROLLED],
+  reason: (name) => `saw ${name ?? "an allied group"} rout`,
+  test: ({ combat, groupId, results }) => {
+    if (results?.groupState !== MORALE_STATE.ROUTED) return [];
+    const disposition = dispositionOf(combat, groupId);
+    const name = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+    return livingGroupIds(combat)
+      .filter((id) => id !== groupId && dispositionOf(combat, id) === disposition)
+      // Nothing left to lose; this also stops two routed groups from setting each other off
+      .filter((id) => getGroupMoraleState(combat, id) !== MORALE_STATE.ROUTED)
+      .map((id) => ({ groupId: id, detail: name }));
+  },
+});
+
+registerMoraleTrigger(MORALE_TRIGGER.ENEMY_ENTERS, {
+  label: "Fearsome Enemy Enters",
+  hint: "One of the named creatures joins the combat: every group of another disposition checks morale.",
+  events: [TRIGGER_EVENT.COMBATANT_ADDED],
+  options: [{ key: "names", label: "Creature Names", default: "" }],
+  reason: (name) => `faces ${name ?? "a fearsome enemy"}`,
+  test: ({ combat, combatant }, { names }) => {
+    const list = listOption(names);
+    const match = [combatant.name, combatant.actor?.name].some((n) => n && list.includes(n.toLowerCase()));
+    if (!match) return [];
+    const disposition = combatant.token?.disposition;
+    return livingGroupIds(combat)
+      .filter((id) => dispositionOf(combat, id) !== disposition)
+      .map((id) => ({ groupId: id, detail: combatant.name }));
+  },
+});
+
+registerMoraleTrigger(MORALE_TRIGGER.FEAR, {
+  label: "Fear Effect",
+  hint: "A member gains one of the listed statuses, or an effect with one of the listed names (e.g. from the Fear spell).",
+  events: [TRIGGER_EVENT.EFFECT_APPLIED],
+  options: [
+    { key: "statuses", label: "Statuses", default: "frightened" },
+    { key: "names", label: "Effect Names", default: "Fear" },
+  ],
+  reason: (name) => `is struck by ${name ?? "fear"}`,
+  test: ({ groupId, effect }, { statuses, names }) => {
+    if (effect.getFlag(MODULE_ID, "moraleState")) return [];
+    const hit = listOption(statuses).some((s) => effect.statuses?.has(s))
+      || listOption(names).includes(effect.name?.toLowerCase());
+    return hit ? [{ groupId, detail: effect.name }] : [];
+  },
+});
+
+/* ------------------------------------------------------------------ */
+/*  Settings Menu                                                     */
+/* ------------------------------------------------------------------ */
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Settings menu window to switch each morale trigger off, to prompting, or to auto-rolling.
+ */
+export class MoraleTriggersConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "sci-morale-triggers",
+    tag: "form",
+    classes: ["sci-morale-triggers-config"],
+    window: { title: "Morale Triggers", icon: "fas fa-bolt" },
+    position: { width: 560, height: "auto" },
+    form: { handler: MoraleTriggersConfig.#onSubmit, closeOnSubmit: true },
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const rows = getMoraleTriggers()
+      .map((trigger) => {
+        const config = getTriggerConfig(trigger.id);
+        const actions = Object.entries(ACTION_LABELS)
+          .map(([value, label]) => `<option value="${value}" ${value === config.action ? "selected" : ""}>${label}</option>`)
+          .join("");
+        const extra = trigger.options
+          .map((o) => `
+            <div class="form-group">
+              <label>${o.label}</label>
+              <div class="form-fields">
+                <input type="text" name="${trigger.id}.${o.key}" value="${foundry.utils.escapeHTML(String(config[o.key] ?? ""))}" placeholder="Comma-separated">
+              </div>
+            </div>`)
+          .join("");
+        return `
+          <fieldset>
+            <legend>${trigger.label}</legend>
+            <div class="form-group">
+              <label>Action</label>
+              <div class="form-fields">
+                <select name="${trigger.id}.action">${actions}</select>
+                <label><input type="checkbox" name="${trigger.id}.repeat" ${config.repeat ? "checked" : ""}> Repeat</label>
+                <input type="number" name="${trigger.id}.cooldown" value="${config.cooldown}" min="0" step="1" title="Cooldown (rounds)" style="max-width: 4em;">
+              </div>
+              ${trigger.hint ? `<p class="hint">${trigger.hint}</p>` : ""}
+            </div>
+            ${extra}
+          </fieldset>`;
+      })
+      .join("");
+
+    return `
+      <p class="hint">Each trigger can prompt the GM with a [Roll Morale] button or roll morale right away. A trigger fires
+        once per group per combat, unless <em>Repeat</em> is checked: then it can fire again once its cooldown
+        (in rounds) has passed.</p>
+      ${rows}
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-save"></i> Save</button>
+      </footer>
+    `;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * @this {MoraleTriggersConfig}
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const triggers = Object.fromEntries(getMoraleTriggers().map((trigger) => {
+      const values = data[trigger.id] ?? {};
+      const cooldown = Number(values.cooldown);
+      return [trigger.id, {
+        action: Object.values(TRIGGER_ACTION).includes(values.action) ? values.action : TRIGGER_ACTION.OFF,
+        repeat: !!values.repeat,
+        cooldown: Number.isFinite(cooldown) ? Math.max(Math.floor(cooldown), 0) : 1,
+        ...Object.fromEntries(trigger.options.map((o) => [o.key, String(values[o.key] ?? "").trim()])),
+      }];
+    }));
+    await game.settings.set(MODULE_ID, "moraleTriggers", {
+      ...game.settings.get(MODULE_ID, "moraleTriggers"),
+      ...triggers,
+    });
+    logger.fn("MoraleTriggersConfig").debug("Saved morale triggers", { triggers });
+  }
+}
+
+/**
+ * Carries a world's old "Morale Check on Leader Loss" setting over to the Leader Down trigger,
+ * so the Morale Triggers menu is the only control for it. Only a disabled check needs moving,
+ * since the trigger rolls by default. Called on the "ready" hook by the active GM.
+ */
+export async function migrateLeaderLossSetting() {
+  const stored = game.settings.get(MODULE_ID, "moraleTriggers") ?? {};
+  if (stored[MORALE_TRIGGER.LEADER_DOWN] || game.settings.get(MODULE_ID, "moraleLeaderLossCheck")) return;
+
+  await game.settings.set(MODULE_ID, "moraleTriggers", {
+    ...stored,
+    [MORALE_TRIGGER.LEADER_DOWN]: { ...getTriggerConfig(MORALE_TRIGGER.LEADER_DOWN), action: TRIGGER_ACTION.OFF },
+  });
+  logger.fn("migrateLeaderLossSetting").info("Moved the disabled leader-loss check to the Leader Down trigger");
+}
+
+/**
+ * Registers the morale triggers settings menu. Called on the "init" hook.
+ */
+export function registerMoraleTriggersMenu() {
+  game.settings.registerMenu(MODULE_ID, "moraleTriggersMenu", {
+    name: "Morale Triggers",
+    label: "Configure Morale Triggers",
+    hint: "Choose which events make a group check morale (heavy casualties, leader down, an ally routing, ...) and whether they prompt or roll.",
+    icon: "fas fa-bolt",
+    type: MoraleTriggersConfig,
+    restricted: true,
+  });
+}
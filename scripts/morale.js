@@ -5,6 +5,22 @@
  */
 
 import { MODULE_ID, logger, isGM } from "./shared.js";
+import { GroupManager } from "./class-objects.js";
+import { announceMoraleResult } from "./announcements.js";
+import { getMoraleRules, getAbilityTerm, getLevelTerm, countNearbyAllies, getNearbyAllies, describeMoraleRules } from "./morale-rules.js";
+import {
+  MORALE_STATE,
+  MORALE_LADDER,
+  getMoraleState,
+  shiftState,
+  getFailureSteps,
+  getGroupMoraleState,
+  getStateLabel,
+  getStateColor,
+  buildStateEffect,
+} from "./morale-states.js";
+import { MORALE_TRIGGER, TRIGGER_ACTION, TRIGGER_EVENT, getTriggerHits, getMoraleTrigger } from "./morale-triggers.js";
+import { recordMoraleHistory, rollHistoryEntry } from "./morale-history.js";
 
 /**
  * Discipline level enum.
@@ -19,11 +35,29 @@ export const DISCIPLINE = Object.freeze({
 });
 
 /**
- * In-memory set of groupIds that have already been auto-prompted this combat.
- * Prevents spamming the GM with repeated prompts.
+ * Checks a rallier can make to rally allies.
+ * @readonly
+ * @enum {string}
+ */
+export const RALLY_SKILL = Object.freeze({
+  PERSUASION: "per",
+  INTIMIDATION: "itm",
+  CHARISMA: "cha",
+});
+
+/** Display labels of the rally checks. */
+export const RALLY_SKILL_LABELS = Object.freeze({
+  [RALLY_SKILL.PERSUASION]: "Persuasion",
+  [RALLY_SKILL.INTIMIDATION]: "Intimidation",
+  [RALLY_SKILL.CHARISMA]: "Charisma",
+});
+
+/**
+ * Triggers claimed but not yet written to `groups.<id>.triggersFired`, keyed
+ * `<combatId>.<groupId>.<triggerId>`. Stops simultaneous events from firing a trigger twice.
  * @type {Set<string>}
  */
-const _promptedGroups = new Set();
+const _pendingTriggers = new Set();
 
 /**
  * Static class managing morale checks for groups.
@@ -70,6 +104,23 @@ export class MoraleManager {
     return dead + deletedCount;
   }
 
+  /**
+   * Casualties by kind: members at 0 HP marked defeated (dead) or not (unconscious), and
+   * members removed from combat.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @returns {{dead: number, unconscious: number, removed: number}}
+   */
+  static getCasualties(combat, groupId) {
+    const down = this.getDeadMembers(combat, groupId);
+    const dead = down.filter((c) => c.isDefeated).length;
+    return {
+      dead,
+      unconscious: down.length - dead,
+      removed: combat.getFlag(MODULE_ID, `groups.${groupId}.deletedCount`) ?? 0,
+    };
+  }
+
   /**
    * Calculate mob confidence bonus.
    * @param {number} livingCount
@@ -81,32 +132,30 @@ export class MoraleManager {
   }
 
   /**
-   * Check if auto-prompt threshold is met for a group.
-   * @param {Combat} combat
-   * @param {string} groupId
-   * @returns {boolean}
+   * Morale bonus granted by a living leader: the higher of its WIS/CHA modifiers (never negative).
+   * @param {Combatant|null} leader
+   * @returns {number}
    */
-  static shouldAutoPrompt(combat, groupId) {
-    const threshold = game.settings.get(MODULE_ID, "moraleAutoPromptThreshold");
-    if (threshold <= 0) return false;
-
-    if (_promptedGroups.has(groupId)) return false;
-
-    const groupMeta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
-    const startingSize = groupMeta.startingSize;
-    if (!startingSize || startingSize <= 0) return false;
-
-    const living = this.getLivingMembers(combat, groupId);
-    return living.length <= Math.floor(startingSize * (threshold / 100));
+  static getLeaderBonus(leader) {
+    const hp = leader?.actor?.system?.attributes?.hp?.value;
+    if (hp == null || hp <= 0) return 0;
+    const abilities = leader.actor.system.abilities ?? {};
+    const wis = Number(abilities.wis?.mod) || 0;
+    const cha = Number(abilities.cha?.mod) || 0;
+    return Math.max(0, wis, cha);
   }
 
   /**
    * Roll morale for a group. Main entry point.
    * @param {Combat} combat
    * @param {string} groupId
+   * @param {Object} [options]
+   * @param {boolean} [options.leaderLost=false] - Apply the leader-loss DC penalty
+   * @param {string} [options.reason] - Why the group checks (shown on the chat card), e.g. "has lost its leader"
+   * @param {string} [options.trigger] - The morale trigger behind the roll, for the morale history
    * @returns {Promise<Object|null>}
    */
-  static async rollMorale(combat, groupId) {
+  static async rollMorale(combat, groupId, { leaderLost = false, reason = null, trigger = null } = {}) {
     const log = logger.fn("rollMorale");
 
     if (!isGM()) {
@@ -131,11 +180,29 @@ export class MoraleManager {
       return null;
     }
 
-    const casualtyCount = this.getCasualtyCount(combat, groupId);
+    const rules = getMoraleRules(combat, groupId);
+    const casualties = this.getCasualties(combat, groupId);
+    const casualtyCount = casualties.dead + casualties.unconscious + casualties.removed;
     const mobConfidenceDivisor = groupMeta.mobConfidenceDivisor
       ?? game.settings.get(MODULE_ID, "moraleMobConfidenceDivisor");
-    const mobConfidence = this.getMobConfidence(living.length, mobConfidenceDivisor);
-    const dc = 10 + casualtyCount;
+    const mobConfidence = rules.mobConfidence ? this.getMobConfidence(living.length, mobConfidenceDivisor) : 0;
+    const leader = GroupManager.getGroupLeader(combat, groupId);
+    const leaderBonus = this.getLeaderBonus(leader);
+    const leaderPenalty = leaderLost ? game.settings.get(MODULE_ID, "moraleLeaderLossPenalty") : 0;
+
+    // DC terms, as shown on the chat card ("10 + 4 (2 dead × 2) + 1 unconscious")
+    const weigh = (count, weight, label) => (count && weight
+      ? { value: count * weight, text: weight === 1 ? `${count} ${label}` : `${count * weight} (${count} ${label} × ${weight})` }
+      : null);
+    const casualtyTerms = [
+      weigh(casualties.dead + casualties.removed, rules.perDeath, "dead"),
+      weigh(casualties.unconscious, rules.perUnconscious, "unconscious"),
+    ].filter(Boolean);
+    const casualtyPenalty = casualtyTerms.reduce((sum, t) => sum + t.value, 0);
+    const dcTerms = leaderPenalty
+      ? [...casualtyTerms, { value: leaderPenalty, text: `${leaderPenalty} leader lost` }]
+      : casualtyTerms;
+    const dc = rules.baseDC + casualtyPenalty + leaderPenalty;
 
     // Determine die expression from discipline
     const dieExpr = discipline === DISCIPLINE.EXPENDABLE ? "2d20kl"
@@ -144,36 +211,54 @@ export class MoraleManager {
 
     log.groupStart(`Morale Check for "${groupName}"`, {
       discipline,
+      rules,
       dc,
-      casualties: casualtyCount,
+      casualties,
       living: living.length,
       mobConfidence,
+      leaderBonus,
+      leaderPenalty,
     });
 
+    const recoverOnPass = game.settings.get(MODULE_ID, "moraleRecoverOnPass");
+
     const results = {
       passed: [],
       failed: [],
       dc,
-      casualtyPenalty: casualtyCount,
+      baseDC: rules.baseDC,
+      dcTerms,
+      casualties,
+      casualtyCount,
+      casualtyPenalty,
       mobConfidence,
       mobConfidenceDivisor,
+      leaderName: leader?.name ?? null,
+      leaderBonus,
+      leaderPenalty,
       discipline,
       dieExpr,
+      rules,
+      reason,
     };
 
     for (const combatant of living) {
       const actor = combatant.actor;
       if (!actor) continue;
 
-      // In dnd5e v5.x, abilities.wis.mod is the ability modifier (number)
-      // abilities.wis.save may be an object in some versions, so prefer .mod
-      const wisMod = actor.system?.abilities?.wis?.mod;
-      const wisSave = typeof wisMod === "number" ? wisMod : Number(wisMod) || 0;
-      const crRaw = actor.system?.details?.cr;
-      const cr = Math.floor(typeof crRaw === "number" ? crRaw : Number(crRaw) || 0);
-      const totalMod = wisSave + cr + mobConfidence;
+      const terms = [getAbilityTerm(actor, rules.ability), getLevelTerm(actor, rules.level)];
+      if (rules.mobConfidence) terms.push({ label: "Mob", value: mobConfidence });
+      if (rules.allyBonus) {
+        const allies = countNearbyAllies(combat, combatant, rules.allyRange);
+        const bonus = allies * rules.allyBonus;
+        terms.push({ label: "Allies", value: rules.allyMax ? Math.min(bonus, rules.allyMax) : bonus });
+      }
+      if (leaderBonus) terms.push({ label: "Leader", value: leaderBonus });
+
+      const modifiers = terms.filter(Boolean);
+      const totalMod = modifiers.reduce((sum, t) => sum + t.value, 0);
 
-      log.trace(`${combatant.name} modifiers`, { wisSave, cr, mobConfidence, totalMod });
+      log.trace(`${combatant.name} modifiers`, { modifiers, totalMod });
 
       // Ensure totalMod is a valid integer for the roll formula
       const safeMod = Number.isFinite(totalMod) ? totalMod : 0;
@@ -181,81 +266,325 @@ export class MoraleManager {
       const roll = new Roll(formula);
       await roll.evaluate();
 
+      const passed = roll.total >= dc;
+      const from = getMoraleState(combatant);
+      const to = passed
+        ? shiftState(from, recoverOnPass ? -1 : 0)
+        : shiftState(from, getFailureSteps(dc - roll.total));
+
       const entry = {
         combatant,
         name: combatant.name,
         rollTotal: roll.total,
-        rawRoll: roll.dice[0]?.total ?? roll.total - totalMod,
-        wisSave,
-        cr,
-        mobConfidence,
-        totalMod,
-        passed: roll.total >= dc,
+        rawRoll: roll.dice[0]?.total ?? roll.total - safeMod,
+        terms: modifiers,
+        totalMod: safeMod,
+        passed,
+        from,
+        to,
       };
 
-      if (entry.passed) {
-        results.passed.push(entry);
-      } else {
-        results.failed.push(entry);
-        await this.applyMoraleEffect(combatant);
-      }
+      if (passed) results.passed.push(entry);
+      else results.failed.push(entry);
+      if (to !== from) await this.setMoraleState(combatant, to);
 
-      log.trace(`${combatant.name}: rolled ${roll.total} vs DC ${dc} → ${entry.passed ? "PASS" : "FAIL"}`);
+      log.trace(`${combatant.name}: rolled ${roll.total} vs DC ${dc} → ${passed ? "PASS" : "FAIL"} (${from} → ${to})`);
     }
 
+    results.groupState = getGroupMoraleState(combat, groupId);
     await this.sendMoraleChat(combat, groupId, results);
+    await announceMoraleResult(combat, groupId, results);
+    await recordMoraleHistory(combat, groupId, rollHistoryEntry(results, trigger));
 
-    // Mark as prompted so auto-prompt doesn't fire again
-    _promptedGroups.add(groupId);
+    // Any roll answers the casualties the group has taken so far, so the Heavy Casualties
+    // prompt counts as fired (its cooldown restarts from this round)
+    if (trigger !== MORALE_TRIGGER.CASUALTIES) {
+      await combat.setFlag(MODULE_ID, `groups.${groupId}.triggersFired.${MORALE_TRIGGER.CASUALTIES}`, combat.round);
+    }
 
     log.groupEnd(`${results.passed.length} passed, ${results.failed.length} failed`);
+
+    await this.onTriggerEvent(TRIGGER_EVENT.MORALE_ROLLED, { combat, groupId, results });
     return results;
   }
 
+  /* ---------------------------------------------------------------- */
+  /*  Triggers                                                        */
+  /* ---------------------------------------------------------------- */
+
+  /**
+   * Runs the morale triggers listening to an event (see morale-triggers.js): each group hit
+   * rolls morale or gets a GM prompt, unless the trigger is once-only and has fired for it,
+   * or is still on cooldown. Fearless groups and groups with no one alive are skipped.
+   * Only the active GM evaluates triggers, so a second connected GM never doubles them.
+   * @param {string} event - A TRIGGER_EVENT value
+   * @param {Object} context - Event context, with at least `combat`
+   */
+  static async onTriggerEvent(event, context) {
+    const log = logger.fn("onTriggerEvent");
+    if (!game.users.activeGM?.isSelf) return;
+
+    const { combat } = context;
+    for (const { trigger, config, groupId, detail } of getTriggerHits(event, context)) {
+      const groupMeta = combat.getFlag(MODULE_ID, `groups.${groupId}`);
+      if (!groupMeta || groupMeta.discipline === DISCIPLINE.FEARLESS) continue;
+      if (!this.getLivingMembers(combat, groupId).length) continue;
+      if (!(await this._claimTrigger(combat, groupId, trigger.id, config))) continue;
+
+      const reason = trigger.reason(detail);
+      log.debug(`Trigger "${trigger.id}" fired for "${groupMeta.name}"`, { event, action: config.action, reason });
+
+      try {
+        if (config.action === TRIGGER_ACTION.ROLL) {
+          await this.rollMorale(combat, groupId, { ...trigger.rollOptions, reason, trigger: trigger.id });
+        } else {
+          await this.sendAutoPrompt(combat, groupId, { trigger: trigger.id, reason });
+        }
+      } catch (err) {
+        log.error(`Error handling morale trigger "${trigger.id}"`, err);
+      }
+    }
+  }
+
+  /**
+   * Records a trigger as fired for a group (`groups.<id>.triggersFired`, with the round),
+   * unless it is once-only and already fired, or on cooldown. The check is synchronous, so
+   * simultaneous events (e.g. an area spell) fire it only once.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {string} triggerId
+   * @param {TriggerConfig} config
+   * @returns {Promise<boolean>} Whether the trigger may fire
+   * @private
+   */
+  static async _claimTrigger(combat, groupId, triggerId, config) {
+    const key = `${combat.id}.${groupId}.${triggerId}`;
+    if (_pendingTriggers.has(key)) return false;
+
+    const last = combat.getFlag(MODULE_ID, `groups.${groupId}.triggersFired.${triggerId}`);
+    if (last != null && (!config.repeat || combat.round - last < config.cooldown)) return false;
+
+    _pendingTriggers.add(key);
+    try {
+      await combat.setFlag(MODULE_ID, `groups.${groupId}.triggersFired.${triggerId}`, combat.round);
+    } finally {
+      _pendingTriggers.delete(key);
+    }
+    return true;
+  }
+
   /**
-   * Apply frightened/fleeing status effect to a combatant's token.
+   * Moves a combatant to a morale state: removes the effect of its previous state and applies
+   * the new state's effect (Steady has none).
    * @param {Combatant} combatant
+   * @param {string} state - A MORALE_STATE value
    */
-  static async applyMoraleEffect(combatant) {
-    const log = logger.fn("applyMoraleEffect");
-    const statusId = game.settings.get(MODULE_ID, "moraleStatusEffect");
-    const duration = game.settings.get(MODULE_ID, "moraleEffectDuration");
-    const token = combatant.token;
-    if (!token?.actor) return;
+  static async setMoraleState(combatant, state) {
+    const log = logger.fn("setMoraleState");
+    if (!isGM() || !MORALE_LADDER.includes(state)) return;
 
     try {
-      if (statusId === "frightened") {
-        await token.actor.toggleStatusEffect("frightened", { active: true });
-
-        // Apply duration if configured
-        if (duration > 0) {
-          const effect = token.actor.effects.find((e) => e.statuses.has("frightened"));
-          if (effect) {
-            await effect.update({ "duration.rounds": duration });
-          }
-        }
+      await this.clearMoraleEffects(combatant);
+      if (state === MORALE_STATE.STEADY) {
+        await combatant.unsetFlag(MODULE_ID, "moraleState");
       } else {
-        // Custom "Fleeing" effect
-        const existing = token.actor.effects.find((e) => e.name === "Fleeing");
-        if (!existing) {
-          const effectData = {
-            name: "Fleeing",
-            icon: "icons/svg/terror.svg",
-            statuses: ["fleeing"],
-            description: "This creature has broken morale and is fleeing combat.",
-          };
-          if (duration > 0) {
-            effectData.duration = { rounds: duration };
-          }
-          await token.actor.createEmbeddedDocuments("ActiveEffect", [effectData]);
-        }
+        await this.applyMoraleEffect(combatant, state);
+        await combatant.setFlag(MODULE_ID, "moraleState", state);
       }
-      log.trace(`Applied ${statusId} effect to ${combatant.name}`);
+      log.trace(`${combatant.name} is now ${getStateLabel(state)}`);
+    } catch (err) {
+      log.error(`Failed to set morale state of ${combatant.name}`, err);
+    }
+  }
+
+  /**
+   * Apply a morale state's effect (see the Morale States menu) to a combatant's actor.
+   * @param {Combatant} combatant
+   * @param {string} [state=MORALE_STATE.ROUTED]
+   */
+  static async applyMoraleEffect(combatant, state = MORALE_STATE.ROUTED) {
+    const log = logger.fn("applyMoraleEffect");
+    const actor = combatant.actor;
+    if (!actor) return;
+
+    try {
+      const effectData = await buildStateEffect(state);
+      if (!effectData) return;
+      await actor.createEmbeddedDocuments("ActiveEffect", [effectData]);
+      log.trace(`Applied ${state} effect to ${combatant.name}`);
     } catch (err) {
       log.error(`Failed to apply morale effect to ${combatant.name}`, err);
     }
   }
 
+  /**
+   * Removes every morale state effect from a combatant's actor.
+   * @param {Combatant} combatant
+   */
+  static async clearMoraleEffects(combatant) {
+    const actor = combatant.actor;
+    const ids = actor?.effects.filter((e) => e.getFlag(MODULE_ID, "moraleState")).map((e) => e.id) ?? [];
+    if (ids.length) await actor.deleteEmbeddedDocuments("ActiveEffect", ids);
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Rally                                                           */
+  /* ---------------------------------------------------------------- */
+
+  /**
+   * A combatant's bonus for a rally check: the skill total, or the CHA modifier.
+   * @param {Combatant} combatant
+   * @param {string} skill - A RALLY_SKILL value
+   * @returns {number}
+   */
+  static getRallyBonus(combatant, skill) {
+    const system = combatant.actor?.system ?? {};
+    const total = skill === RALLY_SKILL.CHARISMA ? undefined : system.skills?.[skill]?.total;
+    const value = Number.isFinite(total) ? total : Number(system.abilities?.cha?.mod);
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  /**
+   * Members who can rally the group: alive and not Routed, the leader first, then by
+   * best Persuasion / Intimidation bonus.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @returns {Combatant[]}
+   */
+  static getRallyCandidates(combat, groupId) {
+    const leaderId = combat.getFlag(MODULE_ID, `groups.${groupId}.leaderId`);
+    const best = (c) => Math.max(this.getRallyBonus(c, RALLY_SKILL.PERSUASION), this.getRallyBonus(c, RALLY_SKILL.INTIMIDATION));
+    return this.getLivingMembers(combat, groupId)
+      .filter((c) => getMoraleState(c) !== MORALE_STATE.ROUTED)
+      .sort((a, b) => (b.id === leaderId) - (a.id === leaderId) || best(b) - best(a));
+  }
+
+  /**
+   * Who a rally can reach: the rallier and living allies within the Rally Range whose morale
+   * is below Steady, or who still carry a morale state effect.
+   * @param {Combat} combat
+   * @param {Combatant} rallier
+   * @returns {Combatant[]}
+   */
+  static getRallyTargets(combat, rallier) {
+    const range = game.settings.get(MODULE_ID, "moraleRallyRange");
+    return [rallier, ...getNearbyAllies(combat, rallier, range)].filter((c) =>
+      getMoraleState(c) !== MORALE_STATE.STEADY
+      || c.actor?.effects.some((e) => e.getFlag(MODULE_ID, "moraleState"))
+    );
+  }
+
+  /**
+   * A rallier attempts a Persuasion, Intimidation or CHA check against the Rally DC. On a
+   * success, every shaken, wavering or routed ally within range returns to Steady and loses
+   * its morale effects.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {Object} [options]
+   * @param {Combatant|string} [options.rallier] - Combatant or id (default: the first rally candidate)
+   * @param {string} [options.skill] - A RALLY_SKILL value (default: the rallier's better of Persuasion and Intimidation)
+   * @param {number} [options.dc] - Defaults to the Rally DC setting
+   * @returns {Promise<{success: boolean, total: number, dc: number, rallier: Combatant, rallied: Combatant[]}|null>}
+   */
+  static async rallyGroup(combat, groupId, { rallier = null, skill = null, dc = null } = {}) {
+    const log = logger.fn("rallyGroup");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted a rally");
+      return null;
+    }
+
+    const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+    const candidates = this.getRallyCandidates(combat, groupId);
+    const actor = typeof rallier === "string" ? combat.combatants.get(rallier) : rallier ?? candidates[0];
+
+    if (!actor) {
+      ui.notifications.warn(`"${groupName}" has no one left who can rally.`);
+      return null;
+    }
+    if (!actor.token?.object) {
+      ui.notifications.warn(`${actor.name} is not on the current scene.`);
+      return null;
+    }
+
+    skill ??= this.getRallyBonus(actor, RALLY_SKILL.INTIMIDATION) > this.getRallyBonus(actor, RALLY_SKILL.PERSUASION)
+      ? RALLY_SKILL.INTIMIDATION
+      : RALLY_SKILL.PERSUASION;
+    dc ??= game.settings.get(MODULE_ID, "moraleRallyDC");
+
+    const targets = this.getRallyTargets(combat, actor);
+    const bonus = this.getRallyBonus(actor, skill);
+    const roll = new Roll(bonus >= 0 ? `1d20 + ${bonus}` : `1d20 - ${Math.abs(bonus)}`);
+    await roll.evaluate();
+    const success = roll.total >= dc;
+
+    const rallied = [];
+    if (success) {
+      for (const c of targets) {
+        rallied.push({ combatant: c, from: getMoraleState(c) });
+        await this.setMoraleState(c, MORALE_STATE.STEADY);
+      }
+    }
+
+    log.debug(`${actor.name} rallies "${groupName}": ${roll.total} vs DC ${dc}`, {
+      skill,
+      success,
+      rallied: rallied.map((r) => r.combatant.name),
+    });
+
+    await this._sendRallyChat(combat, groupId, { rallier: actor, skill, roll, dc, success, targets, rallied });
+    return { success, total: roll.total, dc, rallier: actor, rallied: rallied.map((r) => r.combatant) };
+  }
+
+  /**
+   * Send the GM-only rally card.
+   * @param {Combat} combat
+   * @param {string} groupId
+   * @param {Object} data
+   * @private
+   */
+  static async _sendRallyChat(combat, groupId, { rallier, skill, roll, dc, success, targets, rallied }) {
+    const groupMeta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
+    const groupName = groupMeta.name ?? "Unnamed Group";
+    const groupColor = groupMeta.color || "#7b68ee";
+    const groupImg = groupMeta.img || "icons/svg/combat.svg";
+    const gmIds = game.users.filter((u) => u.isGM).map((u) => u.id);
+    const range = game.settings.get(MODULE_ID, "moraleRallyRange");
+
+    const rows = success
+      ? rallied.map(({ combatant, from }) => `
+          <li>${combatant.name} <span style="font-size: 11px; color: ${getStateColor(from)};">(${getStateLabel(from)})</span></li>`).join("")
+      : targets.map((c) => `<li>${c.name}</li>`).join("");
+
+    const outcome = !targets.length
+      ? `<p style="margin: 0; opacity: 0.8;">No shaken allies within ${range} ft.</p>`
+      : success
+        ? `<p style="margin: 0 0 4px;"><i class="fas fa-shield-alt" style="color: #4caf50;"></i> Return to the fight:</p><ul style="margin: 0; padding-left: 20px;">${rows}</ul>`
+        : `<p style="margin: 0 0 4px;"><i class="fas fa-running" style="color: #f44336;"></i> The rally fails. Still shaken:</p><ul style="margin: 0; padding-left: 20px;">${rows}</ul>`;
+
+    const content = `
+      <div style="border: 2px solid ${groupColor}; border-radius: 8px; overflow: hidden; font-size: 13px;">
+        <div style="padding: 8px 10px; display: flex; align-items: center; gap: 8px; border-bottom: 2px solid ${groupColor};">
+          <img src="${groupImg}" width="32" height="32" style="border: none; border-radius: 50%;">
+          <div style="flex: 1;">
+            <strong style="font-size: 15px; display: block;">${groupName} - Rally</strong>
+            <span style="font-size: 12px; opacity: 0.7;">
+              ${rallier.name}: ${RALLY_SKILL_LABELS[skill] ?? skill}
+              <strong style="font-size: 14px; opacity: 1;">${roll.total}</strong> vs DC ${dc}
+            </span>
+          </div>
+          <strong style="color: ${success ? "#4caf50" : "#f44336"};">${success ? "Success" : "Failure"}</strong>
+        </div>
+        <div style="padding: 8px 10px;">${outcome}</div>
+      </div>`;
+
+    try {
+      await ChatMessage.create({ content, whisper: gmIds, blind: true, rolls: [roll] });
+    } catch (err) {
+      logger.fn("rallyGroup").warn("Failed to create rally chat card", { error: err.message });
+    }
+  }
+
   /**
    * Record starting size for all groups when combat starts.
    * @param {Combat} combat
@@ -281,13 +610,13 @@ export class MoraleManager {
    * Send auto-prompt whisper to GM with a clickable [Roll Morale] button.
    * @param {Combat} combat
    * @param {string} groupId
+   * @param {Object} [options]
+   * @param {string} [options.trigger] - The morale trigger that fired; its roll options apply when the button is clicked
+   * @param {string} [options.reason="has suffered heavy casualties"] - Completes "<group name> ..."
    */
-  static async sendAutoPrompt(combat, groupId) {
+  static async sendAutoPrompt(combat, groupId, { trigger = "", reason = "has suffered heavy casualties" } = {}) {
     const log = logger.fn("sendAutoPrompt");
 
-    if (_promptedGroups.has(groupId)) return;
-    _promptedGroups.add(groupId);
-
     const groupMeta = combat.getFlag(MODULE_ID, `groups.${groupId}`) ?? {};
     const groupName = groupMeta.name ?? "Unnamed Group";
     const groupColor = groupMeta.color || "#7b68ee";
@@ -308,19 +637,20 @@ export class MoraleManager {
         </div>
         <div style="padding: 10px;">
           <p style="margin: 0 0 8px;">
-            <strong>${groupName}</strong> has suffered heavy casualties!
+            <strong>${groupName}</strong> ${reason}!
           </p>
           <p style="margin: 0 0 10px; font-size: 12px; opacity: 0.8;">
             Living: <strong>${living.length}</strong> / Starting: <strong>${startingSize}</strong>
           </p>
-          <button type="button" class="sci-morale-roll-btn" data-combat-id="${combat.id}" data-group-id="${groupId}">
+          <button type="button" class="sci-morale-roll-btn" data-combat-id="${combat.id}" data-group-id="${groupId}" data-trigger="${trigger}">
             <i class="fa-solid fa-flag"></i> Roll Morale
           </button>
         </div>
       </div>`;
 
     await ChatMessage.create({ content, whisper: gmIds, blind: true });
-    log.debug(`Auto-prompt sent for "${groupName}"`);
+    await recordMoraleHistory(combat, groupId, { type: "prompt", trigger: trigger || null, reason });
+    log.debug(`Auto-prompt sent for "${groupName}"`, { trigger });
   }
 
   /**
@@ -352,6 +682,9 @@ export class MoraleManager {
         ? '<i class="fas fa-shield-alt" style="color: #4caf50;"></i>'
         : '<i class="fas fa-running" style="color: #f44336;"></i>';
       const img = entry.combatant.img || entry.combatant.token?.texture?.src || "";
+      const state = entry.to === entry.from
+        ? getStateLabel(entry.to)
+        : `${getStateLabel(entry.from)} → ${getStateLabel(entry.to)}`;
       return `<tr style="background: ${bgColor};">
         <td style="padding: 4px 6px;">
           ${img ? `<img src="${img}" width="24" height="24" style="border: none; vertical-align: middle; margin-right: 4px; border-radius: 50%;">` : ""}
@@ -359,9 +692,12 @@ export class MoraleManager {
         </td>
         <td style="padding: 4px 6px; text-align: center; font-weight: bold;">${entry.rollTotal}</td>
         <td style="padding: 4px 6px; text-align: center; opacity: 0.8; font-size: 11px;">
-          WIS ${formatMod(entry.wisSave)} | CR ${formatMod(entry.cr)} | Mob ${formatMod(entry.mobConfidence)}
+          ${entry.terms.map((t) => `${t.label} ${formatMod(t.value)}`).join(" | ")}
+        </td>
+        <td style="padding: 4px 6px; text-align: center;">
+          ${icon} ${passed ? "Holds" : "Breaks"}
+          <div style="font-size: 11px; color: ${getStateColor(entry.to)};">${state}</div>
         </td>
-        <td style="padding: 4px 6px; text-align: center;">${icon} ${passed ? "Holds" : "Breaks"}</td>
       </tr>`;
     };
 
@@ -378,19 +714,23 @@ export class MoraleManager {
             <strong style="font-size: 15px; display: block;">${groupName} - Morale Check</strong>
             <span style="font-size: 12px; opacity: 0.7;">
               DC <strong style="font-size: 14px; opacity: 1;">${results.dc}</strong>
-              <span style="margin-left: 4px;">(10 + ${results.casualtyPenalty} casualties)</span>
+              <span style="margin-left: 4px;">(${[results.baseDC, ...results.dcTerms.map((t) => t.text)].join(" + ")})</span>
             </span>
           </div>
         </div>
         <div style="padding: 6px 10px; display: flex; gap: 12px; flex-wrap: wrap; background: rgba(0,0,0,0.03); border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 12px;">
+          ${results.reason ? `<span title="Trigger" style="flex-basis: 100%;"><i class="fas fa-bolt" style="opacity: 0.6;"></i> ${groupName} ${results.reason}</span>` : ""}
           <span title="Discipline Level"><i class="fas fa-shield-alt" style="opacity: 0.6;"></i> ${disciplineLabel}</span>
-          <span title="Roll formula"><i class="fas fa-dice-d20" style="opacity: 0.6;"></i> ${results.dieExpr}</span>
-          <span title="Mob Confidence Bonus"><i class="fas fa-users" style="opacity: 0.6;"></i> Mob Confidence: <strong>+${results.mobConfidence}</strong></span>
-          <span title="Casualties"><i class="fas fa-skull" style="opacity: 0.6;"></i> Casualties: <strong>${results.casualtyPenalty}</strong></span>
+          <span title="Roll formula"><i class="fas fa-dice-d20" style="opacity: 0.6;"></i> ${results.dieExpr} + ${describeMoraleRules(results.rules)}</span>
+          ${results.rules.mobConfidence ? `<span title="Mob Confidence Bonus"><i class="fas fa-users" style="opacity: 0.6;"></i> Mob Confidence: <strong>+${results.mobConfidence}</strong></span>` : ""}
+          ${results.rules.allyBonus ? `<span title="Nearby Ally Bonus"><i class="fas fa-people-arrows" style="opacity: 0.6;"></i> Allies: <strong>+${results.rules.allyBonus}</strong> each within ${results.rules.allyRange} ft${results.rules.allyMax ? ` (max +${results.rules.allyMax})` : ""}</span>` : ""}
+          <span title="Casualties"><i class="fas fa-skull" style="opacity: 0.6;"></i> Casualties: <strong>${results.casualtyCount}</strong></span>
+          ${results.leaderBonus ? `<span title="Leader WIS/CHA bonus"><i class="fas fa-crown" style="opacity: 0.6;"></i> ${results.leaderName}: <strong>+${results.leaderBonus}</strong></span>` : ""}
         </div>
         <div style="padding: 6px 10px; display: flex; gap: 16px; border-bottom: 1px solid rgba(0,0,0,0.1); font-size: 13px;">
           <span style="color: #4caf50;"><i class="fas fa-shield-alt"></i> <strong>${results.passed.length}</strong> held</span>
           <span style="color: #f44336;"><i class="fas fa-running"></i> <strong>${results.failed.length}</strong> broke</span>
+          ${results.groupState ? `<span style="margin-left: auto; color: ${getStateColor(results.groupState)};" title="Group morale (median of living members)"><i class="fas fa-stairs"></i> <strong>${getStateLabel(results.groupState)}</strong></span>` : ""}
         </div>
         <table style="width: 100%; border-collapse: collapse;">
           <thead>
@@ -432,17 +772,22 @@ export class MoraleManager {
   }
 
   /**
-   * Clear prompted groups tracking. Call on combat deletion.
+   * Roll options for the [Roll Morale] button of a trigger's prompt.
+   * @param {string} [triggerId]
+   * @returns {Object}
    */
-  static clearPromptedGroups() {
-    _promptedGroups.clear();
+  static getTriggerRollOptions(triggerId) {
+    const trigger = triggerId ? getMoraleTrigger(triggerId) : null;
+    return trigger ? { ...trigger.rollOptions, reason: trigger.reason(), trigger: trigger.id } : {};
   }
 
   /**
-   * Reset the prompted state for a specific group (e.g., after a morale roll).
+   * Re-arms every trigger for a group, once-only ones included.
+   * @param {Combat} combat
    * @param {string} groupId
    */
-  static resetPromptForGroup(groupId) {
-    _promptedGroups.delete(groupId);
+  static async resetTriggersForGroup(combat, groupId) {
+    if (!isGM() || !combat.getFlag(MODULE_ID, `groups.${groupId}.triggersFired`)) return;
+    await combat.unsetFlag(MODULE_ID, `groups.${groupId}.triggersFired`);
   }
 }
@@ -7,6 +7,8 @@
 
 import { MODULE_ID, logger, CONSTANTS } from "./shared.js";
 import { GroupManager, UNGROUPED } from "./class-objects.js";
+import { SideManager } from "./side-initiative.js";
+import { isSideMode } from "./sides.js";
 
 /* ------------------------------------------------------------------ */
 /*  Internationalization Helpers                                      */
@@ -44,7 +46,20 @@ export function formatNumber(n, opts = {}) {
 export let wrapped = false;
 
 /**
- * Patches Combat.prototype.rollAll and rollNPC with group initiative logic.
+ * Resolves the libWrapper target path of the active Combat class.
+ * For dnd5e it's dnd5e.documents.Combat5e, for base Foundry just Combat.
+ * @returns {string}
+ */
+export function getCombatClassPath() {
+  if (game.system.id === "dnd5e" && typeof dnd5e?.documents?.Combat5e === "function") {
+    return "dnd5e.documents.Combat5e";
+  }
+  return "Combat";
+}
+
+/**
+ * Patches Combat.prototype.rollAll and rollNPC with group initiative logic, and resetAll
+ * to clear side rolls under side initiative.
  */
 export function overrideRollMethods() {
   if (wrapped) return;
@@ -120,15 +135,22 @@ export function overrideRollMethods() {
     }
   };
 
-  try {
-    // Determine the correct global path for the Combat class
-    // For dnd5e, it's under dnd5e.documents.Combat5e
-    // For base Foundry, it's just Combat
-    let combatPath = "Combat";
+  // Side initiative: one roll per side replaces the individual rolls (hence MIXED below)
+  const sideRollCallback = (npcOnly) => async function (wrappedFn, ...args) {
+    if (!isSideMode(this)) return wrapperCallback.call(this, wrappedFn, ...args);
+    logger.fn("rollWrapper").info("Side initiative active, rolling sides", { combatId: this.id, npcOnly });
+    await SideManager.rollSides(this, { unrolledOnly: true, npcOnly });
+    return this;
+  };
 
-    if (game.system.id === "dnd5e" && typeof dnd5e?.documents?.Combat5e === "function") {
-      combatPath = "dnd5e.documents.Combat5e";
-    }
+  const resetCallback = async function (wrappedFn, ...args) {
+    const result = await wrappedFn(...args);
+    if (isSideMode(this)) await SideManager.clearSideRolls(this);
+    return result;
+  };
+
+  try {
+    const combatPath = getCombatClassPath();
 
     log.info("Targeting Combat class for wrapping", {
       combatPath,
@@ -138,23 +160,31 @@ export function overrideRollMethods() {
     libWrapper.register(
       MODULE_ID,
       `${combatPath}.prototype.rollAll`,
-      wrapperCallback,
-      "WRAPPER"
+      sideRollCallback(false),
+      "MIXED"
     );
     log.debug(`Registered ${combatPath}.prototype.rollAll wrapper`);
 
     libWrapper.register(
       MODULE_ID,
       `${combatPath}.prototype.rollNPC`,
-      wrapperCallback,
-      "WRAPPER"
+      sideRollCallback(true),
+      "MIXED"
     );
     log.debug(`Registered ${combatPath}.prototype.rollNPC wrapper`);
 
+    libWrapper.register(
+      MODULE_ID,
+      `${combatPath}.prototype.resetAll`,
+      resetCallback,
+      "WRAPPER"
+    );
+    log.debug(`Registered ${combatPath}.prototype.resetAll wrapper`);
+
     const mod = game.modules.get(MODULE_ID);
     if (mod) mod.__groupSortWrappersRegistered = true;
 
-    log.success(`rollAll / rollNPC wrapped successfully on ${combatPath}`);
+    log.success(`rollAll / rollNPC / resetAll wrapped successfully on ${combatPath}`);
   } catch (err) {
     log.error("Failed to register lib-wrapper overrides", err);
   }
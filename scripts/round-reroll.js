@@ -0,0 +1,177 @@
+/**
+ * @file round-reroll.js
+ * @description Per-round initiative (Speed Factor / Greyhawk style): groups flagged to
+ * reroll each round reset and reroll when a new round starts, before its first turn.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM } from "./shared.js";
+import { GroupManager, UNGROUPED } from "./class-objects.js";
+import { GroupHistory } from "./history.js";
+import { ROUND_REROLL } from "./settings.js";
+import { SideManager } from "./side-initiative.js";
+import { isSideMode } from "./sides.js";
+
+/**
+ * Returns the groups that reroll each round. A flagged sub-group of a flagged parent is
+ * left out, since rerolling the parent already covers it.
+ * @param {Combat} combat
+ * @returns {string[]}
+ */
+export function getRoundRerollGroups(combat) {
+  const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+  const flaggedAncestor = (id) => {
+    const seen = new Set();
+    for (let p = groups[id]?.parentId; p && !seen.has(p); p = groups[p]?.parentId) {
+      if (groups[p]?.rerollEachRound) return true;
+      seen.add(p);
+    }
+    return false;
+  };
+  return Object.keys(groups).filter((id) => groups[id].rerollEachRound && !flaggedAncestor(id));
+}
+
+/**
+ * Ungrouped player characters.
+ * @param {Combat} combat
+ * @returns {Combatant[]}
+ */
+function getUngroupedPlayers(combat) {
+  return combat.combatants.filter((c) => {
+    const groupId = c.getFlag(MODULE_ID, "groupId");
+    return (!groupId || groupId === UNGROUPED) && c.hasPlayerOwner;
+  });
+}
+
+/**
+ * Index of the first combatant who can act this round.
+ * @param {Combat} combat
+ * @returns {number}
+ */
+function firstTurnIndex(combat) {
+  const skipDefeated = combat.settings?.skipDefeated;
+  return Math.max(combat.turns.findIndex((c) => !(skipDefeated && c.isDefeated)), 0);
+}
+
+/**
+ * Resets and rerolls every per-round group, clears ungrouped player characters' initiative
+ * (when enabled) and moves the tracker to the new first turn. Under side initiative, the
+ * sides of the per-round groups are rerolled instead.
+ * @param {Combat} combat
+ * @param {Object} [options]
+ * @param {boolean} [options.prompt] - Ask the GM first (defaults to the Per-Round Reroll setting)
+ * @returns {Promise<boolean>} Whether a reroll happened
+ */
+export async function rerollRound(combat, {
+  prompt = game.settings.get(MODULE_ID, "roundRerollBehavior") === ROUND_REROLL.PROMPT,
+} = {}) {
+  const log = logger.fn("rerollRound");
+  if (!isGM()) return false;
+
+  const groupIds = getRoundRerollGroups(combat);
+  if (!groupIds.length) return false;
+
+  const sideMode = isSideMode(combat);
+  const players = !sideMode && game.settings.get(MODULE_ID, "roundRerollPlayers") ? getUngroupedPlayers(combat) : [];
+  const names = groupIds.map((id) => combat.getFlag(MODULE_ID, `groups.${id}.name`) ?? "Unnamed Group");
+
+  if (prompt) {
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window: { title: `Round ${combat.round}: Reroll Initiative` },
+      content: `
+        <p>Reroll initiative for: <strong>${names.join(", ")}</strong>?</p>
+        ${players.length ? `<p>${players.length} player character(s) will be asked to roll again.</p>` : ""}
+      `,
+    });
+    if (!ok) return false;
+  }
+
+  log.groupStart(`Round ${combat.round} reroll`, { groups: names, players: players.length });
+
+  await GroupHistory.batch(combat, `Round ${combat.round} Reroll`, async () => {
+    if (sideMode) {
+      const sideKeys = [...new Set(groupIds.map((id) => SideManager.getSideOf(combat, id)).filter(Boolean))];
+      await SideManager.rollSides(combat, { sideKeys });
+      return;
+    }
+    if (players.length) {
+      await combat.updateEmbeddedDocuments("Combatant", players.map((c) => ({ _id: c.id, initiative: null })));
+    }
+    for (const id of groupIds) {
+      await GroupManager.resetGroupInitiative(combat, id);
+      await GroupManager.rollGroupAndApplyInitiative(combat, id);
+    }
+  });
+
+  if (players.length) {
+    await combat.setFlag(MODULE_ID, "roundRerollPending", combat.round);
+    await promptPlayers(combat, players);
+  }
+
+  await combat.update({ turn: firstTurnIndex(combat) });
+  log.groupEnd("done");
+  return true;
+}
+
+/**
+ * Whispers the owners of the given player characters to roll initiative again.
+ * @param {Combat} combat
+ * @param {Combatant[]} players
+ */
+async function promptPlayers(combat, players) {
+  const owners = game.users.filter((u) => !u.isGM && players.some((c) => c.actor?.testUserPermission(u, "OWNER")));
+  if (!owners.length) return;
+
+  await ChatMessage.create({
+    content: `
+      <div style="border: 2px solid #7b68ee; border-radius: 8px; padding: 8px 10px; font-size: 13px;">
+        <strong style="font-size: 15px; display: block;">Round ${combat.round}: Roll Initiative!</strong>
+        <span style="opacity: 0.8;">Initiative is rerolled each round. Roll from the combat tracker:
+        ${players.map((c) => c.name).join(", ")}</span>
+      </div>`,
+    whisper: owners.map((u) => u.id),
+  });
+}
+
+/**
+ * updateCombat hook: rerolls at the start of every round after the first, and stops
+ * re-sorting the round's first turn once the GM has moved on.
+ * @param {Combat} combat
+ * @param {Object} changes
+ * @param {{direction?: number}} options
+ */
+export async function onCombatRoundChange(combat, changes, options) {
+  if (!game.users.activeGM?.isSelf) return;
+
+  const pending = combat.getFlag(MODULE_ID, "roundRerollPending");
+  if (pending != null && ("turn" in changes || "round" in changes) && !("round" in changes && options?.direction === 1)) {
+    // A turn advance (or rewind) after the reroll: the round has started
+    if (combat.turn !== firstTurnIndex(combat) || combat.round !== pending) {
+      await combat.unsetFlag(MODULE_ID, "roundRerollPending");
+    }
+  }
+
+  if (!("round" in changes) || options?.direction !== 1 || combat.round < 2) return;
+
+  try {
+    await rerollRound(combat);
+  } catch (err) {
+    logger.fn("onCombatRoundChange").errorNotify("Error rerolling initiative for the new round", err);
+  }
+}
+
+/**
+ * Called when an ungrouped combatant's initiative changes. While players are still rerolling
+ * for a round that has not started, keeps the tracker on the (new) first turn.
+ * @param {Combat} combat
+ */
+export async function onPlayerReroll(combat) {
+  if (combat.getFlag(MODULE_ID, "roundRerollPending") !== combat.round) return;
+
+  const first = firstTurnIndex(combat);
+  if (combat.turn !== first) await combat.update({ turn: first });
+
+  if (getUngroupedPlayers(combat).every((c) => Number.isFinite(c.initiative))) {
+    await combat.unsetFlag(MODULE_ID, "roundRerollPending");
+  }
+}
@@ -40,6 +40,49 @@ export const VISIBILITY_SYNC_MODE = Object.freeze({
   NONE: "none",
 });
 
+/**
+ * Who acts first when a group and an ungrouped combatant tie on initiative.
+ * @readonly
+ * @enum {string}
+ */
+export const TIE_WINNER = Object.freeze({
+  PLAYERS: "players",
+  MONSTERS: "monsters",
+  DEX: "dex",
+});
+
+/**
+ * Which modifier a side adds to its single d20 under side initiative.
+ * @readonly
+ * @enum {string}
+ */
+export const SIDE_MODIFIER = Object.freeze({
+  BEST: "best",
+  AVERAGE: "average",
+});
+
+/**
+ * What happens at a new round for groups flagged to reroll each round.
+ * @readonly
+ * @enum {string}
+ */
+export const ROUND_REROLL = Object.freeze({
+  AUTO: "auto",
+  PROMPT: "prompt",
+});
+
+/**
+ * How much of a group the public initiative announcement reveals.
+ * @readonly
+ * @enum {string}
+ */
+export const ANNOUNCE_DETAIL = Object.freeze({
+  OFF: "off",
+  GROUP: "group",
+  NAMES: "names",
+  FULL: "full",
+});
+
 /**
  * Registers all module settings.
  * Should be called on the "init" hook.
@@ -91,6 +134,86 @@ export function registerSettings() {
     default: HIGHLIGHT_VISIBILITY.GM_ONLY,
   });
 
+  game.settings.register(MODULE_ID, "groupTieWinner", {
+    name: "Group vs. Ungrouped Ties",
+    hint: "Who acts first when a group and an ungrouped combatant have the same initiative. Players/Monsters Win fall back to DEX when both sides are the same kind.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      [TIE_WINNER.PLAYERS]: "Players Win Ties",
+      [TIE_WINNER.MONSTERS]: "Monsters Win Ties",
+      [TIE_WINNER.DEX]: "DEX Decides",
+    },
+    default: TIE_WINNER.DEX,
+  });
+
+  game.settings.register(MODULE_ID, "tieBreakerChain", {
+    scope: "world",
+    config: false, // Managed via the Initiative Tie-Breakers menu
+    type: Array,
+    default: ["totalInit", "dexMod"],
+  });
+
+  game.settings.register(MODULE_ID, "sideInitiativeModifier", {
+    name: "Side Initiative Modifier",
+    hint: "Under side initiative, each side rolls one d20 plus this modifier from its members' initiative bonuses. Sides that tie are ordered by Group vs. Ungrouped Ties.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      [SIDE_MODIFIER.BEST]: "Best Modifier",
+      [SIDE_MODIFIER.AVERAGE]: "Average Modifier (Rounded)",
+    },
+    default: SIDE_MODIFIER.BEST,
+  });
+
+  game.settings.register(MODULE_ID, "roundRerollBehavior", {
+    name: "Per-Round Reroll",
+    hint: "For groups set to reroll initiative each round: reroll them automatically when a new round starts, or ask the GM first.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      [ROUND_REROLL.AUTO]: "Reroll Automatically",
+      [ROUND_REROLL.PROMPT]: "Ask the GM First",
+    },
+    default: ROUND_REROLL.AUTO,
+  });
+
+  game.settings.register(MODULE_ID, "roundRerollPlayers", {
+    name: "Per-Round Reroll: Players Too",
+    hint: "When groups reroll at a new round, also clear ungrouped player characters' initiative and ask their owners to roll again.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "consolidateGroupRolls", {
+    name: "Consolidate Group Rolls",
+    hint: "When enabled, rolling a group's initiative posts a single chat message carrying every member's roll and the group summary, instead of one message per member.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register(MODULE_ID, "publicInitiativeAnnouncement", {
+    name: "Public Initiative Announcements",
+    hint: "Post a player-facing card when a visible group's initiative is finalized. Choose how much it reveals; hidden groups and hidden combatants are never announced.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      [ANNOUNCE_DETAIL.OFF]: "Off",
+      [ANNOUNCE_DETAIL.GROUP]: "Group Only",
+      [ANNOUNCE_DETAIL.NAMES]: "Group and Member Names",
+      [ANNOUNCE_DETAIL.FULL]: "Group, Names and Rolls",
+    },
+    default: ANNOUNCE_DETAIL.OFF,
+  });
+
   game.settings.register(MODULE_ID, "debugLevel", {
     name: "Debug Logging Level",
     hint: "Off = No debug logs. Normal = Key operations only. Verbose = All details including render cycles and individual rolls.",
@@ -121,7 +244,7 @@ export function registerSettings() {
 
   game.settings.register(MODULE_ID, "moraleAutoPromptThreshold", {
     name: "Morale Auto-Prompt Threshold (%)",
-    hint: "When a group's living members drop to this percentage of starting size, the GM is prompted to roll morale. Set to 0 to disable auto-prompts.",
+    hint: "The Heavy Casualties morale trigger fires when a group's living members drop to this percentage of starting size. Set to 0 to disable it.",
     scope: "world",
     config: true,
     type: Number,
@@ -131,7 +254,7 @@ export function registerSettings() {
 
   game.settings.register(MODULE_ID, "moraleStatusEffect", {
     name: "Morale Failure Status Effect",
-    hint: "Which status effect to apply when a creature fails its morale check.",
+    hint: "The effect a Routed creature gets, unless another is chosen in the Morale States menu.",
     scope: "world",
     config: true,
     type: String,
@@ -142,6 +265,25 @@ export function registerSettings() {
     default: "frightened",
   });
 
+  game.settings.register(MODULE_ID, "moraleStepMargin", {
+    name: "Morale Step Margin",
+    hint: "A failed morale check drops a creature one state (Steady → Shaken → Wavering → Routed), plus one more for every this many points it failed by beyond the first.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 5,
+    range: { min: 1, max: 20, step: 1 },
+  });
+
+  game.settings.register(MODULE_ID, "moraleRecoverOnPass", {
+    name: "Recover on a Passed Morale Check",
+    hint: "A creature below Steady that passes a morale check steps back up one state.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
   game.settings.register(MODULE_ID, "moraleMobConfidenceDivisor", {
     name: "Mob Confidence Divisor",
     hint: "Mob confidence bonus = +1 per this many living members. Default: +1 per 3 living members. Can be overridden per-group.",
@@ -154,7 +296,7 @@ export function registerSettings() {
 
   game.settings.register(MODULE_ID, "moraleEffectDuration", {
     name: "Morale Effect Duration (rounds)",
-    hint: "How many rounds the morale failure effect lasts. Set to 0 for permanent (must be removed manually).",
+    hint: "How many rounds morale state effects (Shaken, Wavering, Routed) last. Set to 0 for permanent (must be removed manually).",
     scope: "world",
     config: true,
     type: Number,
@@ -162,6 +304,123 @@ export function registerSettings() {
     range: { min: 0, max: 100, step: 1 },
   });
 
+  game.settings.register(MODULE_ID, "moraleRallyDC", {
+    name: "Rally DC",
+    hint: "DC of the Persuasion / Intimidation check to rally a group. A success returns every shaken, wavering or routed ally in range to Steady.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 10,
+    range: { min: 5, max: 30, step: 1 },
+  });
+
+  game.settings.register(MODULE_ID, "moraleRallyRange", {
+    name: "Rally Range (ft)",
+    hint: "How far from the rallier's token an ally can be and still be rallied.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 30,
+    range: { min: 5, max: 120, step: 5 },
+  });
+
+  // Superseded by the Leader Down morale trigger; only read to migrate old worlds into it
+  game.settings.register(MODULE_ID, "moraleLeaderLossCheck", {
+    name: "Morale Check on Leader Loss",
+    hint: "Automatically roll morale for a group when its leader drops to 0 HP or is removed from combat.",
+    scope: "world",
+    config: false,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "moraleTriggers", {
+    scope: "world",
+    config: false, // Managed via the Morale Triggers menu
+    type: Object,
+    default: {},
+  });
+
+  game.settings.register(MODULE_ID, "moraleLeaderLossPenalty", {
+    name: "Leader Loss DC Penalty",
+    hint: "Added to the morale DC for the automatic check triggered by losing the group's leader.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 2,
+    range: { min: 0, max: 10, step: 1 },
+  });
+
+  game.settings.register(MODULE_ID, "moralePublicAnnouncement", {
+    name: "Public Morale Announcements",
+    hint: "After a morale check on a visible group, post a narrative card for the players (e.g. \"The Goblins break and flee!\") without the rolls or DC.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register(MODULE_ID, "moraleStateEffects", {
+    scope: "world",
+    config: false, // Managed via the Morale States menu
+    type: Object,
+    default: {},
+  });
+
+  game.settings.register(MODULE_ID, "moraleRules", {
+    scope: "world",
+    config: false, // Managed via the Morale Rules menu
+    type: Object,
+    default: {},
+  });
+
+  // --- Auto-Assignment Settings ---
+
+  game.settings.register(MODULE_ID, "autoAssignEnabled", {
+    name: "Auto-Assign New Combatants",
+    hint: "When a combatant is added to combat, place it in a matching group using the rules below. Reinforcements join their squad and are slotted into its initiative.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register(MODULE_ID, "autoAssignTokenFlag", {
+    name: "Auto-Assign: Token Flag",
+    hint: `Join the group named (or with the id) in the token flag "flags.${MODULE_ID}.joinGroup".`,
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "autoAssignAreaTag", {
+    name: "Auto-Assign: Tagged Region or Drawing",
+    hint: 'Join the group tagged on a region or drawing the token stands in. Tag by naming the region (or setting the drawing text) "Group: <group name>".',
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "autoAssignSameActor", {
+    name: "Auto-Assign: Same Actor",
+    hint: "Join the group of an existing combatant created from the same actor.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  // --- Group Templates ---
+
+  game.settings.register(MODULE_ID, "groupTemplates", {
+    scope: "world",
+    config: false, // Managed via the Squad Templates menu
+    type: Object,
+    default: {},
+  });
+
   // Legacy setting migration - convert old boolean to new level
   game.settings.register(MODULE_ID, "enableLogging", {
     scope: "world",
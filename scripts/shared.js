@@ -22,7 +22,8 @@
  *
  * 3. **In-memory** (transient): `_mutex`, `_bulkRollInProgress`, `skipFinalizeSet`,
  *    `_isRenderingGroups`. Session-scoped, reset on page reload. Used to prevent
- *    recursive or redundant operations during batch updates.
+ *    recursive or redundant operations during batch updates. The undo/redo journal
+ *    (history.js) also lives here, per combat and per client.
  */
 
 /* ========================================================================== */
@@ -37,14 +38,44 @@
  * @property {string} [img] - Path to the group icon/image
  * @property {string} [color] - Hex color code for the group styling
  * @property {boolean} [hidden] - Whether the group is hidden from players
+ * @property {string} [initiativeMode] - Initiative strategy id (see initiative-strategies.js)
+ * @property {number} [sharedRoll] - Cached die result for the "shared" initiative mode
+ * @property {{rollOff?: number, manual?: number}} [tieBreak] - Stored roll-off / GM-choice tie-break results
+ * @property {string} [parentId] - Parent group id when nested (sub-group)
+ * @property {boolean} [singleTurn] - Whole group acts on one tracker turn
+ * @property {boolean} [rerollEachRound] - Reset and reroll initiative at every new round
+ * @property {HoldData} [held] - Delay / Ready hold (see group-hold.js)
+ * @property {string} [actsAfter] - After Act Now: the combatant id this group is placed right after
+ * @property {Partial<MoraleRules>} [moraleRules] - Morale rule overrides (see morale-rules.js)
+ * @property {MoraleHistoryEntry[]} [moraleHistory] - Morale prompts and rolls (see morale-history.js)
+ * @property {Object<string, number>} [triggersFired] - Round each morale trigger last fired, by trigger id
+ */
+
+/**
+ * @typedef {Object} GroupRollOptions
+ * @property {"normal"|"advantage"|"disadvantage"} [mode="normal"] - Group-wide roll mode
+ * @property {string} [bonus] - Group-wide situational bonus formula
+ * @property {Object<string, {mode?: string, bonus?: string}>} [members] - Per-member overrides, keyed by combatant id
+ * @property {string[]|null} [combatantIds] - Roll only these members (default: every unrolled member)
+ * @property {string} [rollMode] - Chat visibility (a CONST.DICE_ROLL_MODES value, default GM roll)
+ * @property {boolean} [consolidate] - Post one chat message carrying every roll (default: the Consolidate Group Rolls setting)
+ */
+
+/**
+ * @typedef {Object} RerollPosition
+ * @property {number} turn - 1-based position in the turn order
+ * @property {number} initiative - The combatant's initiative
+ * @property {number|null} groupInitiative - The group's initiative
  */
 
 /**
  * @typedef {Object} GroupMemberData
  * @property {string} name - Combatant name
- * @property {number} init - Combatant initiative
+ * @property {number} init - The combatant's own initiative roll (see getRawInitiative)
  * @property {number} dex - Combatant dexterity score (for tie-breaking)
  * @property {Combatant} combatant - The actual Foundry Combatant document
+ * @property {string} [formula] - Formula of the roll that produced `init`, when just rolled
+ * @property {Roll} [roll] - The evaluated roll, when just rolled
  */
 
 /* ========================================================================== */
@@ -68,7 +99,6 @@ export const CONSTANTS = Object.freeze({
   COLLAPSE_ANIMATION_MS: 300,
   COLLAPSE_DELAY_MS: 310,
   RENDER_DEBOUNCE_MS: 50,
-  GROUP_RANK_OFFSET: 0.1,
   BULK_ROLL_DELAY_MS: 100,
   TOKEN_HIGHLIGHT_LINE_WIDTH: 4,
   TOKEN_HIGHLIGHT_PADDING: 2,
@@ -78,6 +108,10 @@ export const CONSTANTS = Object.freeze({
   LOG_DEDUP_WINDOW_MS: 100,
   LOG_CACHE_MAX: 50,
   LOG_CACHE_EXPIRY_MS: 1000,
+  HISTORY_LIMIT: 20,
+  MORALE_HISTORY_LIMIT: 50,
+  GROUP_DRAG_TYPE: "application/x-sci-group",
+  SELECTION_DRAG_TYPE: "application/x-sci-combatants",
 });
 
 /**
@@ -86,6 +120,13 @@ export const CONSTANTS = Object.freeze({
  */
 export const skipFinalizeSet = new WeakSet();
 
+/**
+ * Combatant IDs multi-selected in the tracker (shift/ctrl-click) for bulk group moves.
+ * Client-local; pruned on each tracker render.
+ * @type {Set<string>}
+ */
+export const combatantSelection = new Set();
+
 /**
  * Guards against infinite loops between the updateToken ↔ updateCombatant sync hooks.
  * Holds combatant IDs currently being synced. Cleared in finally blocks.
@@ -522,6 +563,18 @@ export function calculateAverageInitiative(initiatives) {
   return Math.round(sum / initiatives.length);
 }
 
+/**
+ * A group member's own initiative roll. Members are placed at the group's initiative plus a
+ * stagger, so `initiative` is not what they rolled; the roll is kept in the `rawInit` flag
+ * when the group is finalized. Falls back to `initiative` when there is no such flag.
+ * @param {Combatant} combatant
+ * @returns {number|null}
+ */
+export function getRawInitiative(combatant) {
+  const raw = combatant.getFlag(MODULE_ID, "rawInit");
+  return Number.isFinite(raw) ? raw : combatant.initiative ?? null;
+}
+
 /* ========================================================================== */
 /*   STATE MANAGEMENT                                                         */
 /* ========================================================================== */
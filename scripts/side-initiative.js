@@ -0,0 +1,233 @@
+/**
+ * @file side-initiative.js
+ * @description Side initiative: one d20 per side (players vs. monsters, or user-defined sides),
+ * with every member of a side acting in one contiguous block.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, isGM } from "./shared.js";
+import { SIDE_MODIFIER } from "./settings.js";
+import { GroupHistory } from "./history.js";
+import { applyTurnOrder } from "./turn-order.js";
+import { SIDE, getSides, getSideKey, getSideChoices } from "./sides.js";
+
+/** Colors cycled through for user-defined sides. */
+const PALETTE = ["#1976d2", "#f57c00", "#00897b", "#c2185b", "#5d4037", "#455a64"];
+
+/**
+ * A combatant's initiative modifier (dnd5e's full initiative bonus where available).
+ * @param {Combatant} c
+ * @returns {number}
+ */
+function initiativeMod(c) {
+  const init = c.actor?.system?.attributes?.init;
+  const mod = init?.total ?? init?.mod ?? c.actor?.system?.abilities?.dex?.mod;
+  return Number.isFinite(mod) ? mod : 0;
+}
+
+/**
+ * Static class for the side initiative mode.
+ */
+export class SideManager {
+  /**
+   * Turns side initiative on or off for a combat. Turning it off clears the side rolls, so
+   * turning it back on starts fresh.
+   * @param {Combat} combat
+   * @param {boolean} enabled
+   */
+  static async setSideMode(combat, enabled) {
+    if (!isGM() || !combat) return;
+    const log = logger.fn("setSideMode");
+
+    if (enabled) {
+      await combat.setFlag(MODULE_ID, "sideMode", true);
+      await applyTurnOrder(combat);
+    } else {
+      await this.clearSideRolls(combat);
+      await combat.unsetFlag(MODULE_ID, "sideMode");
+    }
+    log.info(`Side initiative ${enabled ? "enabled" : "disabled"}`, { combatId: combat.id });
+  }
+
+  /**
+   * Rolls one d20 per side, plus the side's best or average initiative modifier (see the
+   * Side Initiative Modifier setting), posts the rolls in one chat message and re-sorts the tracker.
+   * @param {Combat} combat
+   * @param {Object} [options]
+   * @param {string[]} [options.sideKeys] - Only these sides (default: all)
+   * @param {boolean} [options.unrolledOnly=false] - Skip sides that already have a roll
+   * @param {boolean} [options.npcOnly=false] - Skip sides with player-owned members
+   * @returns {Promise<Object<string, number>|undefined>} New initiative per side key
+   */
+  static async rollSides(combat, { sideKeys = null, unrolledOnly = false, npcOnly = false } = {}) {
+    const log = logger.fn("rollSides");
+
+    if (!isGM()) {
+      log.warn("Non-GM attempted to roll side initiative");
+      return;
+    }
+
+    const sides = [...getSides(combat).values()].filter((side) =>
+      (!sideKeys || sideKeys.includes(side.key))
+      && !(unrolledOnly && Number.isFinite(side.initiative))
+      && !(npcOnly && side.members.some((c) => c.hasPlayerOwner))
+    );
+
+    if (!sides.length) {
+      ui.notifications.info(unrolledOnly ? "Every side already has initiative." : "No sides to roll.");
+      return;
+    }
+
+    const rule = game.settings.get(MODULE_ID, "sideInitiativeModifier");
+    GroupHistory.record(combat, sides.length === 1 ? `Roll Side Initiative: ${sides[0].name}` : "Roll Side Initiative");
+
+    const rows = [];
+    for (const side of sides) {
+      const mods = side.members.map(initiativeMod);
+      const mod = rule === SIDE_MODIFIER.AVERAGE
+        ? Math.round(mods.reduce((a, b) => a + b, 0) / mods.length)
+        : Math.max(...mods);
+      const roll = new Roll("1d20 + @mod", { mod });
+      await roll.evaluate();
+      rows.push({ side, mod, roll });
+    }
+
+    log.debug("Rolled side initiative", {
+      rule,
+      rolls: rows.map(({ side, roll }) => `${side.name}: ${roll.total} (${roll.formula})`),
+    });
+
+    await combat.update(Object.fromEntries(
+      rows.map(({ side, roll }) => [`flags.${MODULE_ID}.sides.${side.key}.initiative`, roll.total])
+    ));
+    await this._sendSideCard(rows, rule);
+    await applyTurnOrder(combat);
+
+    return Object.fromEntries(rows.map(({ side, roll }) => [side.key, roll.total]));
+  }
+
+  /**
+   * Clears every side's roll. Member initiatives are left alone.
+   * @param {Combat} combat
+   */
+  static async clearSideRolls(combat) {
+    if (!isGM()) return;
+    const stored = combat.getFlag(MODULE_ID, "sides") ?? {};
+    const update = {};
+    for (const [key, data] of Object.entries(stored)) {
+      if ("initiative" in data) update[`flags.${MODULE_ID}.sides.${key}.-=initiative`] = null;
+    }
+    if (Object.keys(update).length) await combat.update(update);
+  }
+
+  /**
+   * Assigns groups and ungrouped combatants to a side. Sub-groups always follow their
+   * top-level group, so only top-level groups can be assigned.
+   * @param {Combat} combat
+   * @param {{groupIds?: string[], combatantIds?: string[]}} targets
+   * @param {string|null} side - A side key, the name of a new user-defined side, or null
+   *   for the default (disposition)
+   * @returns {Promise<string|null>} The side key
+   */
+  static async assignSide(combat, { groupIds = [], combatantIds = [] }, side) {
+    const log = logger.fn("assignSide");
+    if (!isGM()) return null;
+
+    const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+    const key = side ? await this._resolveSideKey(combat, side) : null;
+
+    const topLevel = groupIds.filter((id) => groups[id] && !groups[id].parentId);
+    const loose = combatantIds
+      .map((id) => combat.combatants.get(id))
+      .filter((c) => c && !groups[c.getFlag(MODULE_ID, "groupId")]);
+
+    if (topLevel.length < groupIds.length || loose.length < combatantIds.length) {
+      ui.notifications.warn("Sub-groups and group members follow their top-level group's side.");
+    }
+    if (!topLevel.length && !loose.length) return key;
+
+    await GroupHistory.batch(combat, "Assign Side", async () => {
+      if (topLevel.length) {
+        await combat.update(Object.fromEntries(topLevel.map((id) => [
+          `flags.${MODULE_ID}.groups.${id}.${key ? "side" : "-=side"}`,
+          key,
+        ])));
+      }
+      if (loose.length) {
+        await combat.updateEmbeddedDocuments("Combatant", loose.map((c) => ({
+          _id: c.id,
+          [`flags.${MODULE_ID}.${key ? "side" : "-=side"}`]: key,
+        })));
+      }
+      await applyTurnOrder(combat);
+    });
+
+    log.debug("Assigned side", { side: key, groups: topLevel, combatants: loose.map((c) => c.name) });
+    return key;
+  }
+
+  /**
+   * The side key for a built-in side, an existing side key or name, or a new user-defined
+   * side (which is stored on the combat).
+   * @param {Combat} combat
+   * @param {string} side
+   * @returns {Promise<string>}
+   * @private
+   */
+  static async _resolveSideKey(combat, side) {
+    const match = getSideChoices(combat)
+      .find((choice) => choice.key === side || choice.name.toLowerCase() === side.toLowerCase());
+    if (match) return match.key;
+
+    const stored = combat.getFlag(MODULE_ID, "sides") ?? {};
+    const key = `custom-${side.slugify({ strict: true }) || foundry.utils.randomID(8)}`;
+    const color = PALETTE[Object.keys(stored).filter((k) => !Object.values(SIDE).includes(k)).length % PALETTE.length];
+    await combat.setFlag(MODULE_ID, `sides.${key}`, { name: side, color });
+    return key;
+  }
+
+  /**
+   * Finds the side a group or combatant is on.
+   * @param {Combat} combat
+   * @param {string} id - A group id or combatant id
+   * @returns {string|null}
+   */
+  static getSideOf(combat, id) {
+    return getSideKey(getSides(combat), id);
+  }
+
+  /**
+   * Posts all side rolls as one chat message.
+   * @param {{side: SideData, mod: number, roll: Roll}[]} rows
+   * @param {string} rule - A SIDE_MODIFIER value
+   * @private
+   */
+  static async _sendSideCard(rows, rule) {
+    const label = rule === SIDE_MODIFIER.AVERAGE ? "average" : "best";
+    const rollHtml = await Promise.all(rows.map(({ side, roll }) => roll.render({ flavor: side.name })));
+    const content = `
+      <div style="border: 2px solid #7b68ee; border-radius: 8px; overflow: hidden; font-size: 13px;">
+        <div style="padding: 8px 10px;">
+          <strong style="font-size: 15px; display: block;">Side Initiative</strong>
+          <span style="font-size: 12px; opacity: 0.8;">One d20 per side + ${label} initiative modifier</span>
+        </div>
+        <ul style="margin: 0; padding: 4px 10px 6px 28px; border-top: 1px solid rgba(0,0,0,0.1);">
+          ${rows.map(({ side, mod, roll }) => `
+            <li><strong style="color: ${side.color};">${foundry.utils.escapeHTML(side.name)}</strong> — <strong>${roll.total}</strong>
+            <span style="opacity: 0.7;">(${mod >= 0 ? "+" : ""}${mod})</span></li>`).join("")}
+        </ul>
+      </div>
+      <div class="sci-group-rolls" style="margin-top: 6px;">${rollHtml.join("")}</div>`;
+
+    try {
+      await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ alias: "Side Initiative" }),
+        content,
+        rolls: rows.map(({ roll }) => roll),
+        sound: CONFIG.sounds.dice,
+      });
+    } catch (err) {
+      logger.fn("rollSides").warn("Failed to create side initiative card", { error: err.message });
+    }
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * @file sides.js
+ * @description Side membership for side initiative: which side every combatant fights on,
+ * and the order its squads and ungrouped combatants act in within the side.
+ * @version V13 Only
+ */
+
+import { MODULE_ID } from "./shared.js";
+
+/**
+ * Built-in sides, derived from token disposition.
+ * @readonly
+ * @enum {string}
+ */
+export const SIDE = Object.freeze({
+  FRIENDLY: "friendly",
+  HOSTILE: "hostile",
+  NEUTRAL: "neutral",
+  SECRET: "secret",
+});
+
+const SIDE_META = {
+  [SIDE.FRIENDLY]: { name: "Players & Allies", color: "#388e3c" },
+  [SIDE.HOSTILE]: { name: "Monsters", color: "#d32f2f" },
+  [SIDE.NEUTRAL]: { name: "Neutral", color: "#fbc02d" },
+  [SIDE.SECRET]: { name: "Secret", color: "#7b1fa2" },
+};
+
+const DISPOSITION_SIDE = {
+  [CONST.TOKEN_DISPOSITIONS.FRIENDLY]: SIDE.FRIENDLY,
+  [CONST.TOKEN_DISPOSITIONS.HOSTILE]: SIDE.HOSTILE,
+  [CONST.TOKEN_DISPOSITIONS.NEUTRAL]: SIDE.NEUTRAL,
+  [CONST.TOKEN_DISPOSITIONS.SECRET]: SIDE.SECRET,
+};
+
+/**
+ * @typedef {Object} SideData
+ * @property {string} key - A SIDE value, or the key of a user-defined side
+ * @property {string} name
+ * @property {string} color
+ * @property {number|null} initiative - The side's roll, once rolled
+ * @property {Set<string>} groupIds - Every group on the side, sub-groups included
+ * @property {Combatant[]} members - Everyone on the side, in acting order
+ */
+
+const dexMod = (c) => c.actor?.system?.abilities?.dex?.mod ?? 0;
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * Whether the combat uses side initiative.
+ * @param {Combat} combat
+ * @returns {boolean}
+ */
+export function isSideMode(combat) {
+  return !!combat?.getFlag(MODULE_ID, "sideMode");
+}
+
+/**
+ * A combatant's side when nothing is assigned: player-owned combatants are on the
+ * players' side, everyone else follows their token's disposition.
+ * @param {Combatant} combatant
+ * @returns {string}
+ */
+function defaultSide(combatant) {
+  if (combatant.hasPlayerOwner) return SIDE.FRIENDLY;
+  const disposition = combatant.token?.disposition ?? CONST.TOKEN_DISPOSITIONS.NEUTRAL;
+  return DISPOSITION_SIDE[disposition] ?? SIDE.NEUTRAL;
+}
+
+/**
+ * Creation-order path from the top-level group down to `groupId`, used to keep
+ * sub-groups contiguous when members are ordered.
+ * @param {Object<string, GroupData>} groups
+ * @param {string} groupId
+ * @returns {number[]}
+ */
+function groupPath(groups, groupId) {
+  const order = Object.keys(groups);
+  const path = [];
+  const seen = new Set();
+  for (let id = groupId; id && groups[id] && !seen.has(id); id = groups[id].parentId) {
+    seen.add(id);
+    path.unshift(order.indexOf(id));
+  }
+  return path;
+}
+
+/**
+ * Compares two paths so a group's direct members come before its sub-groups.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function comparePaths(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Resolves every side of the combat. A squad never splits: a top-level group and all of its
+ * sub-groups join the group's assigned side, or the side most of its members would default to.
+ * Ungrouped combatants use their own assigned side or their default.
+ *
+ * Within a side, squads and ungrouped combatants act as blocks, by higher average DEX modifier
+ * then creation order. Members of a squad keep their current relative order.
+ * @param {Combat} combat
+ * @returns {Map<string, SideData>}
+ */
+export function getSides(combat) {
+  const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+  const stored = combat.getFlag(MODULE_ID, "sides") ?? {};
+  const order = combat.combatants.contents;
+
+  const topOf = (groupId) => {
+    const seen = new Set();
+    let id = groupId;
+    while (groups[id]?.parentId && groups[groups[id].parentId] && !seen.has(id)) {
+      seen.add(id);
+      id = groups[id].parentId;
+    }
+    return id;
+  };
+
+  // Blocks: one per top-level group with members, one per ungrouped combatant
+  const blocks = new Map();
+  for (const c of order) {
+    const groupId = c.getFlag(MODULE_ID, "groupId");
+    const id = groups[groupId] ? topOf(groupId) : c.id;
+    if (!blocks.has(id)) blocks.set(id, { id, isGroup: !!groups[groupId], members: [] });
+    blocks.get(id).members.push(c);
+  }
+
+  const sides = new Map();
+  for (const block of blocks.values()) {
+    let key;
+    if (block.isGroup) {
+      key = groups[block.id].side;
+      if (!key) {
+        const counts = new Map();
+        for (const c of block.members) counts.set(defaultSide(c), (counts.get(defaultSide(c)) ?? 0) + 1);
+        key = [...counts.entries()].reduce((best, e) => (e[1] > best[1] ? e : best))[0];
+      }
+    } else {
+      key = block.members[0].getFlag(MODULE_ID, "side") ?? defaultSide(block.members[0]);
+    }
+
+    if (!sides.has(key)) {
+      sides.set(key, {
+        key,
+        name: stored[key]?.name ?? SIDE_META[key]?.name ?? key,
+        color: stored[key]?.color ?? SIDE_META[key]?.color ?? "#7b68ee",
+        initiative: Number.isFinite(stored[key]?.initiative) ? stored[key].initiative : null,
+        groupIds: new Set(),
+        blocks: [],
+      });
+    }
+    const side = sides.get(key);
+    side.blocks.push(block);
+    if (block.isGroup) {
+      for (const c of block.members) side.groupIds.add(c.getFlag(MODULE_ID, "groupId"));
+      side.groupIds.add(block.id);
+    }
+  }
+
+  for (const side of sides.values()) {
+    const first = (block) => Math.min(...block.members.map((c) => order.indexOf(c)));
+    side.blocks.sort((a, b) =>
+      average(b.members.map(dexMod)) - average(a.members.map(dexMod)) || first(a) - first(b)
+    );
+
+    side.members = side.blocks.flatMap((block) => {
+      if (!block.isGroup) return block.members;
+      return [...block.members].sort((a, b) =>
+        comparePaths(groupPath(groups, a.getFlag(MODULE_ID, "groupId")), groupPath(groups, b.getFlag(MODULE_ID, "groupId")))
+        || (b.initiative ?? -Infinity) - (a.initiative ?? -Infinity)
+        || order.indexOf(a) - order.indexOf(b)
+      );
+    });
+    delete side.blocks;
+  }
+
+  return sides;
+}
+
+/**
+ * Finds the side a group or combatant is on.
+ * @param {Map<string, SideData>} sides - From {@link getSides}
+ * @param {string} id - A group id or combatant id
+ * @returns {string|null}
+ */
+export function getSideKey(sides, id) {
+  for (const side of sides.values()) {
+    if (side.groupIds.has(id) || side.members.some((c) => c.id === id)) return side.key;
+  }
+  return null;
+}
+
+/**
+ * Every side a group or combatant can be assigned to: the built-in sides plus any
+ * user-defined side stored on the combat.
+ * @param {Combat} combat
+ * @returns {{key: string, name: string}[]}
+ */
+export function getSideChoices(combat) {
+  const stored = combat.getFlag(MODULE_ID, "sides") ?? {};
+  const keys = [...new Set([...Object.values(SIDE), ...Object.keys(stored)])];
+  return keys.map((key) => ({ key, name: stored[key]?.name ?? SIDE_META[key]?.name ?? key }));
+}
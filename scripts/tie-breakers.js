@@ -0,0 +1,438 @@
+/**
+ * @file tie-breakers.js
+ * @description Configurable tie-break chain used when groups (or members within a group)
+ * share the same initiative.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger } from "./shared.js";
+
+/**
+ * Built-in tie-break criteria ids.
+ * @readonly
+ * @enum {string}
+ */
+export const TIE_BREAKER = Object.freeze({
+  TOTAL_INIT: "totalInit",
+  DEX_MOD: "dexMod",
+  DEX_SCORE: "dexScore",
+  PC_FIRST: "pcFirst",
+  CREATION: "creation",
+  ROLL_OFF: "rollOff",
+  MANUAL: "manual",
+});
+
+/** The chain used before tie-breaking was configurable. */
+export const DEFAULT_TIE_BREAKERS = Object.freeze([TIE_BREAKER.TOTAL_INIT, TIE_BREAKER.DEX_MOD]);
+
+/**
+ * @typedef {Object} TieEntry
+ * @property {string} id - Group id or combatant id
+ * @property {string} name - Display name
+ * @property {number} initiative - Primary sort value (higher first)
+ * @property {number} total - Sum of the members' initiative
+ * @property {Combatant[]} members - Group members, or just the combatant
+ * @property {number} created - Creation order (lower is older)
+ * @property {Object} tieBreak - Persisted roll-off / manual results
+ * @property {function(string, number): Promise} persist - Stores a tie-break result
+ * @property {*} source - The caller's original item
+ */
+
+/**
+ * @typedef {Object} TieBreaker
+ * @property {string} label - Shown in the settings menu and summary card
+ * @property {string} hint - One-line description
+ * @property {function(TieEntry[], string): (number[]|Promise<number[]>)} keys -
+ *   Sort keys for a tied cluster (higher first). Receives the cluster and a title for prompts.
+ */
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+const isPC = (c) => c.actor?.type === "character" || !!c.actor?.hasPlayerOwner;
+
+/** @type {Object<string, TieBreaker>} */
+const CRITERIA = {
+  [TIE_BREAKER.TOTAL_INIT]: {
+    label: "Total Initiative",
+    hint: "Higher sum of all members' rolls",
+    keys: (cluster) => cluster.map((e) => e.total),
+  },
+  [TIE_BREAKER.DEX_MOD]: {
+    label: "DEX Modifier",
+    hint: "Higher average DEX modifier",
+    keys: (cluster) => cluster.map((e) => average(e.members.map((c) => c.actor?.system?.abilities?.dex?.mod ?? 0))),
+  },
+  [TIE_BREAKER.DEX_SCORE]: {
+    label: "DEX Score",
+    hint: "Higher average DEX score",
+    keys: (cluster) => cluster.map((e) => average(e.members.map((c) => c.actor?.system?.abilities?.dex?.value ?? 10))),
+  },
+  [TIE_BREAKER.PC_FIRST]: {
+    label: "PCs Before NPCs",
+    hint: "Player characters go first",
+    keys: (cluster) => cluster.map((e) => average(e.members.map((c) => (isPC(c) ? 1 : 0)))),
+  },
+  [TIE_BREAKER.CREATION]: {
+    label: "Creation Order",
+    hint: "Older groups and earlier-added combatants go first",
+    keys: (cluster) => cluster.map((e) => -e.created),
+  },
+  [TIE_BREAKER.ROLL_OFF]: {
+    label: "Random Roll-Off",
+    hint: "Roll a d20 each; the result is posted to chat and kept for the rest of the combat",
+    keys: rollOff,
+  },
+  [TIE_BREAKER.MANUAL]: {
+    label: "GM Choice",
+    hint: "Ask the GM to order the tied entries; the choice is kept for the rest of the combat",
+    keys: promptManualOrder,
+  },
+};
+
+/**
+ * Returns every tie-break criterion, in display order.
+ * @returns {Array<TieBreaker & {id: string}>}
+ */
+export function getTieBreakers() {
+  return Object.entries(CRITERIA).map(([id, c]) => ({ id, ...c }));
+}
+
+/**
+ * Returns the configured tie-break chain, ignoring unknown ids.
+ * @returns {string[]}
+ */
+export function getTieBreakerChain() {
+  const chain = game.settings.get(MODULE_ID, "tieBreakerChain");
+  return (Array.isArray(chain) ? chain : DEFAULT_TIE_BREAKERS).filter((id) => id in CRITERIA);
+}
+
+/**
+ * Labels of the configured chain, for display ("Total Initiative → DEX Modifier").
+ * @returns {string}
+ */
+export function describeTieBreakerChain() {
+  return getTieBreakerChain().map((id) => CRITERIA[id].label).join(" → ") || "None";
+}
+
+/* ------------------------------------------------------------------ */
+/*  Ranking                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Sorts entries by initiative, resolving ties with the configured chain. Entries that are
+ * still tied at the end fall back to a stable id comparison.
+ * @param {TieEntry[]} entries
+ * @param {string} title - Context for roll-off cards and the GM prompt
+ * @returns {Promise<TieEntry[]>}
+ */
+async function rank(entries, title) {
+  const log = logger.fn("tieBreakers");
+  const sorted = [...entries].sort((a, b) => b.initiative - a.initiative || a.id.localeCompare(b.id));
+  let clusters = splitByKey(sorted, sorted.map((e) => e.initiative));
+
+  for (const id of getTieBreakerChain()) {
+    if (clusters.every((c) => c.length < 2)) break;
+
+    const next = [];
+    for (const cluster of clusters) {
+      if (cluster.length < 2) {
+        next.push(cluster);
+        continue;
+      }
+      const keys = await CRITERIA[id].keys(cluster, title);
+      const keyed = cluster.map((e, i) => ({ e, k: keys[i] ?? 0 }))
+        .sort((a, b) => b.k - a.k || a.e.id.localeCompare(b.e.id));
+      log.trace(`Tie broken by ${id}`, { title, tied: keyed.map(({ e, k }) => `${e.name}: ${k}`) });
+      next.push(...splitByKey(keyed.map(({ e }) => e), keyed.map(({ k }) => k)));
+    }
+    clusters = next;
+  }
+
+  return clusters.flat();
+}
+
+/**
+ * Splits a sorted list into runs of equal keys.
+ * @param {TieEntry[]} list
+ * @param {number[]} keys - Aligned with `list`
+ * @returns {TieEntry[][]}
+ */
+function splitByKey(list, keys) {
+  const runs = [];
+  list.forEach((e, i) => {
+    if (i > 0 && keys[i] === keys[i - 1]) runs.at(-1).push(e);
+    else runs.push([e]);
+  });
+  return runs;
+}
+
+/**
+ * Ranks groups against each other.
+ * @param {Combat} combat
+ * @param {Array<{id: string, initiative: number}>} rows
+ * @returns {Promise<Array<{id: string, initiative: number}>>} The rows, highest rank first
+ */
+export async function rankGroups(combat, rows) {
+  const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+  const order = Object.keys(groups);
+
+  const entries = rows.map((row) => {
+    const members = combat.combatants.filter((c) => c.getFlag(MODULE_ID, "groupId") === row.id);
+    return {
+      id: row.id,
+      name: groups[row.id]?.name ?? "Unnamed Group",
+      initiative: row.initiative,
+      total: members.reduce((sum, c) => sum + (c.initiative ?? 0), 0),
+      members,
+      created: order.indexOf(row.id),
+      tieBreak: groups[row.id]?.tieBreak ?? {},
+      persist: (key, value) => combat.setFlag(MODULE_ID, `groups.${row.id}.tieBreak.${key}`, value),
+      source: row,
+    };
+  });
+
+  return (await rank(entries, "Group Order")).map((e) => e.source);
+}
+
+/**
+ * Orders the members of one group.
+ * @param {Combat} combat
+ * @param {string} groupId
+ * @param {GroupMemberData[]} list
+ * @returns {Promise<GroupMemberData[]>} The members, first to act first
+ */
+export async function orderMembers(combat, groupId, list) {
+  const order = combat.combatants.contents;
+  const groupName = combat.getFlag(MODULE_ID, `groups.${groupId}.name`) ?? "Unnamed Group";
+
+  const entries = list.map((r) => ({
+    id: r.combatant.id,
+    name: r.name,
+    initiative: r.init,
+    total: r.init,
+    members: [r.combatant],
+    created: order.indexOf(r.combatant),
+    tieBreak: r.combatant.getFlag(MODULE_ID, "tieBreak") ?? {},
+    persist: (key, value) => r.combatant.setFlag(MODULE_ID, `tieBreak.${key}`, value),
+    source: r,
+  }));
+
+  return (await rank(entries, groupName)).map((e) => e.source);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Interactive Criteria                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Rolls a d20 for every tied entry without a stored roll-off and whispers the results.
+ * @param {TieEntry[]} cluster
+ * @param {string} title
+ * @returns {Promise<number[]>}
+ */
+async function rollOff(cluster, title) {
+  const fresh = [];
+  for (const e of cluster) {
+    if (Number.isFinite(e.tieBreak.rollOff)) continue;
+    const roll = await new Roll("1d20").evaluate();
+    e.tieBreak.rollOff = roll.total;
+    await e.persist("rollOff", roll.total);
+    fresh.push(e);
+  }
+
+  if (fresh.length) {
+    const rows = cluster
+      .map((e) => `<tr>
+          <td style="padding: 3px 6px;">${foundry.utils.escapeHTML(e.name)}</td>
+          <td style="padding: 3px 6px; text-align: center; font-weight: bold;">${e.tieBreak.rollOff}</td>
+        </tr>`)
+      .join("");
+    await ChatMessage.create({
+      content: `
+        <div style="border: 2px solid #7b68ee; border-radius: 8px; overflow: hidden; font-size: 13px;">
+          <div style="padding: 8px 10px; border-bottom: 2px solid #7b68ee;">
+            <strong style="font-size: 15px; display: block;">Initiative Roll-Off</strong>
+            <span style="font-size: 12px; opacity: 0.7;">${foundry.utils.escapeHTML(title)}: ${cluster.length} tied at ${cluster[0].initiative}</span>
+          </div>
+          <table style="width: 100%; border-collapse: collapse;"><tbody>${rows}</tbody></table>
+        </div>`,
+      whisper: game.users.filter((u) => u.isGM).map((u) => u.id),
+      blind: true,
+    });
+  }
+
+  return cluster.map((e) => e.tieBreak.rollOff);
+}
+
+/**
+ * Asks the GM to order tied entries, unless every entry already has a stored choice.
+ * Dismissing the prompt leaves the entries tied for the next criterion.
+ * @param {TieEntry[]} cluster
+ * @param {string} title
+ * @returns {Promise<number[]>}
+ */
+async function promptManualOrder(cluster, title) {
+  if (cluster.every((e) => Number.isFinite(e.tieBreak.manual))) {
+    return cluster.map((e) => -e.tieBreak.manual);
+  }
+
+  const rows = cluster
+    .map((e, i) => `
+      <div class="form-group" style="display:flex; align-items:center; gap:5px; margin:2px 0;">
+        <label style="flex:1;">${foundry.utils.escapeHTML(e.name)}</label>
+        <input type="number" name="${e.id}" value="${i + 1}" min="1" step="1" style="width:60px;">
+      </div>`)
+    .join("");
+
+  const order = await foundry.applications.api.DialogV2.wait({
+    window: { title: `Break Initiative Tie: ${title}` },
+    content: `<p>These are tied at initiative ${cluster[0].initiative}. Number them in acting order (1 acts first).</p>${rows}`,
+    buttons: [
+      {
+        action: "ok",
+        label: "Confirm",
+        icon: "fas fa-check",
+        default: true,
+        callback: (event, button, dialog) =>
+          Object.fromEntries(cluster.map((e) => [e.id, Number(dialog.element.querySelector(`[name="${e.id}"]`).value)])),
+      },
+      { action: "cancel", label: "Skip", icon: "fas fa-times" },
+    ],
+  });
+
+  if (!order || typeof order !== "object") return cluster.map(() => 0);
+
+  for (const e of cluster) {
+    const value = Number.isFinite(order[e.id]) ? order[e.id] : cluster.length;
+    e.tieBreak.manual = value;
+    await e.persist("manual", value);
+  }
+  return cluster.map((e) => -e.tieBreak.manual);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Settings Menu                                                     */
+/* ------------------------------------------------------------------ */
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Settings menu window to choose and reorder the tie-break chain.
+ */
+export class TieBreakerConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "sci-tie-breakers",
+    tag: "form",
+    classes: ["sci-tie-breaker-config"],
+    window: { title: "Initiative Tie-Breakers", icon: "fas fa-scale-balanced" },
+    position: { width: 460, height: "auto" },
+    form: { handler: TieBreakerConfig.#onSubmit, closeOnSubmit: true },
+    actions: {
+      moveUp: TieBreakerConfig.#onMove,
+      moveDown: TieBreakerConfig.#onMove,
+      resetDefaults: TieBreakerConfig.#onReset,
+    },
+  };
+
+  /**
+   * Working copy of the chain while the window is open: enabled criteria first, in order.
+   * @type {string[]|null}
+   */
+  #order = null;
+
+  /** @type {Set<string>|null} */
+  #enabled = null;
+
+  /** @override */
+  async _renderHTML() {
+    if (!this.#order) {
+      const chain = getTieBreakerChain();
+      this.#enabled = new Set(chain);
+      this.#order = [...chain, ...Object.keys(CRITERIA).filter((id) => !chain.includes(id))];
+    }
+
+    const rows = this.#order
+      .map((id, i) => `
+        <li class="sci-tie-breaker-row" data-criterion="${id}">
+          <input type="checkbox" name="${id}" ${this.#enabled.has(id) ? "checked" : ""}>
+          <div class="sci-tie-breaker-info">
+            <strong>${CRITERIA[id].label}</strong>
+            <span>${CRITERIA[id].hint}</span>
+          </div>
+          <a data-action="moveUp" title="Move Up" ${i === 0 ? 'class="disabled"' : ""}><i class="fas fa-arrow-up"></i></a>
+          <a data-action="moveDown" title="Move Down" ${i === this.#order.length - 1 ? 'class="disabled"' : ""}><i class="fas fa-arrow-down"></i></a>
+        </li>`)
+      .join("");
+
+    return `
+      <p class="hint">Groups (and members within a group) with the same initiative are ordered by the ticked criteria, top to bottom.</p>
+      <ol class="sci-tie-breaker-list">${rows}</ol>
+      <footer class="form-footer">
+        <button type="button" data-action="resetDefaults"><i class="fas fa-undo"></i> Reset</button>
+        <button type="submit"><i class="fas fa-save"></i> Save</button>
+      </footer>
+    `;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Keeps checkbox state across re-renders triggered by reordering.
+   */
+  #syncEnabled() {
+    for (const box of this.element.querySelectorAll(".sci-tie-breaker-row input[type=checkbox]")) {
+      if (box.checked) this.#enabled.add(box.name);
+      else this.#enabled.delete(box.name);
+    }
+  }
+
+  /**
+   * @this {TieBreakerConfig}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static #onMove(event, target) {
+    const id = target.closest("[data-criterion]")?.dataset.criterion;
+    const from = this.#order.indexOf(id);
+    const to = from + (target.dataset.action === "moveUp" ? -1 : 1);
+    if (from < 0 || to < 0 || to >= this.#order.length) return;
+    this.#syncEnabled();
+    [this.#order[from], this.#order[to]] = [this.#order[to], this.#order[from]];
+    this.render();
+  }
+
+  /**
+   * @this {TieBreakerConfig}
+   */
+  static #onReset() {
+    this.#enabled = new Set(DEFAULT_TIE_BREAKERS);
+    this.#order = [...DEFAULT_TIE_BREAKERS, ...Object.keys(CRITERIA).filter((id) => !DEFAULT_TIE_BREAKERS.includes(id))];
+    this.render();
+  }
+
+  /**
+   * @this {TieBreakerConfig}
+   */
+  static async #onSubmit() {
+    this.#syncEnabled();
+    const chain = this.#order.filter((id) => this.#enabled.has(id));
+    await game.settings.set(MODULE_ID, "tieBreakerChain", chain);
+    logger.fn("TieBreakerConfig").debug("Saved tie-breaker chain", { chain });
+  }
+}
+
+/**
+ * Registers the tie-breaker settings menu. Called on the "init" hook.
+ */
+export function registerTieBreakerMenu() {
+  game.settings.registerMenu(MODULE_ID, "tieBreakerMenu", {
+    name: "Initiative Tie-Breakers",
+    label: "Configure Tie-Breakers",
+    hint: "Choose and order how ties are broken between groups with the same initiative, and between members within a group.",
+    icon: "fas fa-scale-balanced",
+    type: TieBreakerConfig,
+    restricted: true,
+  });
+}
@@ -0,0 +1,342 @@
+/**
+ * @file turn-order.js
+ * @description Unified ordering pass: places every rolled group among the ungrouped
+ * combatants so ties resolve predictably and no ungrouped combatant lands inside a
+ * group's staggered initiative range.
+ * @version V13 Only
+ */
+
+import { MODULE_ID, logger, CONSTANTS, skipFinalizeSet } from "./shared.js";
+import { TIE_WINNER } from "./settings.js";
+import { rankGroups } from "./tie-breakers.js";
+import { isSideMode, getSides } from "./sides.js";
+
+/**
+ * @typedef {Object} OrderUnit
+ * @property {"group"|"fixed"} type - A placed group, or a combatant who keeps its own initiative
+ *   (only nudged down when tied neighbours leave a group no room)
+ * @property {number} value - Group initiative, or the combatant's own initiative
+ * @property {string} [groupId] - Group id, or side key under side initiative
+ * @property {Combatant[]} members - Group members in acting order, or just the combatant
+ * @property {string} [actsAfter] - Combatant id the group follows directly (after acting from Delay / Ready)
+ */
+
+/**
+ * @typedef {Object} OrderConflict
+ * @property {Combatant} combatant - The ungrouped combatant
+ * @property {string} groupId - The group whose range it falls inside, or that it separates from
+ *   the combatant the group acts after
+ */
+
+const isPC = (c) => c.actor?.type === "character" || !!c.actor?.hasPlayerOwner;
+const dexMod = (c) => c.actor?.system?.abilities?.dex?.mod ?? 0;
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+const round = (v) => Math.round(v * 10000) / 10000;
+
+/**
+ * Collects the units to order: every group with an initiative and members, plus every
+ * other combatant with an initiative.
+ * @param {Combat} combat
+ * @param {Object<string, {initiative: number, members: Combatant[]}>} pending - Groups being
+ *   finalized right now, with their new initiative and member order
+ * @returns {OrderUnit[]}
+ */
+function collectUnits(combat, pending) {
+  const groups = combat.getFlag(MODULE_ID, "groups") ?? {};
+  const placed = new Map();
+
+  for (const [gid, data] of Object.entries(groups)) {
+    const value = pending[gid]?.initiative ?? data.initiative;
+    if (!Number.isFinite(value)) continue;
+    const members = pending[gid]?.members ?? combat.combatants
+      .filter((c) => c.getFlag(MODULE_ID, "groupId") === gid && Number.isFinite(c.initiative))
+      .sort((a, b) => b.initiative - a.initiative);
+    if (members.length) placed.set(gid, { type: "group", value, groupId: gid, members, actsAfter: data.actsAfter });
+  }
+
+  const fixed = combat.combatants
+    .filter((c) => Number.isFinite(c.initiative) && !placed.has(c.getFlag(MODULE_ID, "groupId")))
+    .map((c) => ({ type: "fixed", value: c.initiative, members: [c] }));
+
+  return [...placed.values(), ...fixed];
+}
+
+/**
+ * Decides whether an ungrouped combatant acts before a group it ties with.
+ * @param {OrderUnit} fixed
+ * @param {OrderUnit} group
+ * @param {string} rule - A TIE_WINNER value
+ * @returns {boolean}
+ */
+function fixedGoesFirst(fixed, group, rule) {
+  const fixedPC = isPC(fixed.members[0]);
+  const groupPC = average(group.members.map((c) => (isPC(c) ? 1 : 0))) > 0.5;
+  const fixedDex = dexMod(fixed.members[0]);
+  const groupDex = average(group.members.map(dexMod));
+
+  if (rule !== TIE_WINNER.DEX && fixedPC !== groupPC) {
+    return rule === TIE_WINNER.PLAYERS ? fixedPC : !fixedPC;
+  }
+  if (fixedDex !== groupDex) return fixedDex > groupDex;
+  return fixedPC || !groupPC;
+}
+
+/**
+ * Orders all units. Units whose initiative shares the same whole number are tied: groups keep
+ * their tie-breaker rank, ungrouped combatants keep their own order, and the two are merged
+ * according to the Group vs. Ungrouped Ties setting.
+ * @param {Combat} combat
+ * @param {OrderUnit[]} units
+ * @returns {Promise<OrderUnit[]>}
+ */
+async function orderUnits(combat, units) {
+  const rule = game.settings.get(MODULE_ID, "groupTieWinner");
+  const groupUnits = units.filter((u) => u.type === "group");
+  const rank = (await rankGroups(combat, groupUnits.map((u) => ({ id: u.groupId, initiative: u.value }))))
+    .map((row) => row.id);
+
+  const byBand = new Map();
+  for (const u of units) {
+    const band = Math.floor(u.value);
+    if (!byBand.has(band)) byBand.set(band, []);
+    byBand.get(band).push(u);
+  }
+
+  const ordered = [];
+  for (const band of [...byBand.keys()].sort((a, b) => b - a)) {
+    const bandUnits = byBand.get(band);
+    const groupsInBand = bandUnits.filter((u) => u.type === "group")
+      .sort((a, b) => rank.indexOf(a.groupId) - rank.indexOf(b.groupId));
+    const fixedInBand = bandUnits.filter((u) => u.type === "fixed")
+      .sort((a, b) => b.value - a.value);
+
+    // Merge: neither list is reordered, only interleaved
+    while (groupsInBand.length || fixedInBand.length) {
+      if (!groupsInBand.length) ordered.push(fixedInBand.shift());
+      else if (!fixedInBand.length) ordered.push(groupsInBand.shift());
+      else if (fixedGoesFirst(fixedInBand[0], groupsInBand[0], rule)) ordered.push(fixedInBand.shift());
+      else ordered.push(groupsInBand.shift());
+    }
+  }
+
+  // A group that acted from Delay / Ready keeps its slot right after the unit it followed.
+  // Chained sub-groups follow each other, so repeat until every link has settled.
+  const movers = ordered.filter((u) => u.actsAfter);
+  for (let pass = 0; pass < movers.length; pass++) {
+    for (const unit of movers) {
+      const anchor = ordered.find((u) => u !== unit && u.members.some((c) => c.id === unit.actsAfter));
+      if (!anchor) continue;
+      ordered.splice(ordered.indexOf(unit), 1);
+      ordered.splice(ordered.indexOf(anchor) + 1, 0, unit);
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Orders rolled sides under side initiative: higher roll first, ties per the Group vs.
+ * Ungrouped Ties setting (by the share of player characters, then average DEX).
+ * @param {Combat} combat
+ * @returns {OrderUnit[]}
+ */
+function orderSides(combat) {
+  const rule = game.settings.get(MODULE_ID, "groupTieWinner");
+  const pcShare = (u) => average(u.members.map((c) => (isPC(c) ? 1 : 0)));
+  const avgDex = (u) => average(u.members.map(dexMod));
+
+  return [...getSides(combat).values()]
+    .filter((side) => Number.isFinite(side.initiative) && side.members.length)
+    .map((side) => ({ type: "group", value: side.initiative, groupId: side.key, members: side.members }))
+    .sort((a, b) => {
+      if (a.value !== b.value) return b.value - a.value;
+      if (rule !== TIE_WINNER.DEX && pcShare(a) !== pcShare(b)) {
+        return rule === TIE_WINNER.PLAYERS ? pcShare(b) - pcShare(a) : pcShare(a) - pcShare(b);
+      }
+      return avgDex(b) - avgDex(a) || a.groupId.localeCompare(b.groupId);
+    });
+}
+
+/**
+ * The value the unit below a run of groups ends up with. A run needs a distinct value (at
+ * 4 decimals) per member between its neighbours; when tied neighbours leave less room, the
+ * unit below is nudged down to make room for the full stagger.
+ * @param {OrderUnit[]} run
+ * @param {number} hi - Value of the unit above (+Infinity if none)
+ * @param {number} lo - Value of the unit below (-Infinity if none)
+ * @returns {number} lo, or the nudged value
+ */
+function makeRoom(run, hi, lo) {
+  if (!Number.isFinite(hi) || !Number.isFinite(lo)) return lo;
+  const slots = run.reduce((n, u) => n + u.members.length, 0) + 1;
+  if (round(hi - lo) >= slots * 0.0001) return lo;
+  return round(hi - slots * CONSTANTS.STAGGER_INCREMENT);
+}
+
+/**
+ * Assigns initiative values to a run of consecutive groups that sits between two fixed values.
+ * Members keep the usual stagger (group initiative + 0.0n) when it fits; otherwise they are
+ * spread evenly across the free gap, which {@link makeRoom} has made wide enough.
+ * @param {OrderUnit[]} run
+ * @param {number} hi - Value of the unit above (+Infinity if none)
+ * @param {number} lo - Value of the unit below (-Infinity if none)
+ * @returns {Map<Combatant, number>}
+ */
+function placeRun(run, hi, lo) {
+  const step = CONSTANTS.STAGGER_INCREMENT;
+  const desired = run.flatMap((u) =>
+    u.members.map((c, i) => ({ c, d: round(u.value + (u.members.length - i) * step) }))
+  );
+
+  // Greedy: keep the stagger, nudging down below whatever was placed before
+  const values = new Map();
+  let prev = hi;
+  for (const { c, d } of desired) {
+    const v = Number.isFinite(prev) ? Math.min(d, round(prev - step)) : d;
+    values.set(c, v);
+    prev = v;
+  }
+  if (prev > lo) return values;
+
+  // Not enough room: spread evenly between the neighbors
+  const top = Number.isFinite(hi) ? hi : lo + (desired.length + 1) * step;
+  const bottom = lo;
+  const spread = desired.map((_, i) => top - ((top - bottom) * (i + 1)) / (desired.length + 1));
+  const rounded = spread.map(round);
+  const strict = rounded.every((v, i) => v < (i ? rounded[i - 1] : top) && v > bottom);
+  desired.forEach(({ c }, i) => values.set(c, strict ? rounded[i] : spread[i]));
+  return values;
+}
+
+/**
+ * Computes the initiative of every member of a placed group (or rolled side) under the unified
+ * order, plus any ungrouped combatant nudged down to make room for a group.
+ * @param {Combat} combat
+ * @param {Object<string, {initiative: number, members: Combatant[]}>} [pending={}] - Groups being
+ *   finalized right now, with their new initiative and member order
+ * @returns {Promise<Map<Combatant, number>>}
+ */
+export async function computeTurnOrder(combat, pending = {}) {
+  // Side initiative: every rolled side is one block, so nothing sits between its members
+  if (isSideMode(combat)) return placeRun(orderSides(combat), Infinity, -Infinity);
+
+  const ordered = await orderUnits(combat, collectUnits(combat, pending));
+  const values = new Map();
+
+  let run = [];
+  let hi = Infinity;
+  let above = Infinity;
+  const flush = (lo) => {
+    if (!run.length) return lo;
+    lo = makeRoom(run, hi, lo);
+    placeRun(run, hi, lo).forEach((v, c) => values.set(c, v));
+    run = [];
+    return lo;
+  };
+
+  for (const unit of ordered) {
+    if (unit.type === "group") {
+      run.push(unit);
+      continue;
+    }
+    // Stay below a neighbour that was nudged down (level with it if they were tied),
+    // or this combatant would jump ahead of the group
+    const below = unit.value <= hi ? unit.value : unit.value === above ? hi : round(hi - 0.0001);
+    const value = flush(below);
+    if (value !== unit.value) values.set(unit.members[0], value);
+    above = unit.value;
+    hi = value;
+  }
+  flush(-Infinity);
+
+  return values;
+}
+
+/**
+ * Runs the unified ordering pass and writes any changed initiatives. Members of `pending`
+ * groups are always written. The result is then checked with {@link findOrderConflicts}: a
+ * group that is still split (e.g. by an initiative that changed meanwhile) is reflowed once
+ * more, and reported if that does not settle it.
+ * @param {Combat} combat
+ * @param {Object<string, {initiative: number, members: Combatant[]}>} [pending={}]
+ * @param {Object} [options]
+ * @param {function(Combatant, number): Object} [options.extra] - Additional update data per combatant
+ */
+export async function applyTurnOrder(combat, pending = {}, { extra } = {}) {
+  const log = logger.fn("applyTurnOrder");
+  await writeTurnOrder(combat, pending, extra);
+  if (!findOrderConflicts(combat).length) return;
+
+  log.debug("Turn order still splits a group, reflowing again");
+  await writeTurnOrder(combat);
+  const conflicts = findOrderConflicts(combat);
+  if (conflicts.length) {
+    log.errorNotify("Could not keep every group together in the turn order", null, {
+      conflicts: conflicts.map(({ combatant, groupId }) => `${combatant.name} in ${groupId}`),
+    });
+  }
+}
+
+/**
+ * One ordering pass: computes the order and writes the initiatives that changed.
+ * @param {Combat} combat
+ * @param {Object<string, {initiative: number, members: Combatant[]}>} [pending={}]
+ * @param {function(Combatant, number): Object} [extra]
+ */
+async function writeTurnOrder(combat, pending = {}, extra) {
+  const log = logger.fn("applyTurnOrder");
+  const values = await computeTurnOrder(combat, pending);
+  const pendingIds = new Set(Object.values(pending).flatMap((p) => p.members.map((c) => c.id)));
+
+  const docs = [];
+  const updates = [];
+  for (const [c, initiative] of values) {
+    if (!pendingIds.has(c.id) && Math.abs((c.initiative ?? NaN) - initiative) < 1e-6) continue;
+    docs.push(c);
+    updates.push({ _id: c.id, initiative, ...(extra?.(c, initiative) ?? {}) });
+  }
+  if (!updates.length) return;
+
+  log.debug("Reordering group members", { count: updates.length });
+
+  // These are placement updates, not new rolls; keep the updateCombatant hook from re-finalizing
+  docs.forEach((c) => skipFinalizeSet.add(c));
+  try {
+    await combat.updateEmbeddedDocuments("Combatant", updates);
+  } finally {
+    docs.forEach((c) => skipFinalizeSet.delete(c));
+  }
+}
+
+/**
+ * Lists ungrouped combatants (and members of unrolled groups) whose initiative falls inside
+ * the initiative range of a rolled group, which would split the group in the turn order, or
+ * between a group that acted from Delay / Ready and the combatant it acts after.
+ * @param {Combat} combat
+ * @returns {OrderConflict[]}
+ */
+export function findOrderConflicts(combat) {
+  const units = collectUnits(combat, {});
+  const ranges = units
+    .filter((u) => u.type === "group")
+    .map((u) => {
+      const inits = u.members.map((c) => c.initiative);
+      return { groupId: u.groupId, min: Math.min(...inits), max: Math.max(...inits) };
+    });
+
+  const conflicts = [];
+  for (const unit of units.filter((u) => u.type === "fixed")) {
+    const range = ranges.find((r) => unit.value >= r.min && unit.value <= r.max);
+    if (range) conflicts.push({ combatant: unit.members[0], groupId: range.groupId });
+  }
+
+  for (const unit of units.filter((u) => u.type === "group" && u.actsAfter)) {
+    const anchor = units.find((u) => u !== unit && u.members.some((c) => c.id === unit.actsAfter));
+    if (!anchor) continue;
+    const above = Math.min(...anchor.members.map((c) => c.initiative));
+    const below = ranges.find((r) => r.groupId === unit.groupId).max;
+    for (const fixed of units.filter((u) => u.type === "fixed" && u !== anchor)) {
+      if (fixed.value < above && fixed.value > below) conflicts.push({ combatant: fixed.members[0], groupId: unit.groupId });
+    }
+  }
+  return conflicts;
+}